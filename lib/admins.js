@@ -0,0 +1,62 @@
+// KROM Referral Bot - Admin registry
+// Owners come from ADMIN_USER_IDS and can't be changed from inside the bot; they
+// add and remove further admins with /addadmin and /removeadmin. Both are cached in
+// memory, like tracked groups, so permission checks don't need a storage round trip.
+
+/**
+ * @param {object} options
+ * @param {object} options.storage
+ * @param {number[]} options.ownerIds  ADMIN_USER_IDS
+ */
+function createAdminRegistry({ storage, ownerIds }) {
+    const owners = new Set(ownerIds);
+    const admins = new Map(); // user_id -> admins row (owners excluded)
+
+    return {
+        async load() {
+            admins.clear();
+            for (const row of await storage.admins.list()) admins.set(Number(row.user_id), row);
+            console.log(`Loaded ${admins.size} admin(s) besides ${owners.size} owner(s).`);
+        },
+
+        isOwner(userId) {
+            return owners.has(Number(userId));
+        },
+
+        // Owners count as admins
+        isAdmin(userId) {
+            return owners.has(Number(userId)) || admins.has(Number(userId));
+        },
+
+        // Everyone with admin rights, owners first (recipients of admin notifications)
+        ids() {
+            return [...owners, ...[...admins.keys()].filter(id => !owners.has(id))];
+        },
+
+        // Stored admins (without owners), oldest first
+        list() {
+            return [...admins.values()];
+        },
+
+        ownerIds() {
+            return [...owners];
+        },
+
+        async add(userId, { userName = null, addedBy = null } = {}) {
+            if (owners.has(Number(userId))) throw new Error(`User ${userId} is an owner (ADMIN_USER_IDS) already.`);
+            const row = await storage.admins.add(userId, { userName, addedBy });
+            admins.set(Number(userId), row);
+            return row;
+        },
+
+        // Owners can only be removed from ADMIN_USER_IDS
+        async remove(userId) {
+            if (owners.has(Number(userId))) throw new Error(`User ${userId} is an owner and can only be removed from ADMIN_USER_IDS.`);
+            const row = await storage.admins.remove(userId);
+            admins.delete(Number(userId));
+            return row;
+        }
+    };
+}
+
+module.exports = { createAdminRegistry };
@@ -0,0 +1,181 @@
+// KROM Referral Bot - REST API
+// Read-only JSON API for dashboards and payout scripts, served by lib/httpServer so
+// they don't need database credentials. Every endpoint uses the same repository and
+// lib/stats code as the Telegram commands.
+//
+// Keys come from API_KEYS: "<name>:<key>:<scope>,<scope>;..." with scopes
+//   kols       GET /api/v1/kols        KOLs and their links (/listkols)
+//   referrals  GET /api/v1/referrals   Referral rows, filtered and paged
+//   stats      GET /api/v1/refcount    Verified counts (/refcount)
+// or * for all of them. Send the key as "Authorization: Bearer <key>" or "X-API-Key: <key>".
+// The kol parameter matches the exact KOL name, so payout scripts never get another KOL's rows.
+const crypto = require('crypto');
+const { parseDay, getReferralCounts } = require('./stats');
+
+const API_SCOPES = ['kols', 'referrals', 'stats'];
+const MIN_KEY_LENGTH = 16;
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {string} text  API_KEYS value
+ * @returns {Array<{ name: string, key: string, scopes: string[] }>}
+ * @throws {Error} On malformed entries, short keys or unknown scopes
+ */
+function parseApiKeys(text) {
+    const entries = (text || '').split(';').map(entry => entry.trim()).filter(Boolean);
+    return entries.map(entry => {
+        const [name, key, scopeList] = entry.split(':').map(part => (part || '').trim());
+        if (!name || !key || !scopeList) throw new Error(`API key entry "${name || entry}" must look like <name>:<key>:<scopes>`);
+        if (key.length < MIN_KEY_LENGTH) throw new Error(`API key "${name}" is too short (at least ${MIN_KEY_LENGTH} characters)`);
+        const scopes = scopeList === '*' ? [...API_SCOPES] : scopeList.split(',').map(scope => scope.trim());
+        const unknown = scopes.filter(scope => !API_SCOPES.includes(scope));
+        if (unknown.length) throw new Error(`API key "${name}" has unknown scope(s): ${unknown.join(', ')} (expected ${API_SCOPES.join(', ')} or *)`);
+        return { name, key, scopes };
+    });
+}
+
+// Thrown by parameter parsing; becomes a 400 response
+class ApiError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest();
+}
+
+// --- Query parameters ---
+function optionalInt(params, name, { min, max, fallback }) {
+    const text = params.get(name);
+    if (text === null || text === '') return fallback;
+    const value = Number(text);
+    if (!Number.isInteger(value) || value < min || value > max) throw new ApiError(400, `${name} must be a whole number between ${min} and ${max}`);
+    return value;
+}
+
+function optionalBoolean(params, name) {
+    const text = params.get(name);
+    if (text === null || text === '') return null;
+    if (text === 'true') return true;
+    if (text === 'false') return false;
+    throw new ApiError(400, `${name} must be true or false`);
+}
+
+// Dates as YYYY-MM-DD (UTC, inclusive like /export) or full ISO timestamps
+function optionalDate(params, name, { endOfDay = false } = {}) {
+    const text = params.get(name);
+    if (text === null || text === '') return null;
+    const day = parseDay(text);
+    if (day) return new Date(endOfDay ? day.getTime() + DAY_MS - 1 : day.getTime()).toISOString();
+    const date = new Date(text);
+    if (!/^\d{4}-\d{2}-\d{2}T/.test(text) || isNaN(date)) throw new ApiError(400, `${name} must be a date like 2024-05-31 or an ISO timestamp`);
+    return date.toISOString();
+}
+
+function optionalGroupId(params) {
+    return optionalInt(params, 'group_id', { min: Number.MIN_SAFE_INTEGER, max: Number.MAX_SAFE_INTEGER, fallback: null });
+}
+
+/**
+ * @param {object} options
+ * @param {object} options.storage
+ * @param {Array<{ name: string, key: string, scopes: string[] }>} options.apiKeys  From parseApiKeys
+ */
+function createApi({ storage, apiKeys }) {
+    // Compared as hashes so every comparison has the same length and takes the same time
+    const keys = apiKeys.map(entry => ({ ...entry, hash: hashKey(entry.key) }));
+
+    function authenticate(req) {
+        const header = req.headers.authorization || '';
+        const presented = header.startsWith('Bearer ') ? header.slice(7).trim() : req.headers['x-api-key'];
+        if (!presented) return null;
+        const hash = hashKey(String(presented));
+        return keys.find(entry => crypto.timingSafeEqual(entry.hash, hash)) || null;
+    }
+
+    const routes = {
+        '/api/v1/kols': {
+            scope: 'kols',
+            async handle(params) {
+                const links = await storage.kolLinks.list({ groupId: optionalGroupId(params) });
+                const byKol = new Map();
+                for (const link of links) {
+                    if (!byKol.has(link.kol_name)) byKol.set(link.kol_name, []);
+                    byKol.get(link.kol_name).push(link);
+                }
+                return { kols: [...byKol.entries()].map(([kolName, kolLinks]) => ({ kol_name: kolName, links: kolLinks })) };
+            }
+        },
+
+        '/api/v1/referrals': {
+            scope: 'referrals',
+            async handle(params) {
+                const limit = optionalInt(params, 'limit', { min: 1, max: MAX_PAGE_SIZE, fallback: DEFAULT_PAGE_SIZE });
+                const offset = optionalInt(params, 'offset', { min: 0, max: Number.MAX_SAFE_INTEGER, fallback: 0 });
+                const { rows, total } = await storage.referrals.listPage({
+                    kolName: params.get('kol') || null,
+                    verified: optionalBoolean(params, 'verified'),
+                    joinedFrom: optionalDate(params, 'from'),
+                    joinedTo: optionalDate(params, 'to', { endOfDay: true }),
+                    groupId: optionalGroupId(params),
+                    exactKolName: true,
+                    limit,
+                    offset
+                });
+                return { referrals: rows, total, limit, offset };
+            }
+        },
+
+        '/api/v1/refcount': {
+            scope: 'stats',
+            async handle(params) {
+                const presentOnly = optionalBoolean(params, 'present') === true;
+                const retainedDays = optionalInt(params, 'retained_days', { min: 1, max: 36500, fallback: null });
+                if (presentOnly && retainedDays !== null) throw new ApiError(400, 'Use either present or retained_days, not both');
+                const kolName = params.get('kol') || null;
+                const groupId = optionalGroupId(params);
+                const counts = await getReferralCounts(storage, { kolName, presentOnly, retainedDays, groupId, exactKolName: true });
+                return {
+                    kol_name: kolName,
+                    group_id: groupId,
+                    present_only: presentOnly,
+                    retained_days: retainedDays,
+                    verified: counts.verified,
+                    still_present: counts.stillPresent,
+                    referred: counts.referred,
+                    flagged: counts.flagged
+                };
+            }
+        }
+    };
+
+    return {
+        /**
+         * Answers requests under /api/. The caller sends the response.
+         * @returns {Promise<{ status: number, body: object }>}
+         */
+        async handle(req, url) {
+            const route = routes[url.pathname];
+            if (!route) return { status: 404, body: { error: 'not found' } };
+            if (req.method !== 'GET') return { status: 405, body: { error: 'method not allowed' } };
+
+            const client = authenticate(req);
+            if (!client) return { status: 401, body: { error: 'missing or unknown API key' } };
+            if (!client.scopes.includes(route.scope)) return { status: 403, body: { error: `API key lacks the "${route.scope}" scope` } };
+
+            try {
+                return { status: 200, body: await route.handle(url.searchParams) };
+            } catch (err) {
+                if (err instanceof ApiError) return { status: err.status, body: { error: err.message } };
+                console.error(`API error for ${client.name} on ${url.pathname}:`, err.message);
+                return { status: 500, body: { error: 'internal error' } };
+            }
+        }
+    };
+}
+
+module.exports = { API_SCOPES, parseApiKeys, createApi };
@@ -0,0 +1,850 @@
+// KROM Referral Bot - Bot logic
+// Join attribution, verification, the update queue and the background jobs, built around
+// an injected Telegram client and storage. The commands are modules in lib/commands that
+// this file wires up with the services they share. bot.js reads the configuration
+// from the environment and hands in the real clients; the tests hand in a fake Bot API
+// and in-memory storage (test/helpers).
+const { createVerificationTimeouts } = require('./verificationTimeout');
+const { generateChallenge, emojiName, buildPrompt, isCorrectAnswer } = require('./challenges');
+const { createFraudDetector } = require('./fraud');
+const { createPaginator } = require('./pagination');
+const { createGroupRegistry } = require('./groups');
+const { createMetrics, instrumentTelegram } = require('./metrics');
+const { createDigestScheduler } = require('./digestScheduler');
+const { createAdminRegistry } = require('./admins');
+const { createCommandRouter } = require('./commands');
+const { createRewards } = require('./rewards');
+const { registerLinkCommands } = require('./commands/links');
+const { registerDeepLinkCommands } = require('./commands/deepLinks');
+const { registerStartCommand } = require('./commands/start');
+const { registerGroupCommands } = require('./commands/groups');
+const { registerStatsCommands } = require('./commands/stats');
+const { registerModerationCommands } = require('./commands/moderation');
+const { registerKolCommands } = require('./commands/kol');
+const { registerRewardCommands } = require('./commands/rewards');
+const { registerAdminCommands } = require('./commands/admin');
+const { escapeHtml } = require('./html');
+const { describeTelegramError, isRetryableError } = require('./telegramErrors');
+const { createUpdateQueue } = require('./updateQueue');
+const { createJsonDriver } = require('./storage/jsonDriver');
+const { normalizeLanguage, createTemplates } = require('./templates');
+
+/**
+ * Sets up every handler on the bot. Call start() once the bot should begin working.
+ * The config is validated by the caller (bot.js does it for the environment).
+ *
+ * @param {object} options
+ * @param {object} options.bot       node-telegram-bot-api client; its processUpdate is wrapped here,
+ *                                   so start polling only after this returns
+ * @param {object} options.storage   From lib/storage
+ * @param {object} [options.metrics] From lib/metrics
+ * @param {object} options.config
+ * @param {number[]} options.config.ownerIds                 ADMIN_USER_IDS
+ * @param {number} options.config.primaryGroupId             TARGET_GROUP_ID
+ * @param {number} options.config.verifyTimeoutMinutes       0 = never restrict or time out
+ * @param {string} options.config.verifyTimeoutAction        kick | mute
+ * @param {number} options.config.verifySweepIntervalSeconds
+ * @param {string} options.config.verifyChallenge            button | math | emoji | captcha
+ * @param {number} options.config.verifyMaxAttempts
+ * @param {number} options.config.fraudFlagThreshold
+ * @param {number} options.config.fraudBurstWindowMinutes
+ * @param {number} options.config.fraudBurstThreshold
+ * @param {number} options.config.fraudRecentAccountId
+ * @param {number} options.config.digestSweepIntervalSeconds
+ * @param {string} options.config.defaultLanguage
+ * @param {string|null} options.config.updateQueueFile       null keeps the update queue in memory
+ * @param {number} options.config.updateMaxAttempts
+ */
+function createApp({ bot, storage, metrics = createMetrics(), config }) {
+    const {
+        ownerIds: ADMIN_USER_IDS,
+        primaryGroupId: TARGET_GROUP_ID_NUMERIC,
+        verifyTimeoutMinutes: VERIFY_TIMEOUT_MINUTES,
+        verifyTimeoutAction: VERIFY_TIMEOUT_ACTION,
+        verifySweepIntervalSeconds: VERIFY_SWEEP_INTERVAL_SECONDS,
+        verifyChallenge: VERIFY_CHALLENGE,
+        verifyMaxAttempts: VERIFY_MAX_ATTEMPTS,
+        fraudFlagThreshold: FRAUD_FLAG_THRESHOLD,
+        fraudBurstWindowMinutes: FRAUD_BURST_WINDOW_MINUTES,
+        fraudBurstThreshold: FRAUD_BURST_THRESHOLD,
+        fraudRecentAccountId: FRAUD_RECENT_ACCOUNT_ID,
+        digestSweepIntervalSeconds: DIGEST_SWEEP_INTERVAL_SECONDS,
+        defaultLanguage: DEFAULT_LANGUAGE,
+        updateQueueFile: UPDATE_QUEUE_FILE,
+        updateMaxAttempts: UPDATE_MAX_ATTEMPTS
+    } = config;
+
+    // Joins, leaves and verification answers go through the update queue (see Update Queue below).
+    // Routed before instrumentTelegram wraps processUpdate, so queued updates are counted too.
+    const processUpdateDirectly = bot.processUpdate.bind(bot);
+    bot.processUpdate = (update) => routeUpdate(update);
+    instrumentTelegram(bot, metrics);
+
+    // Needed for t.me deep links (captcha prompts point users to the bot's DM); set by start()
+    let botUsername = null;
+
+    // --- Verification Deadlines ---
+    const verificationTimeouts = createVerificationTimeouts({
+        bot,
+        storage,
+        timeoutMinutes: VERIFY_TIMEOUT_MINUTES,
+        action: VERIFY_TIMEOUT_ACTION,
+        sweepIntervalMs: VERIFY_SWEEP_INTERVAL_SECONDS * 1000,
+        metrics
+    });
+
+    // --- Fraud Detection ---
+    const fraudDetector = createFraudDetector({
+        bot,
+        storage,
+        flagThreshold: FRAUD_FLAG_THRESHOLD,
+        burstWindowMinutes: FRAUD_BURST_WINDOW_MINUTES,
+        burstThreshold: FRAUD_BURST_THRESHOLD,
+        recentAccountMinId: FRAUD_RECENT_ACCOUNT_ID
+    });
+
+    // --- Admins ---
+    const adminRegistry = createAdminRegistry({ storage, ownerIds: ADMIN_USER_IDS });
+
+    // --- Digest Reports ---
+    const digestScheduler = createDigestScheduler({
+        bot,
+        storage,
+        getAdminIds: () => adminRegistry.ids(),
+        sweepIntervalMs: DIGEST_SWEEP_INTERVAL_SECONDS * 1000
+    });
+
+    // --- Reward Tiers ---
+    const rewards = createRewards({ bot, storage, getAdminIds: () => adminRegistry.ids() });
+
+    // --- Message Templates ---
+    const templates = createTemplates({ storage, defaultLanguage: DEFAULT_LANGUAGE });
+
+    // --- Paginated Replies ---
+    const paginator = createPaginator({ bot });
+
+    // --- Target Groups ---
+    const groupRegistry = createGroupRegistry({ bot, storage, primaryGroupId: TARGET_GROUP_ID_NUMERIC });
+
+    // --- Commands ---
+    // Returns the kol_accounts row for a user, or null (also on storage errors, which are logged).
+    // KOL accounts are Telegram users linked to a kol_name by an admin (lib/commands/kol.js).
+    async function getKolAccount(userId) {
+        try {
+            return await storage.kolAccounts.findByUserId(userId);
+        } catch (dbError) {
+            console.error(`Storage select error (KOL account) for user ${userId}:`, dbError.message);
+            return null;
+        }
+    }
+
+    // Role for permission checks; KOL accounts need a storage lookup, owners and admins don't
+    async function getUserRole(userId) {
+        if (adminRegistry.isOwner(userId)) return 'owner';
+        if (adminRegistry.isAdmin(userId)) return 'admin';
+        return (await getKolAccount(userId)) ? 'kol' : 'member';
+    }
+    const commands = createCommandRouter({ bot, getRole: getUserRole, getBotUsername: () => botUsername });
+    bot.on('message', (msg) => commands.handle(msg));
+    // Inline buttons; verify_ clicks don't come here, they go through the update queue (handleVerifyCallback)
+    bot.on('callback_query', (callbackQuery) => commands.handleCallback(callbackQuery));
+
+    // pg_<key>_<page> from paginated lists (/listkols, /leaderboard, /kolstats)
+    commands.registerButton('pg', {}, (callbackQuery) => paginator.handleCallback(callbackQuery));
+
+
+    // --- Verification Helpers ---
+
+    // Open challenge for a user in a group, creating one (without a group prompt) if the join predates challenges
+    async function getOrCreatePendingVerification(userId, groupId) {
+        const pending = await storage.pendingVerifications.find(userId, groupId);
+        if (pending && (pending.status === 'pending' || pending.status === 'locked')) return pending;
+        return verificationTimeouts.schedule({ userId, chatId: groupId, challenge: generateChallenge(VERIFY_CHALLENGE) });
+    }
+
+    // Runs steps right away, for code paths outside the update queue (see job.once in lib/updateQueue.js)
+    const DIRECT_JOB = { attempt: 1, once: (step, fn) => fn() };
+
+    // Counts a wrong answer and locks the user out once they run out of attempts
+    async function recordWrongAnswer(pending, job = DIRECT_JOB) {
+        const updated = await job.once('failedAttempt', async () => {
+            const row = await storage.pendingVerifications.recordFailedAttempt(pending);
+            if (row) {
+                metrics.increment('krom_verification_failures_total', { reason: 'wrong_answer' });
+                console.log(`User ${row.user_id} answered the ${row.challenge_type} challenge wrong (${row.attempts}/${VERIFY_MAX_ATTEMPTS}).`);
+                return row;
+            }
+            return storage.pendingVerifications.find(pending.user_id, pending.chat_id); // Lost a race with another click
+        });
+        if (!updated || updated.status !== 'pending') return { lockedOut: updated?.status === 'locked', attemptsLeft: 0 };
+        if (updated.attempts >= VERIFY_MAX_ATTEMPTS) {
+            await job.once('lockOut', () => verificationTimeouts.lockOut(updated));
+            return { lockedOut: true, attemptsLeft: 0 };
+        }
+        return { lockedOut: false, attemptsLeft: VERIFY_MAX_ATTEMPTS - updated.attempts };
+    }
+
+    // Group a verify_ click belongs to: the group it was pressed in, or for prompts in DM the
+    // user's latest open challenge (falling back to their latest referral)
+    async function resolveVerificationGroup(userId, chatId) {
+        if (groupRegistry.isTracked(chatId)) return chatId;
+        const pending = await storage.pendingVerifications.findLatestPendingForUser(userId);
+        if (pending) return Number(pending.chat_id);
+        const latest = await storage.referrals.findLatestForUser(userId);
+        return latest?.group_id != null ? Number(latest.group_id) : TARGET_GROUP_ID_NUMERIC;
+    }
+
+    // Marks the referral verified and lifts the join restriction. Null if nothing was updated.
+    async function completeVerification(userId, groupId, job = DIRECT_JOB) {
+        const updateData = await job.once('markVerified', async () => {
+            const row = await storage.referrals.markVerified(userId, groupId);
+            if (row) metrics.increment('krom_verifications_total');
+            return row;
+        });
+        if (updateData) {
+            await job.once('release', () => verificationTimeouts.release(groupId, userId));
+            await job.once('verifyEvent', () => storage.referralEvents.record({
+                userId, chatId: groupId, eventType: 'verify', kolName: updateData.referred_by_kol_name, userName: updateData.user_name
+            }));
+            await job.once('deepLinkVerify', () => storage.deepLinkVisits.markVerified(userId, groupId));
+            rewards.checkMilestones(updateData.referred_by_kol_name); // Not awaited: the user's confirmation shouldn't wait for notifications
+        }
+        return updateData;
+    }
+
+    // Template context (lib/templates.js) for a member: their language, the scope of their
+    // referral and their name for {user}. kolName and groupLabel are looked up when not given.
+    async function memberTemplateContext(user, groupId, { kolName, groupLabel } = {}) {
+        if (kolName === undefined && groupId !== null) {
+            try {
+                kolName = (await storage.referrals.findByUserId(user.id, groupId))?.referred_by_kol_name ?? null;
+            } catch (dbError) {
+                console.error(`Storage select error (template scope) for user ${user.id}:`, dbError.message);
+                kolName = null;
+            }
+        }
+        return {
+            language: user.language_code,
+            kolName: kolName ?? null,
+            groupId,
+            values: {
+                user: { id: user.id, name: user.first_name || user.username || `User ${user.id}` },
+                kol: kolName ?? null,
+                group: groupLabel ?? (groupId !== null ? groupRegistry.label(groupId) : null)
+            }
+        };
+    }
+
+    // The challenge's question in the member's language. Challenges stored before they had
+    // params (see lib/challenges.js) keep the English question they were created with.
+    function challengeQuestion(challenge, context) {
+        const { params } = challenge;
+        switch (challenge.type) {
+            case 'math':
+                return params ? renderWith('challenge_math', context, params) : challenge.question;
+            case 'emoji': {
+                if (!params) return challenge.question;
+                const language = normalizeLanguage(context.language) || DEFAULT_LANGUAGE;
+                return renderWith('challenge_emoji', context, { target: emojiName(params.target, language) });
+            }
+            case 'captcha':
+                return templates.render('challenge_captcha', context);
+            default:
+                return templates.render('challenge_button', context);
+        }
+    }
+
+    // Texts of the challenge prompt itself, for buildPrompt
+    function promptLabels(context) {
+        return {
+            verifyButton: templates.render('verify_button', context),
+            verifyInDmButton: templates.render('verify_dm_button', context),
+            captchaHint: templates.render('captcha_hint', context)
+        };
+    }
+
+    // Sends a challenge prompt built with inPrivateChat; captchas come as a picture with the text as caption
+    function sendPrivatePrompt(chatId, text, prompt) {
+        if (prompt.photo) {
+            return bot.sendPhoto(chatId, prompt.photo, { caption: text, parse_mode: 'HTML' }, { filename: 'captcha.png', contentType: 'image/png' });
+        }
+        return bot.sendMessage(chatId, text, { parse_mode: 'HTML', reply_markup: prompt.reply_markup });
+    }
+
+    // Template with a value added, e.g. renderWith('wrong_answer', context, { attempts: 2 })
+    function renderWith(key, context, values) {
+        return templates.render(key, { ...context, values: { ...context.values, ...values } });
+    }
+
+
+    // --- Group Helpers ---
+
+    // Pulls group=<chat id|title> out of command arguments (quote titles with spaces: group="My Group").
+    // groupId is null when no group was given.
+    function extractGroupOption(argString) {
+        const text = argString || '';
+        const match = text.match(/(?:^|\s)group=(?:"([^"]*)"|(\S+))/i);
+        if (!match) return { groupId: null, rest: text, error: null };
+        const reference = match[1] ?? match[2];
+        const groupId = groupRegistry.resolve(reference);
+        const rest = `${text.slice(0, match.index)} ${text.slice(match.index + match[0].length)}`.trim();
+        return { groupId, rest, error: groupId === null ? `Unknown group "${reference}". See /groups for tracked groups.` : null };
+    }
+
+    // " in <group>" for scoped replies, " in all groups" for totals (only once there is more than one)
+    function groupScopeLabel(groupId) {
+        if (groupId !== null) return ` in ${groupRegistry.label(groupId)}`;
+        return groupRegistry.isMultiGroup() ? ' in all groups' : '';
+    }
+
+
+    // --- Chat Member Updates (queued) ---
+    // Handlers of queued updates (see Update Queue below) throw when a retry could help:
+    // storage errors and Telegram errors isRetryableError() accepts. Every side effect is
+    // a job step, so a retry picks up where the failed try stopped.
+
+    // Logs a failed Bot API call and rethrows it if a retry could help; otherwise the caller carries on
+    function handleTelegramError(tgError, what) {
+        console.error(`❌ Failed to ${what}:`, describeTelegramError(tgError));
+        if (isRetryableError(tgError)) throw tgError;
+    }
+
+    async function handleChatMember(update, job) {
+        const eventChatId = update.chat.id;
+        const chatTitle = update.chat.title || update.chat.username || 'Unknown Chat';
+
+        if (!groupRegistry.isTracked(eventChatId)) { return; } // Ignore other chats
+        groupRegistry.noteTitle(eventChatId, update.chat.title);
+
+        const newUser = update.new_chat_member.user;
+        const oldStatus = update.old_chat_member?.status || '[null]';
+        const newStatus = update.new_chat_member.status;
+        const rawUserName = newUser.first_name || newUser.username || `User ${newUser.id}`;
+        const safeUserName = escapeHtml(rawUserName); // Use escaped name for HTML output
+
+        console.log(`Chat member update in tracked group (${chatTitle}): User ${safeUserName} (ID: ${newUser.id}) changed status from ${oldStatus} to ${newStatus}`);
+
+        // --- Handle User Joining ---
+        if (newStatus === 'member' && (oldStatus === 'left' || oldStatus === 'kicked' || oldStatus === '[null]')) {
+            console.log(`User ${safeUserName} (ID: ${newUser.id}) JOINED tracked group ${eventChatId}.`);
+
+            // Looked up once: after this try records the join, the history would say rejoin
+            const joinEventType = await job.once('joinEventType', async () =>
+                (await storage.referralEvents.hasJoinedBefore(newUser.id, eventChatId)) ? 'rejoin' : 'join');
+
+            // --- Approved Join Request ---
+            // Requesters who passed the challenge in DM are already attributed and verified
+            if (update.via_join_request) {
+                const joinRequest = await storage.joinRequests.find(newUser.id, eventChatId);
+                if (joinRequest?.status === 'pending') {
+                    await storage.joinRequests.decide(newUser.id, eventChatId, 'approved', null); // Approved outside the bot
+                }
+                const joinedReferral = await job.once('joinedFromRequest', () => storage.referrals.markJoinedFromRequest(newUser.id, eventChatId));
+                if (joinedReferral?.verified) {
+                    await job.once('joinEvent', async () => {
+                        await storage.referralEvents.record({
+                            userId: newUser.id, chatId: eventChatId, eventType: joinEventType,
+                            linkUrl: update.invite_link?.invite_link ?? joinRequest?.link_url ?? null,
+                            kolName: joinedReferral.referred_by_kol_name, userName: rawUserName
+                        });
+                        metrics.increment('krom_joins_total', { kind: 'referral' });
+                    });
+                    console.log(`User ${safeUserName} (ID: ${newUser.id}) joined through an approved request, already verified for KOL ${joinedReferral.referred_by_kol_name}.`);
+                    return;
+                }
+                // Approved by an admin before verifying: continue below like a normal join
+            }
+
+            const inviteLinkUrl = update.invite_link?.invite_link;
+            if (inviteLinkUrl) {
+                console.log(`User ${safeUserName} joined via link: ${inviteLinkUrl}`);
+
+                // Check if link exists in storage
+                const kolName = await job.once('kolName', async () => {
+                    const linkData = await storage.kolLinks.findByUrl(inviteLinkUrl); // One row or null
+                    // Invite links belong to one chat, so a mismatch means the rows are out of sync
+                    if (linkData && linkData.group_id != null && Number(linkData.group_id) !== eventChatId) {
+                        console.warn(`Link ${inviteLinkUrl} is tracked for group ${linkData.group_id}, not ${eventChatId}. Not recording referral.`);
+                        return null;
+                    }
+                    return linkData?.kol_name ?? null;
+                });
+
+                // Keep the join in the history whatever happens next (fraud scoring reads it)
+                await job.once('joinEvent', () => storage.referralEvents.record({ userId: newUser.id, chatId: eventChatId, eventType: joinEventType, linkUrl: inviteLinkUrl, kolName, userName: rawUserName }));
+
+                // Users locked out by wrong challenge answers don't get a fresh set of attempts by rejoining
+                const lockedOut = kolName !== null && await job.once('lockedOut', async () =>
+                    (await storage.pendingVerifications.find(newUser.id, eventChatId))?.status === 'locked');
+
+                if (kolName && lockedOut) {
+                    await job.once('referral', () => {
+                        metrics.increment('krom_joins_total', { kind: 'locked_out' });
+                        console.warn(`User ${safeUserName} (ID: ${newUser.id}) rejoined via ${kolName}'s link but is locked out of verification. Not recording referral.`);
+                    });
+                    await job.once('restrict', () => verificationTimeouts.restrict(eventChatId, newUser.id));
+                } else if (kolName) {
+                    console.log(`Link corresponds to KOL: ${kolName}. Recording referral & sending prompt.`);
+
+                    // 1. Score the join, then Save/Update Referral in storage
+                    await job.once('referral', async () => {
+                        let fraud;
+                        try {
+                            fraud = await fraudDetector.assessJoin({ user: newUser, chatId: eventChatId, linkUrl: inviteLinkUrl, kolName });
+                            if (fraud.flagged) console.warn(`🚩 Referral of user ${newUser.id} via ${kolName} flagged as suspicious (score ${fraud.score}): ${fraud.reasons.join('; ')}`);
+                        } catch (fraudError) {
+                            console.error(`Fraud scoring failed for user ${newUser.id}, recording unscored:`, fraudError.message);
+                        }
+
+                        // Updates the existing row (based on user_id and group) on re-join, inserts otherwise
+                        await storage.referrals.recordJoin({ userId: newUser.id, groupId: eventChatId, kolName, userName: rawUserName, fraud });
+
+                        metrics.increment('krom_joins_total', { kind: 'referral' });
+                        console.log(`✅ Referral recorded/updated in storage for User ${safeUserName} (ID: ${newUser.id}).`);
+                    });
+
+                    // Funnel: the join of someone who got this link from a KOL's deep link (see /funnel)
+                    await job.once('deepLinkJoin', () => storage.deepLinkVisits.markJoined({ userId: newUser.id, groupId: eventChatId, linkUrl: inviteLinkUrl }));
+
+                    // 2. Restrict until verified (no-op when deadlines are disabled)
+                    await job.once('restrict', () => verificationTimeouts.restrict(eventChatId, newUser.id));
+
+                    // 3. Send Verification Prompt (challenge) to Group
+                    const challenge = await job.once('challenge', () => generateChallenge(VERIFY_CHALLENGE));
+                    const promptMessageId = await job.once('prompt', async () => {
+                        try {
+                            const context = await memberTemplateContext(newUser, eventChatId, { kolName, groupLabel: chatTitle });
+                            const prompt = buildPrompt(challenge, newUser.id, { question: challengeQuestion(challenge, context), botUsername, labels: promptLabels(context) });
+                            const verificationMessageText = `${templates.render('group_welcome', context)}\n\n${prompt.text}`;
+                            const options = { parse_mode: 'HTML', reply_markup: prompt.reply_markup };
+                            const promptMessage = await bot.sendMessage(eventChatId, verificationMessageText, options);
+                            console.log(`Verification prompt sent to group for user ${newUser.id}`);
+                            return promptMessage.message_id;
+                        } catch (tgError) {
+                            handleTelegramError(tgError, `send verification message to group for user ${newUser.id}`);
+                            return null;
+                        }
+                    });
+
+                    // 4. Persist challenge and deadline (kept even without a prompt: the user can still verify via /start in DM)
+                    await job.once('schedule', () => verificationTimeouts.schedule({
+                        userId: newUser.id,
+                        chatId: eventChatId,
+                        promptChatId: promptMessageId !== null ? eventChatId : null,
+                        promptMessageId,
+                        challenge
+                    }));
+
+                } else {
+                    metrics.increment('krom_joins_total', { kind: 'untracked' });
+                    console.log(`User ${safeUserName} joined via link (${inviteLinkUrl}), but link not found in DB.`);
+                }
+            } else {
+                console.log(`User ${safeUserName} joined, but invite link info not provided by API. No referral recorded.`);
+                await job.once('joinEvent', async () => {
+                    await storage.referralEvents.record({ userId: newUser.id, chatId: eventChatId, eventType: joinEventType, userName: rawUserName });
+                    metrics.increment('krom_joins_total', { kind: 'untracked' });
+                });
+            }
+        }
+        // --- Handle User Leaving/Being Kicked ---
+        // kicked -> left is just an unban (e.g. after a verification timeout kick), not a second leave
+        else if ((newStatus === 'left' || newStatus === 'kicked') && oldStatus !== 'left' && oldStatus !== 'kicked') {
+            console.log(`User ${safeUserName} (ID: ${newUser.id}) LEFT or was KICKED.`);
+            await job.once('cancel', () => verificationTimeouts.cancel(eventChatId, newUser.id)); // Drop any pending deadline and prompt
+
+            // Attribution is kept; only the membership status changes
+            const leftReferral = await job.once('markLeft', () => storage.referrals.markLeft(newUser.id, eventChatId, newStatus));
+
+            await job.once('leaveEvent', () => storage.referralEvents.record({
+                userId: newUser.id,
+                chatId: eventChatId,
+                eventType: newStatus === 'kicked' ? 'kick' : 'leave',
+                kolName: leftReferral?.referred_by_kol_name ?? null,
+                userName: rawUserName
+            }));
+
+            if (leftReferral) {
+                console.log(`Marked referral of user ${newUser.id} (KOL: ${leftReferral.referred_by_kol_name}) as ${newStatus}.`);
+            } else {
+                console.log(`User ${newUser.id} left/kicked, but no active referral found.`);
+            }
+        }
+    }
+
+    // --- Join Requests ("approve new members" groups, queued) ---
+    async function handleJoinRequest(request, job) {
+        const requestChatId = request.chat.id;
+        if (!groupRegistry.isTracked(requestChatId)) { return; } // Ignore other chats
+        groupRegistry.noteTitle(requestChatId, request.chat.title);
+
+        const requester = request.from;
+        const rawUserName = requester.first_name || requester.username || `User ${requester.id}`;
+        const safeUserName = escapeHtml(rawUserName);
+        const inviteLinkUrl = request.invite_link?.invite_link ?? null;
+        const chatTitle = request.chat.title || 'the group';
+
+        console.log(`Join request for tracked group ${requestChatId} from ${safeUserName} (ID: ${requester.id})` + (inviteLinkUrl ? ` via link: ${inviteLinkUrl}` : ''));
+
+        const kolName = await job.once('kolName', async () => {
+            if (!inviteLinkUrl) return null;
+            const linkData = await storage.kolLinks.findByUrl(inviteLinkUrl);
+            return linkData && (linkData.group_id == null || Number(linkData.group_id) === requestChatId) ? linkData.kol_name : null;
+        });
+
+        await job.once('request', () => storage.joinRequests.upsert({
+            userId: requester.id, chatId: requestChatId, userChatId: request.user_chat_id, linkUrl: inviteLinkUrl, kolName, userName: rawUserName
+        }));
+        await job.once('requestEvent', () => storage.referralEvents.record({ userId: requester.id, chatId: requestChatId, eventType: 'request', linkUrl: inviteLinkUrl, kolName, userName: rawUserName }));
+
+        if (!kolName) {
+            console.log(`Join request of user ${requester.id} did not come through a tracked KOL link. Left for manual approval (/joinrequests).`);
+            return;
+        }
+
+        // Locked-out users don't get a fresh set of attempts by requesting again
+        const lockedOut = await job.once('lockedOut', async () =>
+            (await storage.pendingVerifications.find(requester.id, requestChatId))?.status === 'locked');
+        if (lockedOut) {
+            await job.once('decline', async () => {
+                console.warn(`Declining join request of locked-out user ${requester.id} (via ${kolName}).`);
+                try {
+                    await bot.declineChatJoinRequest(requestChatId, requester.id);
+                } catch (tgError) {
+                    handleTelegramError(tgError, `decline join request of locked-out user ${requester.id}`);
+                }
+            });
+            await job.once('declined', () => storage.joinRequests.decide(requester.id, requestChatId, 'declined', null));
+            return;
+        }
+
+        await job.once('referral', async () => {
+            let fraud;
+            try {
+                fraud = await fraudDetector.assessJoin({ user: requester, chatId: requestChatId, linkUrl: inviteLinkUrl, kolName });
+                if (fraud.flagged) console.warn(`🚩 Join request of user ${requester.id} via ${kolName} flagged as suspicious (score ${fraud.score}): ${fraud.reasons.join('; ')}`);
+            } catch (fraudError) {
+                console.error(`Fraud scoring failed for join request of user ${requester.id}, recording unscored:`, fraudError.message);
+            }
+            await storage.referrals.recordJoin({ userId: requester.id, groupId: requestChatId, kolName, userName: rawUserName, fraud, membershipStatus: 'requested' });
+        });
+
+        // Challenge goes to the requester's DM; passing it approves the request
+        const challenge = await job.once('challenge', () => generateChallenge(VERIFY_CHALLENGE));
+        const promptMessageId = await job.once('prompt', async () => {
+            try {
+                const context = await memberTemplateContext(requester, requestChatId, { kolName, groupLabel: chatTitle });
+                const prompt = buildPrompt(challenge, requester.id, { question: challengeQuestion(challenge, context), inPrivateChat: true, labels: promptLabels(context) });
+                const text = `${templates.render('join_request_prompt', context)}\n\n${prompt.text}`;
+                const promptMessage = await sendPrivatePrompt(request.user_chat_id, text, prompt);
+                console.log(`Verification challenge sent to join requester ${requester.id} in DM.`);
+                return promptMessage.message_id;
+            } catch (tgError) {
+                handleTelegramError(tgError, `send verification challenge to join requester ${requester.id}`);
+                return null;
+            }
+        });
+
+        await job.once('schedule', () => verificationTimeouts.schedule({
+            userId: requester.id,
+            chatId: requestChatId,
+            promptChatId: promptMessageId !== null ? request.user_chat_id : null,
+            promptMessageId,
+            challenge,
+            source: 'join_request'
+        }));
+    }
+
+    // --- Verification Answers (queued) ---
+
+    // Callback queries expire after a while, and a retried update may answer one that is gone: never fatal
+    async function answerCallback(callbackQueryId, options) {
+        try {
+            await bot.answerCallbackQuery(callbackQueryId, options);
+        } catch (tgError) {
+            console.warn(`Could not answer callback query ${callbackQueryId}:`, describeTelegramError(tgError));
+        }
+    }
+
+    // Turns a verification prompt into its final text. "Message is not modified" means an earlier try did it.
+    async function finishPrompt(chatId, messageId, text, userId, { parseMode = 'HTML' } = {}) {
+        const target = { chat_id: chatId, message_id: messageId, parse_mode: parseMode, reply_markup: {} };
+        try {
+            try {
+                await bot.editMessageText(text, target);
+            } catch (textError) {
+                if (!describeTelegramError(textError).includes('no text in the message')) throw textError;
+                await bot.editMessageCaption(text, target); // Captcha prompts in DM are pictures
+            }
+            console.log(`Edited verification message for user ${userId} in chat ${chatId}.`);
+        } catch (editError) {
+            if (describeTelegramError(editError).includes('message is not modified')) {
+                console.log(`Message for user ${userId} was already edited.`);
+            } else {
+                handleTelegramError(editError, `edit verification message for user ${userId}`);
+            }
+        }
+    }
+
+    // verify_ button clicks
+    async function handleVerifyCallback(callbackQuery, job) {
+        const message = callbackQuery.message;
+        const userIdWhoClicked = callbackQuery.from.id;
+        const callbackQueryId = callbackQuery.id;
+        const chatWhereButtonPressed = message.chat.id;
+        const messageWithButtonId = message.message_id;
+
+        console.log(`Received callback_query from User ID: ${userIdWhoClicked} with data: ${callbackQuery.data} in chat ${chatWhereButtonPressed}`);
+
+        // verify_<userId>_<optionIndex>; prompts sent before challenges existed carry no option
+        const [, userIdPart, optionPart] = callbackQuery.data.split('_');
+        const userIdToVerify = parseInt(userIdPart, 10);
+        const optionIndex = optionPart === undefined ? undefined : parseInt(optionPart, 10);
+
+        // --- Security Check ---
+        if (userIdWhoClicked !== userIdToVerify) {
+            console.warn(`Security Alert: User ${userIdWhoClicked} tried to verify user ${userIdToVerify}!`);
+            const context = await memberTemplateContext(callbackQuery.from, null);
+            return answerCallback(callbackQueryId, { text: templates.render('not_your_prompt', context), show_alert: true });
+        }
+
+        console.log(`Processing verification request for User ID: ${userIdToVerify}`);
+
+        let context = await memberTemplateContext(callbackQuery.from, null);
+        try {
+            // --- Challenge Check ---
+            // The challenge as it was when the click first got here: a retry must not take its own
+            // earlier progress (the verification it completed) for the click's outcome
+            const { groupId, pending } = await job.once('challenge', async () => {
+                const verificationGroupId = await resolveVerificationGroup(userIdToVerify, chatWhereButtonPressed);
+                return { groupId: verificationGroupId, pending: await storage.pendingVerifications.find(userIdToVerify, verificationGroupId) };
+            });
+            context = await memberTemplateContext(callbackQuery.from, groupId);
+            const challengeOpen = pending?.status === 'pending';
+
+            if (challengeOpen && !isCorrectAnswer(pending, { optionIndex })) {
+                const { lockedOut, attemptsLeft } = await recordWrongAnswer(pending, job);
+                const text = lockedOut
+                    ? templates.render('locked_out', context)
+                    : renderWith('wrong_answer', context, { attempts: attemptsLeft });
+                return answerCallback(callbackQueryId, { text, show_alert: true });
+            }
+
+            // Attempt to update verification status in storage
+            // Null means no unverified row matched (likely already verified or doesn't exist),
+            // or there is no open challenge this click could have answered
+            const updateData = challengeOpen ? await completeVerification(userIdToVerify, groupId, job) : null;
+
+            if (updateData) {
+                // --- Verification Success ---
+                console.log(`✅ User ${userIdToVerify} successfully verified in storage.`);
+                await answerCallback(callbackQueryId, { text: templates.render('verified_alert', context) });
+                await finishPrompt(chatWhereButtonPressed, messageWithButtonId, templates.render('verified', context), userIdToVerify);
+                return;
+            }
+
+            // --- Already Verified or User Not Found for Update ---
+            // Check the current status from the DB again to give accurate feedback
+            const checkData = await storage.referrals.findByUserId(userIdToVerify, groupId);
+            if (checkData?.verification_status === 'expired') {
+                console.log(`User ${userIdToVerify} clicked verification after their deadline expired.`);
+                await answerCallback(callbackQueryId, { text: templates.render('expired', context), show_alert: true });
+            } else if (checkData?.verification_status === 'locked') {
+                console.log(`User ${userIdToVerify} clicked verification but is locked out.`);
+                await answerCallback(callbackQueryId, { text: templates.render('locked_out', context), show_alert: true });
+            } else if (checkData?.verified) {
+                // User exists and is already verified
+                console.log(`User ${userIdToVerify} clicked verification but was already verified in DB.`);
+                await answerCallback(callbackQueryId, { text: templates.render('already_verified_alert', context) });
+                // Edit the message just in case the button is still there
+                await finishPrompt(chatWhereButtonPressed, messageWithButtonId, templates.render('already_verified', context), userIdToVerify);
+            } else if (checkData) {
+                // Unverified, but this click doesn't belong to an open challenge (e.g. an outdated prompt)
+                console.log(`User ${userIdToVerify} clicked a verification prompt without an open challenge.`);
+                await answerCallback(callbackQueryId, { text: templates.render('outdated_prompt', context), show_alert: true });
+            } else {
+                // User not found in DB after attempting update
+                console.warn(`Verification callback for User ID: ${userIdToVerify}, but user not found.`);
+                await answerCallback(callbackQueryId, { text: templates.render('not_verifiable', context), show_alert: true });
+                await finishPrompt(chatWhereButtonPressed, messageWithButtonId, templates.render('not_verifiable', context), userIdToVerify, { parseMode: undefined });
+            }
+        } catch (error) {
+            // The update queue retries; the user hears about it once, while the click is fresh
+            console.error(`Error during verification callback for user ${userIdToVerify}:`, describeTelegramError(error));
+            if (job.attempt === 1) await answerCallback(callbackQueryId, { text: templates.render('error', context), show_alert: true });
+            throw error;
+        }
+    }
+
+    // Typed captcha answers (any private text that isn't a command)
+    async function handleCaptchaAnswer(msg, job) {
+        const userId = msg.from.id;
+
+        // Replies are steps too: a retry after a later failure must not send them twice
+        const reply = (text) => job.once('reply', async () => {
+            try {
+                await bot.sendMessage(msg.chat.id, text);
+            } catch (tgError) {
+                handleTelegramError(tgError, `reply to captcha answer of user ${userId}`);
+            }
+        });
+
+        let context = await memberTemplateContext(msg.from, null);
+        try {
+            const pending = await job.once('challenge', () => storage.pendingVerifications.findLatestPendingForUser(userId, { challengeType: 'captcha' }));
+            if (pending?.status !== 'pending' || pending.challenge_type !== 'captcha') return; // Not waiting for a typed answer
+
+            context = await memberTemplateContext(msg.from, Number(pending.chat_id));
+            if (!isCorrectAnswer(pending, { text: msg.text })) {
+                const { lockedOut, attemptsLeft } = await recordWrongAnswer(pending, job);
+                return reply(lockedOut
+                    ? templates.render('locked_out', context)
+                    : renderWith('wrong_code', context, { attempts: attemptsLeft }));
+            }
+
+            const updateData = await completeVerification(userId, Number(pending.chat_id), job);
+            if (!updateData) return reply(templates.render('not_verifiable', context));
+
+            console.log(`✅ User ${userId} successfully verified in storage (captcha).`);
+            await reply(templates.render('verified_alert', context));
+
+            // Update the group prompt as well, it still shows the "Verify in private chat" button
+            if (pending.prompt_chat_id && pending.prompt_message_id) {
+                await finishPrompt(pending.prompt_chat_id, pending.prompt_message_id, templates.render('verified', context), userId);
+            }
+        } catch (error) {
+            // The update queue retries; the user hears about it once, right after answering
+            console.error(`Error during captcha verification for user ${userId}:`, describeTelegramError(error));
+            if (job.attempt === 1) {
+                await bot.sendMessage(msg.chat.id, templates.render('error', context))
+                    .catch(tgError => console.warn(`Could not tell user ${userId} about the error:`, describeTelegramError(tgError)));
+            }
+            throw error;
+        }
+    }
+
+    // --- Update Queue ---
+    // Handled by the handlers above, with retries; see lib/updateQueue.js
+    const queuedUpdateHandlers = {
+        chat_member: handleChatMember,
+        chat_join_request: handleJoinRequest,
+        verify_callback: handleVerifyCallback,
+        captcha_answer: handleCaptchaAnswer
+    };
+
+    // Admins hear about dead letters at most this often, so an outage doesn't flood their DMs
+    const DEAD_LETTER_NOTICE_INTERVAL_MS = 15 * 60 * 1000;
+    let lastDeadLetterNoticeAt = 0;
+    let unnoticedDeadLetters = 0;
+
+    function notifyDeadLetter(row) {
+        unnoticedDeadLetters++;
+        if (Date.now() - lastDeadLetterNoticeAt < DEAD_LETTER_NOTICE_INTERVAL_MS) return;
+        const count = unnoticedDeadLetters;
+        lastDeadLetterNoticeAt = Date.now();
+        unnoticedDeadLetters = 0;
+        const text = `⚠️ ${count} update(s) could not be handled and were moved to the dead-letter list.\n` +
+            `Latest: ${row.kind} of user ${row.key} (${row.last_error})\n\nReview and replay them with /deadletters.`;
+        for (const adminId of adminRegistry.ids()) {
+            bot.sendMessage(adminId, text)
+                .catch(tgError => console.warn(`Could not send dead-letter notice to admin ${adminId}:`, describeTelegramError(tgError)));
+        }
+    }
+
+    // The queue keeps its own file: the main storage is what may be down while updates come in.
+    // Journaled, since every step of every update is a write.
+    const updateQueue = createUpdateQueue({
+        driver: createJsonDriver({ file: UPDATE_QUEUE_FILE, journal: true }),
+        handlers: queuedUpdateHandlers,
+        maxAttempts: UPDATE_MAX_ATTEMPTS,
+        onDeadLetter: notifyDeadLetter,
+        metrics
+    });
+
+    // Kind, key (the user it is about) and payload of updates that go through the queue, or null
+    function queuedUpdate(update) {
+        if (update.chat_member) {
+            return { kind: 'chat_member', key: update.chat_member.new_chat_member.user.id, payload: update.chat_member };
+        }
+        if (update.chat_join_request) {
+            return { kind: 'chat_join_request', key: update.chat_join_request.from.id, payload: update.chat_join_request };
+        }
+        if (update.callback_query?.data?.startsWith('verify_')) {
+            return { kind: 'verify_callback', key: update.callback_query.from.id, payload: update.callback_query };
+        }
+        const msg = update.message;
+        if (msg?.chat.type === 'private' && msg.from && msg.text && !msg.text.startsWith('/')) {
+            return { kind: 'captcha_answer', key: msg.from.id, payload: msg };
+        }
+        return null;
+    }
+
+    // Stands in for bot.processUpdate. Resolves once a queued update is stored (the webhook answers Telegram then).
+    async function routeUpdate(update) {
+        const queued = queuedUpdate(update);
+        if (!queued) return processUpdateDirectly(update);
+        try {
+            await updateQueue.enqueue({ update_id: update.update_id, ...queued });
+        } catch (queueError) {
+            // Better handled once without retries than not at all
+            console.error(`❌ Could not store update ${update.update_id} in the update queue, handling it without retries:`, queueError.message);
+            queuedUpdateHandlers[queued.kind](queued.payload, DIRECT_JOB)
+                .catch(err => console.error(`Error handling update ${update.update_id} (${queued.kind}):`, describeTelegramError(err)));
+        }
+    }
+
+    // --- Command Handlers ---
+    // Each group of commands is a module in lib/commands that registers its commands and
+    // buttons on the router. Registration order is the order of /help.
+    const commandDeps = {
+        bot, storage, metrics, config, commands,
+        adminRegistry, groupRegistry, templates, paginator, rewards, digestScheduler, verificationTimeouts, updateQueue,
+        getBotUsername: () => botUsername,
+        extractGroupOption, groupScopeLabel, getKolAccount,
+        memberTemplateContext, renderWith, getOrCreatePendingVerification, challengeQuestion, promptLabels, sendPrivatePrompt
+    };
+    const linkHelpers = registerLinkCommands(commandDeps);
+    const deepLinkHelpers = registerDeepLinkCommands({ ...commandDeps, ...linkHelpers });
+    registerStartCommand({ ...commandDeps, ...deepLinkHelpers });
+    registerGroupCommands(commandDeps);
+    registerStatsCommands({ ...commandDeps, ...linkHelpers, ...deepLinkHelpers });
+    registerModerationCommands(commandDeps);
+    registerKolCommands({ ...commandDeps, ...linkHelpers, ...deepLinkHelpers });
+    registerRewardCommands(commandDeps);
+    registerAdminCommands(commandDeps);
+
+    // --- Error Handling ---
+    bot.on('polling_error', (error) => { console.error(`Polling error: ${error.code} - ${error.message}`); });
+    bot.on('webhook_error', (error) => { console.error(`Webhook error: ${error.code} - ${error.message}`); });
+    bot.on('error', (error) => { console.error('General Bot Error:', error); });
+
+    return {
+        commands,
+        updateQueue,
+
+        // Loads admins, groups and templates and starts the background jobs. Never rejects:
+        // what fails to load falls back to the defaults and is logged.
+        async start() {
+            await Promise.all([
+                bot.getMe()
+                    .then(me => { botUsername = me.username; console.log(`Running as @${botUsername}`); })
+                    .catch(error => console.error('Failed to fetch bot info (getMe):', error.message)),
+                adminRegistry.load().catch(err => console.error('Failed to load admins (only owners from ADMIN_USER_IDS have admin rights):', err.message)),
+                templates.load().catch(err => console.error('Failed to load message templates (built-in texts are used):', err.message)),
+                groupRegistry.load().catch(err => console.error('Failed to load tracked groups (only the primary group is tracked):', err.message))
+            ]);
+            verificationTimeouts.start();
+            digestScheduler.start();
+            updateQueue.start();
+        },
+
+        // Stops the background jobs (updates still arriving are stored, not handled)
+        stop() {
+            verificationTimeouts.stop();
+            digestScheduler.stop();
+            updateQueue.stop();
+        }
+    };
+}
+
+module.exports = { createApp };
@@ -0,0 +1,137 @@
+// KROM Referral Bot - Captcha images
+// Draws the digits of a captcha code into a PNG: every digit gets its own size,
+// slant and position, the whole picture is warped by a random wave, and speckles
+// and crossing lines are drawn over it. A fresh picture is drawn each time, so
+// sending the same code twice doesn't give OCR a second identical sample.
+// Only Node's zlib is needed (PNG is deflate plus a CRC per chunk).
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+const WIDTH = 240;
+const HEIGHT = 90;
+
+// 5x7 bitmap digits
+const FONT = {
+    0: ['01110', '10001', '10011', '10101', '11001', '10001', '01110'],
+    1: ['00100', '01100', '00100', '00100', '00100', '00100', '01110'],
+    2: ['01110', '10001', '00001', '00010', '00100', '01000', '11111'],
+    3: ['11110', '00001', '00001', '01110', '00001', '00001', '11110'],
+    4: ['00010', '00110', '01010', '10010', '11111', '00010', '00010'],
+    5: ['11111', '10000', '11110', '00001', '00001', '10001', '01110'],
+    6: ['00110', '01000', '10000', '11110', '10001', '10001', '01110'],
+    7: ['11111', '00001', '00010', '00100', '01000', '01000', '01000'],
+    8: ['01110', '10001', '10001', '01110', '10001', '10001', '01110'],
+    9: ['01110', '10001', '10001', '01111', '00001', '00010', '01100']
+};
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT = 7;
+
+// --- Randomness ---
+function randomFloat(min, max) {
+    return min + (crypto.randomInt(0, 1000001) / 1000000) * (max - min);
+}
+
+// --- Drawing ---
+function placeGlyphs(code) {
+    const cellWidth = WIDTH / (code.length + 1);
+    return code.split('').map((digit, index) => ({
+        rows: FONT[digit],
+        centerX: cellWidth * (index + 1) + randomFloat(-cellWidth / 5, cellWidth / 5),
+        centerY: HEIGHT / 2 + randomFloat(-HEIGHT / 10, HEIGHT / 10),
+        scale: randomFloat(5.5, 7), // Pixels per font dot
+        angle: randomFloat(-0.25, 0.25),
+        ink: crypto.randomInt(0, 90)
+    }));
+}
+
+function glyphCovers(glyph, x, y) {
+    const dx = x - glyph.centerX;
+    const dy = y - glyph.centerY;
+    const cos = Math.cos(-glyph.angle);
+    const sin = Math.sin(-glyph.angle);
+    const u = (dx * cos - dy * sin) / glyph.scale + GLYPH_WIDTH / 2;
+    const v = (dx * sin + dy * cos) / glyph.scale + GLYPH_HEIGHT / 2;
+    if (u < 0 || v < 0 || u >= GLYPH_WIDTH || v >= GLYPH_HEIGHT) return false;
+    return glyph.rows[Math.floor(v)][Math.floor(u)] === '1';
+}
+
+function drawLine(pixels, ink) {
+    const [x0, y0] = [randomFloat(0, WIDTH / 4), randomFloat(0, HEIGHT)];
+    const [x1, y1] = [randomFloat(WIDTH * 3 / 4, WIDTH), randomFloat(0, HEIGHT)];
+    const steps = Math.ceil(Math.hypot(x1 - x0, y1 - y0));
+    for (let step = 0; step <= steps; step++) {
+        const x = Math.round(x0 + (x1 - x0) * step / steps);
+        const y = Math.round(y0 + (y1 - y0) * step / steps);
+        for (const [px, py] of [[x, y], [x, y + 1]]) {
+            if (px >= 0 && px < WIDTH && py >= 0 && py < HEIGHT) pixels[py * WIDTH + px] = ink;
+        }
+    }
+}
+
+// 8-bit grayscale, one byte per pixel, row by row
+function drawCaptcha(code) {
+    const pixels = Buffer.alloc(WIDTH * HEIGHT, 255);
+    const glyphs = placeGlyphs(code);
+    const wave = { amplitude: randomFloat(1.5, 3), length: randomFloat(40, 70), phase: randomFloat(0, 2 * Math.PI) };
+
+    for (let y = 0; y < HEIGHT; y++) {
+        for (let x = 0; x < WIDTH; x++) {
+            const sourceX = x + wave.amplitude * Math.sin((2 * Math.PI * y) / wave.length + wave.phase);
+            const sourceY = y + wave.amplitude * Math.sin((2 * Math.PI * x) / (wave.length * 2) + wave.phase);
+            const glyph = glyphs.find(candidate => glyphCovers(candidate, sourceX, sourceY));
+            if (glyph) pixels[y * WIDTH + x] = glyph.ink;
+            else if (crypto.randomInt(0, 100) < 12) pixels[y * WIDTH + x] = crypto.randomInt(110, 230); // Background speckles
+        }
+    }
+    for (let line = 0; line < 4; line++) drawLine(pixels, crypto.randomInt(40, 150));
+    for (let dot = 0; dot < WIDTH * HEIGHT / 60; dot++) pixels[crypto.randomInt(0, pixels.length)] = crypto.randomInt(0, 120);
+    return pixels;
+}
+
+// --- PNG Encoding ---
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+function encodePng(pixels, width, height) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // Bit depth
+    header[9] = 0; // Grayscale
+    const raw = Buffer.alloc((width + 1) * height); // Each row starts with filter type 0 (none)
+    for (let y = 0; y < height; y++) pixels.copy(raw, y * (width + 1) + 1, y * width, (y + 1) * width);
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(raw)),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+/**
+ * @param {string} code  Digits to draw
+ * @returns {Buffer} PNG image
+ */
+function renderCaptchaImage(code) {
+    return encodePng(drawCaptcha(code), WIDTH, HEIGHT);
+}
+
+module.exports = { renderCaptchaImage };
@@ -0,0 +1,203 @@
+// KROM Referral Bot - Human-verification challenges
+// A challenge is generated per join and persisted on the pending_verifications
+// row, so the group prompt and a /start prompt in DM show the same question and
+// share one attempt counter. Only the question's values are stored (params); its
+// text is the member's challenge_* template (lib/templates.js), so a DM prompt
+// comes in their language.
+//
+// Types:
+//   button  - single "Verify Me!" button (legacy; only proves the account can press buttons)
+//   math    - arithmetic question, answer picked from shuffled buttons
+//   emoji   - pick the named emoji from a shuffled keyboard
+//   captcha - digits drawn into a distorted, noisy picture (lib/captchaImage.js), typed back in DM
+//
+// How much these stop: math and emoji questions are plain text, so a script written
+// for this bot reads and answers them; they only keep out generic join-and-spam bots
+// that never press buttons. The captcha picture has to be read with OCR, which takes
+// real effort to get reliable, but no captcha is proof of a human. Fraud scoring
+// (lib/fraud.js) and admin review are the backstop.
+const crypto = require('crypto');
+const { renderCaptchaImage } = require('./captchaImage');
+
+const CHALLENGE_TYPES = ['button', 'math', 'emoji', 'captcha'];
+
+const MATH_OPTION_COUNT = 6;
+const EMOJI_OPTION_COUNT = 8;
+const CAPTCHA_LENGTH = 5;
+
+// Names per built-in template language (the {target} of challenge_emoji)
+const EMOJIS = [
+    { emoji: '🍎', names: { en: 'apple', es: 'manzana', ru: 'яблоко' } },
+    { emoji: '🚗', names: { en: 'car', es: 'coche', ru: 'машина' } },
+    { emoji: '🐶', names: { en: 'dog', es: 'perro', ru: 'собака' } },
+    { emoji: '🌙', names: { en: 'moon', es: 'luna', ru: 'луна' } },
+    { emoji: '⚽', names: { en: 'football', es: 'balón de fútbol', ru: 'футбольный мяч' } },
+    { emoji: '🎸', names: { en: 'guitar', es: 'guitarra', ru: 'гитара' } },
+    { emoji: '🍕', names: { en: 'pizza', es: 'pizza', ru: 'пицца' } },
+    { emoji: '🚀', names: { en: 'rocket', es: 'cohete', ru: 'ракета' } },
+    { emoji: '🐱', names: { en: 'cat', es: 'gato', ru: 'кошка' } },
+    { emoji: '🌵', names: { en: 'cactus', es: 'cactus', ru: 'кактус' } },
+    { emoji: '🔑', names: { en: 'key', es: 'llave', ru: 'ключ' } },
+    { emoji: '🎈', names: { en: 'balloon', es: 'globo', ru: 'воздушный шарик' } },
+    { emoji: '🐢', names: { en: 'turtle', es: 'tortuga', ru: 'черепаха' } },
+    { emoji: '☂️', names: { en: 'umbrella', es: 'paraguas', ru: 'зонт' } },
+    { emoji: '🍌', names: { en: 'banana', es: 'plátano', ru: 'банан' } },
+    { emoji: '⏰', names: { en: 'alarm clock', es: 'despertador', ru: 'будильник' } }
+];
+
+// --- Helpers ---
+function randomInt(min, max) { // Inclusive on both ends
+    return crypto.randomInt(min, max + 1);
+}
+
+function shuffle(items) {
+    const copy = [...items];
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = randomInt(0, i);
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+}
+
+function normalizeAnswer(answer) {
+    return String(answer ?? '').replace(/\s+/g, '').toLowerCase();
+}
+
+// --- Generators ---
+function mathChallenge() {
+    const useProduct = randomInt(0, 1) === 1;
+    const a = useProduct ? randomInt(2, 9) : randomInt(3, 20);
+    const b = useProduct ? randomInt(2, 9) : randomInt(3, 20);
+    const answer = useProduct ? a * b : a + b;
+
+    const options = new Set([answer]);
+    while (options.size < MATH_OPTION_COUNT) {
+        const decoy = answer + randomInt(-10, 10);
+        if (decoy > 0) options.add(decoy);
+    }
+    return {
+        type: 'math',
+        params: { a, op: useProduct ? '×' : '+', b },
+        options: shuffle([...options]).map(String),
+        answer: String(answer)
+    };
+}
+
+function emojiChallenge() {
+    const options = shuffle(EMOJIS).slice(0, EMOJI_OPTION_COUNT);
+    const target = options[randomInt(0, options.length - 1)];
+    return {
+        type: 'emoji',
+        params: { target: target.emoji },
+        options: options.map(o => o.emoji),
+        answer: target.emoji
+    };
+}
+
+function captchaChallenge() {
+    let code = '';
+    for (let i = 0; i < CAPTCHA_LENGTH; i++) code += randomInt(0, 9);
+    return {
+        type: 'captcha',
+        params: null,
+        options: null,
+        answer: code
+    };
+}
+
+function buttonChallenge() {
+    return {
+        type: 'button',
+        params: null,
+        options: ['ok'],
+        answer: 'ok'
+    };
+}
+
+function generateChallenge(type) {
+    switch (type) {
+        case 'math': return mathChallenge();
+        case 'emoji': return emojiChallenge();
+        case 'captcha': return captchaChallenge();
+        case 'button': return buttonChallenge();
+        default: throw new Error(`Unknown challenge type "${type}" (expected one of: ${CHALLENGE_TYPES.join(', ')})`);
+    }
+}
+
+// --- Presentation ---
+// English texts of the prompt itself; app.js passes the member's (lib/templates.js)
+const DEFAULT_LABELS = {
+    verifyButton: '✅ Verify Me!',
+    verifyInDmButton: '🔐 Verify in private chat',
+    captchaHint: "To verify you're human, tap the button below and type the code I send you in our private chat."
+};
+
+// Name of a challenge emoji in a language (English if there is no translation)
+function emojiName(emoji, language) {
+    const entry = EMOJIS.find(candidate => candidate.emoji === emoji);
+    if (!entry) return emoji;
+    return entry.names[language] || entry.names.en;
+}
+
+/**
+ * Text + keyboard for a challenge prompt. Captchas asked in DM come with photo, a PNG to send
+ * (sendPhoto, text as the caption); it is drawn anew on every call.
+ * @param {object} challenge      { type, params, options, answer } (a generated challenge or the stored row fields)
+ * @param {number} userId         User allowed to answer
+ * @param {object} context
+ * @param {string} context.question          The question as shown to the member (HTML)
+ * @param {boolean} [context.inPrivateChat]  Captcha is asked directly in DM; in a group it links to the DM
+ * @param {string} [context.botUsername]     Needed for the group captcha deep link
+ * @param {object} [context.labels]          Overrides of DEFAULT_LABELS (captchaHint is HTML)
+ */
+function buildPrompt(challenge, userId, { question, inPrivateChat = false, botUsername, labels = {} }) {
+    const { verifyButton, verifyInDmButton, captchaHint } = { ...DEFAULT_LABELS, ...labels };
+    if (challenge.type === 'captcha') {
+        if (inPrivateChat) return { text: question, reply_markup: undefined, photo: renderCaptchaImage(challenge.answer) };
+        return {
+            text: captchaHint,
+            reply_markup: { inline_keyboard: [[{ text: verifyInDmButton, url: `https://t.me/${botUsername}?start=verify` }]] }
+        };
+    }
+
+    if (challenge.type === 'button') {
+        return {
+            text: question,
+            reply_markup: { inline_keyboard: [[{ text: verifyButton, callback_data: `verify_${userId}_0` }]] }
+        };
+    }
+
+    const buttons = challenge.options.map((option, index) => ({ text: option, callback_data: `verify_${userId}_${index}` }));
+    const rows = [];
+    const perRow = challenge.type === 'emoji' ? 4 : 3;
+    for (let i = 0; i < buttons.length; i += perRow) rows.push(buttons.slice(i, i + perRow));
+    return { text: question, reply_markup: { inline_keyboard: rows } };
+}
+
+// Stored pending_verifications row -> the { type, params, options, answer } shape buildPrompt takes.
+// Rows from before challenge_params have no params, only their question in English.
+function challengeFromRow(row) {
+    return {
+        type: row.challenge_type,
+        params: row.challenge_params ?? null,
+        question: row.challenge_question ?? null,
+        options: row.challenge_options,
+        answer: row.challenge_answer
+    };
+}
+
+// --- Checking ---
+/**
+ * @param {object} row     pending_verifications row
+ * @param {object} given   { optionIndex } for button answers or { text } for typed answers
+ */
+function isCorrectAnswer(row, { optionIndex, text }) {
+    if (row.challenge_type === 'captcha') {
+        return text !== undefined && normalizeAnswer(text) === normalizeAnswer(row.challenge_answer);
+    }
+    const options = row.challenge_options || [];
+    if (optionIndex === undefined || optionIndex < 0 || optionIndex >= options.length) return false;
+    return normalizeAnswer(options[optionIndex]) === normalizeAnswer(row.challenge_answer);
+}
+
+module.exports = { CHALLENGE_TYPES, generateChallenge, emojiName, buildPrompt, challengeFromRow, isCorrectAnswer };
@@ -0,0 +1,385 @@
+// KROM Referral Bot - Admin commands
+// Digest schedules, message templates, the admin list and the update queue's dead letters.
+const { emojiName } = require('../challenges');
+const { DIGEST_PERIODS } = require('../digest');
+const { parseCron } = require('../cron');
+const { TEMPLATE_KEYS, LANGUAGES, ALL_LANGUAGES, normalizeLanguage, validateTemplate, formatTemplate } = require('../templates');
+const { escapeHtml } = require('../html');
+const { describeTelegramError } = require('../telegramErrors');
+
+/**
+ * @param {object} options
+ * @param {TelegramBot} options.bot
+ * @param {object} options.commands               The router from createCommandRouter
+ * @param {object} options.config                 As passed to createApp
+ * @param {object} options.groupRegistry          From lib/groups
+ * @param {object} options.adminRegistry          From lib/admins
+ * @param {object} options.templates              From lib/templates
+ * @param {object} options.digestScheduler        From lib/digestScheduler
+ * @param {object} options.updateQueue            From lib/updateQueue
+ */
+function registerAdminCommands({ bot, commands, config, groupRegistry, adminRegistry, templates, digestScheduler, updateQueue }) {
+    const { primaryGroupId: TARGET_GROUP_ID_NUMERIC, verifyMaxAttempts: VERIFY_MAX_ATTEMPTS, defaultLanguage: DEFAULT_LANGUAGE } = config;
+
+    // /digest command (Admin Only) - scheduled activity digests (lib/digestScheduler)
+    // Usage: /digest | /digest add <daily|weekly> [cron="<expr>"] [chat=<chat_id>] | /digest remove <id> | /digest now [daily|weekly]
+    const DEFAULT_DIGEST_CRON = { daily: '0 9 * * *', weekly: '0 9 * * 1' }; // 09:00 UTC, weekly on Mondays
+    const DIGEST_USAGE = 'Usage:\n/digest - list schedules\n' +
+        '/digest add <daily|weekly> [cron="<min hour day month weekday>"] [chat=<chat_id>]\n' +
+        '/digest remove <id>\n/digest now [daily|weekly] - preview here\n\n' +
+        `Cron times are UTC (default: daily "${DEFAULT_DIGEST_CRON.daily}", weekly "${DEFAULT_DIGEST_CRON.weekly}"). Without chat= digests go to every admin's DM.`;
+    function parseDigestArgs(argString) {
+        const options = { positional: [], cron: null, chatId: null, error: null };
+        for (const [, key, quoted, token] of (argString || '').matchAll(/(\w+)="([^"]*)"|(\S+)/g)) {
+            const [name, value] = key ? [key.toLowerCase(), quoted]
+                : token.includes('=') ? [token.slice(0, token.indexOf('=')).toLowerCase(), token.slice(token.indexOf('=') + 1)] : [null, token];
+            if (name === 'cron') options.cron = value;
+            else if (name === 'chat') {
+                options.chatId = /^-?\d+$/.test(value) ? parseInt(value, 10) : NaN;
+                if (isNaN(options.chatId)) options.error = 'chat must be a numeric chat ID (see /getchatid).';
+            } else if (name) options.error = `Unknown option "${name}".`;
+            else options.positional.push(value);
+        }
+        return options;
+    }
+    commands.register('digest', {
+        description: 'List, add or remove scheduled digest reports, or preview one',
+        role: 'admin',
+        args: [{ name: 'options', type: 'text', optional: true }],
+        usage: '/digest [add|remove|now ...]'
+    }, async (msg, args) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+
+        const options = parseDigestArgs(args.raw);
+        if (options.error) return bot.sendMessage(chatId, `❌ ${options.error}\n\n${DIGEST_USAGE}`);
+        const [action = 'list', ...rest] = options.positional.map(value => value.toLowerCase());
+
+        try {
+            if (action === 'list') {
+                const schedules = await digestScheduler.list();
+                if (schedules.length === 0) return bot.sendMessage(chatId, `📬 No digest schedules yet.\n\n${DIGEST_USAGE}`);
+                let response = '📬 <b>Digest schedules</b> (UTC)\n';
+                for (const schedule of schedules) {
+                    const target = schedule.chat_id !== null && schedule.chat_id !== undefined ? `chat <code>${schedule.chat_id}</code>` : "admins' DMs";
+                    response += `\n#${schedule.id} · ${schedule.period} · <code>${escapeHtml(schedule.cron)}</code> · ${target}` +
+                        `\n   Next: ${new Date(schedule.next_run_at).toISOString().slice(0, 16).replace('T', ' ')}` +
+                        (schedule.last_run_at ? ` · last: ${new Date(schedule.last_run_at).toISOString().slice(0, 16).replace('T', ' ')}` : '');
+                }
+                return bot.sendMessage(chatId, response, { parse_mode: 'HTML' });
+            }
+
+            if (action === 'add') {
+                const period = rest[0];
+                if (rest.length !== 1 || !DIGEST_PERIODS[period]) return bot.sendMessage(chatId, DIGEST_USAGE);
+                const cron = options.cron || DEFAULT_DIGEST_CRON[period];
+                try {
+                    parseCron(cron);
+                } catch (cronError) {
+                    return bot.sendMessage(chatId, `❌ ${cronError.message}.\n\n${DIGEST_USAGE}`);
+                }
+                if (options.chatId !== null) {
+                    try {
+                        await bot.getChat(options.chatId);
+                    } catch (tgError) {
+                        return bot.sendMessage(chatId, `❌ I can't reach chat ${options.chatId}: ${describeTelegramError(tgError)}. Add me to it first.`);
+                    }
+                }
+                const schedule = await digestScheduler.add({ cron, period, chatId: options.chatId, createdBy: userId });
+                console.log(`Admin ${userId} added ${period} digest #${schedule.id} ("${cron}") for ${options.chatId ?? 'admin DMs'}.`);
+                return bot.sendMessage(chatId, `✅ ${period === 'weekly' ? 'Weekly' : 'Daily'} digest #${schedule.id} scheduled ("${cron}" UTC). ` +
+                    `First run: ${schedule.next_run_at.slice(0, 16).replace('T', ' ')} UTC.`);
+            }
+
+            if (action === 'remove') {
+                const id = parseInt(rest[0], 10);
+                if (rest.length !== 1 || isNaN(id)) return bot.sendMessage(chatId, DIGEST_USAGE);
+                const removed = await digestScheduler.remove(id);
+                if (!removed) return bot.sendMessage(chatId, `❓ No active digest schedule #${id}.`);
+                console.log(`Admin ${userId} removed digest schedule #${id}.`);
+                return bot.sendMessage(chatId, `✅ Digest schedule #${id} removed.`);
+            }
+
+            if (action === 'now') {
+                const period = rest[0] || 'daily';
+                if (rest.length > 1 || !DIGEST_PERIODS[period]) return bot.sendMessage(chatId, DIGEST_USAGE);
+                await digestScheduler.sendNow({ period, chatId });
+                return;
+            }
+
+            bot.sendMessage(chatId, DIGEST_USAGE);
+        } catch (err) {
+            console.error("Unexpected error in /digest:", err);
+            bot.sendMessage(chatId, "An unexpected error occurred while handling digests.");
+        }
+    });
+
+    // --- Message Templates (Admin Only) ---
+
+    // /template command - view and override the texts members see (lib/templates.js)
+    const TEMPLATE_USAGE = 'Usage:\n/template - list templates and overrides\n' +
+        '/template show <key> [lang=<xx>] [kol=<KOL_Name>|group=<id|title>]\n' +
+        '/template set <key> [lang=<xx>] [kol=<KOL_Name>|group=<id|title>] <text>\n' +
+        '/template reset <key> [lang=<xx>] [kol=<KOL_Name>|group=<id|title>]\n\n' +
+        'Texts are HTML (<b>, <i>, <a href="...">); placeholders such as {user} are filled in and escaped for you. ' +
+        'Without lang= a text is used for every language. KOL texts come before group texts, group texts before global ones. ' +
+        'Quote values with spaces: kol="Crypto Bob". Options go before the text, which may span several lines.';
+    const TEMPLATE_OPTION_PATTERN = /^(lang|kol|group)=(?:"([^"]*)"|(\S+))\s*/i;
+
+    // "<key> [options] [text]" -> { key, language, kolName, groupId, text, error }
+    function parseTemplateArgs(argString) {
+        const options = { key: null, language: ALL_LANGUAGES, kolName: null, groupId: null, text: '', error: null };
+        const keyMatch = argString.match(/^(\S+)\s*([\s\S]*)$/);
+        if (!keyMatch) return { ...options, error: 'Which template? Send /template for the list.' };
+        options.key = keyMatch[1].toLowerCase();
+        if (!TEMPLATE_KEYS[options.key]) return { ...options, error: `Unknown template "${options.key}". Send /template for the list.` };
+
+        let rest = keyMatch[2];
+        let match;
+        while ((match = rest.match(TEMPLATE_OPTION_PATTERN))) {
+            const name = match[1].toLowerCase();
+            const value = (match[2] ?? match[3]).trim();
+            rest = rest.slice(match[0].length);
+            if (name === 'lang') {
+                options.language = ['*', 'all'].includes(value.toLowerCase()) ? ALL_LANGUAGES : normalizeLanguage(value);
+                if (!options.language) options.error = `lang must be a language code such as ${LANGUAGES.join(', ')} (or all).`;
+            } else if (name === 'kol') {
+                options.kolName = value || null;
+            } else {
+                options.groupId = groupRegistry.resolve(value);
+                if (options.groupId === null) options.error = `Unknown group "${value}". See /groups for tracked groups.`;
+            }
+        }
+        if (options.kolName && options.groupId !== null) options.error = 'Use either kol= or group=, not both.';
+        options.text = rest.trim();
+        return options;
+    }
+
+    function describeTemplateScope({ language, kolName, groupId }) {
+        const scope = kolName ? `KOL "${kolName}"` : groupId !== null && groupId !== undefined ? groupRegistry.label(groupId) : 'global';
+        return `${scope}, ${language === ALL_LANGUAGES ? 'all languages' : `language ${language}`}`;
+    }
+
+    // Sends a template filled in with sample values, the way members would see it.
+    // Rejects with Telegram's error if the HTML doesn't parse.
+    function sendTemplatePreview(chatId, key, text, { from, language, kolName, groupId }) {
+        const values = {
+            user: { id: from.id, name: from.first_name || from.username },
+            kol: kolName || 'ExampleKOL',
+            group: groupRegistry.label(groupId ?? TARGET_GROUP_ID_NUMERIC),
+            attempts: Math.max(VERIFY_MAX_ATTEMPTS - 1, 1),
+            a: 7,
+            op: '+',
+            b: 5,
+            target: emojiName('🍎', language === ALL_LANGUAGES ? DEFAULT_LANGUAGE : language)
+        };
+        const { plain } = TEMPLATE_KEYS[key];
+        return bot.sendMessage(chatId, formatTemplate(text, values, { plain }), plain ? {} : { parse_mode: 'HTML' });
+    }
+
+    commands.register('template', {
+        description: 'View, edit and preview the messages members see',
+        role: 'admin',
+        args: [{ name: 'options', type: 'text', optional: true }],
+        usage: '/template [show|set|reset <key> ...]'
+    }, async (msg, args) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+
+        const [, actionWord, argText] = args.raw.match(/^(\S*)\s*([\s\S]*)$/);
+        const action = (actionWord || 'list').toLowerCase();
+
+        try {
+            if (action === 'list') {
+                let response = '📝 <b>Message templates</b>\n';
+                for (const [key, spec] of Object.entries(TEMPLATE_KEYS)) {
+                    const placeholders = spec.placeholders.map(name => `{${name}}`).join(' ');
+                    response += `\n<code>${key}</code>${spec.plain ? ' (plain text)' : ''}${placeholders ? ` ${placeholders}` : ''}\n   ${escapeHtml(spec.description)}`;
+                }
+                const overrides = templates.list();
+                response += `\n\n<b>Overrides (${overrides.length})</b>\n`;
+                response += overrides.map(row => `• <code>${row.key}</code> · ${escapeHtml(describeTemplateScope({
+                    language: row.language, kolName: row.kol_name, groupId: row.group_id != null ? Number(row.group_id) : null
+                }))}`).join('\n') || `None; members get the built-in texts (${LANGUAGES.join(', ')}).`;
+                response += '\n\nSee a template with /template show <key>.';
+                return bot.sendMessage(chatId, response, { parse_mode: 'HTML' });
+            }
+
+            if (!['show', 'set', 'reset'].includes(action)) return bot.sendMessage(chatId, TEMPLATE_USAGE);
+            const options = parseTemplateArgs(argText);
+            if (options.error) return bot.sendMessage(chatId, `❌ ${options.error}\n\n${TEMPLATE_USAGE}`);
+            const { key, language, kolName, groupId, text } = options;
+            const scope = { language, kolName, groupId };
+
+            if (action === 'show') {
+                if (text) return bot.sendMessage(chatId, TEMPLATE_USAGE);
+                const shownLanguage = language === ALL_LANGUAGES ? DEFAULT_LANGUAGE : language;
+                const resolved = templates.resolve(key, { ...scope, language: shownLanguage });
+                const source = resolved.row
+                    ? `override (${describeTemplateScope({ language: resolved.row.language, kolName: resolved.row.kol_name, groupId: resolved.row.group_id != null ? Number(resolved.row.group_id) : null })})`
+                    : 'built-in text';
+                await bot.sendMessage(chatId, `📝 <code>${key}</code> for ${escapeHtml(describeTemplateScope({ ...scope, language: shownLanguage }))}\n` +
+                    `From: ${escapeHtml(source)}\n<pre>${escapeHtml(resolved.text)}</pre>\nPreview:`, { parse_mode: 'HTML' });
+                return await sendTemplatePreview(chatId, key, resolved.text, { from: msg.from, language: shownLanguage, kolName, groupId });
+            }
+
+            if (action === 'set') {
+                const invalid = validateTemplate(key, text);
+                if (invalid) return bot.sendMessage(chatId, `❌ ${invalid}`);
+                // Telegram is the judge of the HTML: if it can't show the preview, members wouldn't get the message either
+                try {
+                    await sendTemplatePreview(chatId, key, text, { from: msg.from, language, kolName, groupId });
+                } catch (tgError) {
+                    return bot.sendMessage(chatId, `❌ Telegram can't show this text: ${describeTelegramError(tgError)}\nNothing was saved. Check that every HTML tag is closed and that < and > are written as &lt; and &gt;.`);
+                }
+                await templates.set({ key, ...scope, text, updatedBy: userId });
+                console.log(`Admin ${userId} set template ${key} (${describeTemplateScope(scope)}).`);
+                return bot.sendMessage(chatId, `✅ Saved ${key} (${describeTemplateScope(scope)}). The message above is a preview with sample values.`);
+            }
+
+            if (text) return bot.sendMessage(chatId, TEMPLATE_USAGE);
+            const removed = await templates.reset({ key, ...scope });
+            if (!removed) return bot.sendMessage(chatId, `❓ No override of ${key} (${describeTemplateScope(scope)}). See /template for the list.`);
+            console.log(`Admin ${userId} reset template ${key} (${describeTemplateScope(scope)}).`);
+            bot.sendMessage(chatId, `✅ Override of ${key} (${describeTemplateScope(scope)}) removed. Check what members get now with /template show ${key}.`);
+        } catch (err) {
+            console.error("Unexpected error in /template:", err);
+            bot.sendMessage(chatId, "An unexpected error occurred while handling templates.");
+        }
+    });
+
+    // --- Admin Management ---
+    // Owners (ADMIN_USER_IDS) add and remove admins; admins can't change the list themselves.
+
+    // /addadmin command (Owner Only) - /addadmin <user_id> [name]
+    commands.register('addadmin', {
+        description: 'Give a user admin rights',
+        role: 'owner',
+        args: [{ name: 'telegram_user_id', type: 'int' }, { name: 'name', type: 'text', optional: true }],
+        hint: 'The user can find their ID with /getchatid in a DM with me.'
+    }, async (msg, args) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+        const newAdminId = args.telegram_user_id;
+
+        if (adminRegistry.isOwner(newAdminId)) return bot.sendMessage(chatId, `User ${newAdminId} is an owner (ADMIN_USER_IDS) and has admin rights already.`);
+        if (adminRegistry.isAdmin(newAdminId)) return bot.sendMessage(chatId, `User ${newAdminId} is an admin already.`);
+
+        let userName = args.name;
+        if (!userName) {
+            try {
+                const chat = await bot.getChat(newAdminId);
+                userName = [chat.first_name, chat.last_name].filter(Boolean).join(' ') || chat.username || null;
+            } catch (tgError) {
+                // Only works once they have started the bot; the name is just for /admins
+                console.warn(`Could not read name of new admin ${newAdminId}:`, describeTelegramError(tgError));
+            }
+        }
+
+        try {
+            await adminRegistry.add(newAdminId, { userName, addedBy: userId });
+            console.log(`Owner ${userId} added admin ${newAdminId}` + (userName ? ` (${userName})` : '') + '.');
+            bot.sendMessage(chatId, `✅ User ${newAdminId}${userName ? ` (${userName})` : ''} is now an admin.`);
+
+            try {
+                await bot.sendMessage(newAdminId, '👋 You are now an admin of the KROM Referral Bot. Send /help to see your commands.');
+            } catch (tgError) {
+                console.warn(`Could not notify new admin ${newAdminId}:`, describeTelegramError(tgError));
+            }
+        } catch (err) {
+            console.error("Unexpected error in /addadmin:", err);
+            bot.sendMessage(chatId, "An unexpected error occurred while adding the admin.");
+        }
+    });
+
+    // /removeadmin command (Owner Only) - /removeadmin <user_id>
+    commands.register('removeadmin', {
+        description: "Take a user's admin rights away",
+        role: 'owner',
+        args: [{ name: 'telegram_user_id', type: 'int' }]
+    }, async (msg, args) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+        const adminId = args.telegram_user_id;
+
+        if (adminRegistry.isOwner(adminId)) return bot.sendMessage(chatId, `User ${adminId} is an owner. Owners can only be removed from ADMIN_USER_IDS.`);
+
+        try {
+            const removed = await adminRegistry.remove(adminId);
+            if (!removed) return bot.sendMessage(chatId, `❓ User ${adminId} is not an admin.`);
+            console.log(`Owner ${userId} removed admin ${adminId}.`);
+            bot.sendMessage(chatId, `✅ User ${adminId}${removed.user_name ? ` (${removed.user_name})` : ''} is no longer an admin.`);
+        } catch (err) {
+            console.error("Unexpected error in /removeadmin:", err);
+            bot.sendMessage(chatId, "An unexpected error occurred while removing the admin.");
+        }
+    });
+
+    // /admins command (Admin Only) - owners and admins
+    commands.register('admins', {
+        description: 'List owners and admins',
+        role: 'admin'
+    }, async (msg) => {
+        const chatId = msg.chat.id;
+        const owners = adminRegistry.ownerIds();
+        const admins = adminRegistry.list();
+
+        let response = `👑 <b>Owners (${owners.length})</b> (ADMIN_USER_IDS)\n`;
+        response += owners.map(id => `• <code>${id}</code>`).join('\n') || 'None';
+        response += `\n\n🛡 <b>Admins (${admins.length})</b>\n`;
+        response += admins.map(admin => `• <code>${admin.user_id}</code>${admin.user_name ? ` ${escapeHtml(admin.user_name)}` : ''}` +
+            (admin.added_by ? ` (added by ${admin.added_by})` : '')).join('\n') || 'None yet. Owners add admins with /addadmin.';
+        bot.sendMessage(chatId, response, { parse_mode: 'HTML' });
+    });
+
+    const DEADLETTERS_USAGE = 'Usage: /deadletters [replay <update id>|replay all|discard <update id>]';
+
+    commands.register('deadletters', {
+        description: 'List updates that failed for good, or replay or discard them',
+        role: 'admin',
+        args: [{ name: 'options', type: 'text', optional: true }],
+        usage: '/deadletters [replay|discard ...]'
+    }, async (msg, args) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+        const [action = 'list', target, ...extra] = (args.raw || '').trim().split(/\s+/).filter(Boolean).map(value => value.toLowerCase());
+        const updateId = parseInt(target, 10);
+
+        try {
+            if (action === 'list' && target === undefined) {
+                const counts = await updateQueue.counts();
+                const deadRows = await updateQueue.listDead();
+                let response = `📮 <b>Update queue</b>: ${counts.pending} waiting, ${counts.dead} dead`;
+                if (deadRows.length === 0) return bot.sendMessage(chatId, `${response}\n\nNo dead letters.`, { parse_mode: 'HTML' });
+                response += '\n';
+                for (const row of deadRows) {
+                    response += `\n#<code>${row.update_id}</code> · ${row.kind} · user <code>${escapeHtml(row.key)}</code> · ${row.attempts} tries · ${row.created_at.slice(0, 16).replace('T', ' ')}` +
+                        `\n   ${escapeHtml(row.last_error)}`;
+                }
+                if (counts.dead > deadRows.length) response += `\n\n…and ${counts.dead - deadRows.length} more.`;
+                response += `\n\n${DEADLETTERS_USAGE}`;
+                return bot.sendMessage(chatId, response, { parse_mode: 'HTML' });
+            }
+
+            if (action === 'replay' && extra.length === 0 && (target === 'all' || !isNaN(updateId))) {
+                const replayed = await updateQueue.replay(target === 'all' ? null : updateId);
+                if (replayed === 0) return bot.sendMessage(chatId, target === 'all' ? '❓ No dead letters to replay.' : `❓ No dead update #${updateId}.`);
+                console.log(`Admin ${userId} replayed ${replayed} dead update(s) (${target}).`);
+                return bot.sendMessage(chatId, `🔁 ${replayed} update(s) queued again. Check /deadletters later for any that fail again.`);
+            }
+
+            if (action === 'discard' && extra.length === 0 && !isNaN(updateId)) {
+                if (!await updateQueue.discard(updateId)) return bot.sendMessage(chatId, `❓ No dead update #${updateId}.`);
+                console.log(`Admin ${userId} discarded dead update ${updateId}.`);
+                return bot.sendMessage(chatId, `🗑 Update #${updateId} discarded.`);
+            }
+
+            bot.sendMessage(chatId, DEADLETTERS_USAGE);
+        } catch (err) {
+            console.error("Unexpected error in /deadletters:", err);
+            bot.sendMessage(chatId, "An unexpected error occurred while reading the update queue.");
+        }
+    });
+}
+
+module.exports = { registerAdminCommands };
@@ -0,0 +1,251 @@
+// KROM Referral Bot - KOL deep links
+// KOL deep links (t.me/<bot>?start=kol_<code>, managed with /deeplink) land on /start, which
+// records the visit and answers with a preview of the group and a join button. The invite
+// link behind the button is a tracked link of the KOL, so the join is attributed as usual;
+// storage.deepLinkVisits ties visit, join and verification together for /funnel.
+const crypto = require('crypto');
+const { getDeepLinkFunnel } = require('../stats');
+const { escapeHtml } = require('../html');
+const { describeTelegramError } = require('../telegramErrors');
+
+/**
+ * @param {object} options
+ * @param {TelegramBot} options.bot
+ * @param {object} options.storage
+ * @param {object} options.metrics                From lib/metrics
+ * @param {object} options.commands               The router from createCommandRouter
+ * @param {object} options.config                 As passed to createApp
+ * @param {object} options.groupRegistry          From lib/groups
+ * @param {object} options.templates              From lib/templates
+ * @param {object} options.paginator              From lib/pagination
+ * @param {function} options.getBotUsername       () -> the bot's username, or null while unknown
+ * @param {function} options.extractGroupOption   (argString) -> { groupId, rest, error }
+ * @param {function} options.groupScopeLabel      (groupId) -> " in <group>" for replies
+ * @param {function} options.memberTemplateContext
+ * @param {function} options.createTrackedLink    From registerLinkCommands
+ * @returns {{ DEEP_LINK_PREFIX, showDeepLinkLanding, formatDeepLinkLine }}
+ */
+function registerDeepLinkCommands({ bot, storage, metrics, commands, config, groupRegistry, templates, paginator, getBotUsername, extractGroupOption, groupScopeLabel, memberTemplateContext, createTrackedLink }) {
+    const { primaryGroupId: TARGET_GROUP_ID_NUMERIC } = config;
+
+    const DEEP_LINK_PREFIX = 'kol_';
+    const DEEP_LINK_INVITE_MODES = ['shared', 'personal'];
+    const PERSONAL_INVITE_TTL_MS = 24 * 60 * 60 * 1000; // Single-use and short-lived, so a personal link isn't worth passing on
+    const MAX_PREVIEW_DESCRIPTION_LENGTH = 300;
+    const sharedInviteCreations = new Map(); // deep link id -> Promise of its shared invite link (first visitors arriving at once)
+
+    function deepLinkUrl(code) {
+        return `https://t.me/${getBotUsername()}?start=${DEEP_LINK_PREFIX}${code}`;
+    }
+
+    // The deep link's shared invite link, created on the first visit and replaced if it was revoked
+    async function sharedDeepLinkInvite(deepLink) {
+        if (deepLink.invite_link) {
+            const tracked = await storage.kolLinks.findByUrl(deepLink.invite_link);
+            if (tracked && tracked.active !== false) return deepLink.invite_link;
+        }
+        const key = String(deepLink.id);
+        if (!sharedInviteCreations.has(key)) {
+            sharedInviteCreations.set(key, (async () => {
+                const inviteLink = await createTrackedLink({ kolName: deepLink.kol_name, groupId: Number(deepLink.group_id) });
+                await storage.deepLinks.setInviteLink(deepLink.id, inviteLink.invite_link);
+                return inviteLink.invite_link;
+            })().finally(() => sharedInviteCreations.delete(key)));
+        }
+        return sharedInviteCreations.get(key);
+    }
+
+    // Invite link behind a visitor's join button, noted on their visit so their join can be matched to it
+    async function deepLinkInvite(deepLink, visit) {
+        if (deepLink.invite_mode === 'personal') {
+            // Handed out again until it expires or the visitor joined with it
+            const reusable = visit.invite_link && !visit.joined_at && new Date(visit.invite_expires_at) > new Date(Date.now() + 60 * 1000);
+            if (reusable) return visit.invite_link;
+            const expireDate = new Date(Date.now() + PERSONAL_INVITE_TTL_MS);
+            const inviteLink = await createTrackedLink({
+                kolName: deepLink.kol_name, groupId: Number(deepLink.group_id), expireDate, memberLimit: 1, issuedTo: visit.user_id
+            });
+            await storage.deepLinkVisits.setInvite(visit.id, inviteLink.invite_link, expireDate.toISOString());
+            return inviteLink.invite_link;
+        }
+
+        const linkUrl = await sharedDeepLinkInvite(deepLink);
+        if (visit.invite_link !== linkUrl) await storage.deepLinkVisits.setInvite(visit.id, linkUrl);
+        return linkUrl;
+    }
+
+    // Title and description for the landing message; the title we know if Telegram can't tell
+    async function groupPreview(groupId) {
+        try {
+            const chat = await bot.getChat(groupId);
+            groupRegistry.noteTitle(groupId, chat.title);
+            return { title: chat.title || groupRegistry.label(groupId), description: chat.description || null };
+        } catch (tgError) {
+            console.warn(`Could not load group ${groupId} for a deep-link preview:`, describeTelegramError(tgError));
+            return { title: groupRegistry.label(groupId), description: null };
+        }
+    }
+
+    // One line per deep link with its funnel counts (an entry of getDeepLinkFunnel().links)
+    function formatDeepLinkLine(link, { showKol = false } = {}) {
+        const tags = [link.tag || 'no tag'];
+        if (link.invite_mode === 'personal') tags.push('personal invites');
+        if (link.active === false) tags.push('removed');
+        if (groupRegistry.isMultiGroup()) tags.push(groupRegistry.label(link.group_id));
+        return `${link.active === false ? '🚫' : '🚪'} ${showKol ? `<b>${escapeHtml(link.kol_name)}</b> ` : ''}<code>${escapeHtml(deepLinkUrl(link.code))}</code>` +
+            ` (${escapeHtml(tags.join(', '))}) · ${link.visitors} visitor(s) → ${link.joined} joined → ${link.verified} verified`;
+    }
+
+    // /start kol_<code>: storage errors are left to the /start handler
+    async function showDeepLinkLanding(msg, code) {
+        const chatId = msg.chat.id;
+        const user = msg.from;
+
+        const deepLink = await storage.deepLinks.findByCode(code);
+        if (!deepLink || deepLink.active === false || !groupRegistry.isTracked(Number(deepLink.group_id))) {
+            metrics.increment('krom_deep_link_visits_total', { outcome: 'unavailable' });
+            console.log(`User ${user.id} opened unknown or removed deep link "${code}".`);
+            return bot.sendMessage(chatId, templates.render('deep_link_unavailable', await memberTemplateContext(user, null)));
+        }
+
+        const groupId = Number(deepLink.group_id);
+        const visit = await storage.deepLinkVisits.recordVisit({ deepLinkId: deepLink.id, groupId, userId: user.id, userName: user.first_name || user.username || null });
+        console.log(`User ${user.id} opened deep link ${code} of KOL "${deepLink.kol_name}"${deepLink.tag ? ` (${deepLink.tag})` : ''}, visit ${visit.visit_count}.`);
+
+        const preview = await groupPreview(groupId);
+        const context = await memberTemplateContext(user, groupId, { kolName: deepLink.kol_name, groupLabel: preview.title });
+
+        let inviteUrl;
+        try {
+            inviteUrl = await deepLinkInvite(deepLink, visit);
+        } catch (error) {
+            metrics.increment('krom_deep_link_visits_total', { outcome: 'failed' });
+            console.error(`Failed to hand out an invite link for deep link ${code}:`, error.storageFailure ? error.message : describeTelegramError(error));
+            return bot.sendMessage(chatId, templates.render('error', context));
+        }
+
+        let text = templates.render('deep_link_landing', context);
+        if (preview.description) {
+            const description = preview.description.length > MAX_PREVIEW_DESCRIPTION_LENGTH
+                ? `${preview.description.slice(0, MAX_PREVIEW_DESCRIPTION_LENGTH - 1)}…`
+                : preview.description;
+            text += `\n\n<i>${escapeHtml(description)}</i>`;
+        }
+        metrics.increment('krom_deep_link_visits_total', { outcome: 'shown' });
+        return bot.sendMessage(chatId, text, {
+            parse_mode: 'HTML',
+            reply_markup: { inline_keyboard: [[{ text: templates.render('deep_link_join_button', context), url: inviteUrl }]] }
+        });
+    }
+
+    // /deeplink command (Admin Only) - /deeplink [kol=<KOL_Name>] | /deeplink add <KOL_Name> [tag=<tag>] [invite=shared|personal] [group=<id|title>] | /deeplink remove <code>
+    const DEEPLINK_USAGE = 'Usage:\n/deeplink [kol=<KOL_Name>] - list deep links\n' +
+        '/deeplink add <KOL_Name> [tag=<tag>] [invite=shared|personal] [group=<id|title>]\n/deeplink remove <code>\n\n' +
+        'A deep link opens a chat with me, where visitors see the group and a join button. invite=shared (default) gives everyone ' +
+        "the same tracked invite link; invite=personal gives each visitor a single-use link that expires after a day. " +
+        'Tags (letters, digits, _ and -) tell apart where a KOL posts their links. Results: /funnel.';
+    const DEEP_LINK_TAG_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+    // Telegram allows start parameters of up to 64 characters of [A-Za-z0-9_-]. base64url uses
+    // exactly that alphabet and encodes every 3 bytes as 4 characters, so 6 random bytes give
+    // 8 characters: 12 of the 64 with the kol_ prefix.
+    const DEEP_LINK_CODE_BYTES = 6;
+
+    function parseDeepLinkAddArgs(argString) {
+        const options = { kolName: null, tag: null, inviteMode: 'shared', error: null };
+        const nameParts = [];
+        for (const token of (argString || '').split(/\s+/).filter(Boolean)) {
+            const [key, value] = token.includes('=') ? [token.slice(0, token.indexOf('=')).toLowerCase(), token.slice(token.indexOf('=') + 1)] : [null, null];
+            if (key === 'tag') {
+                if (!DEEP_LINK_TAG_PATTERN.test(value)) options.error = 'tag must be 1-32 letters, digits, _ or -.';
+                options.tag = value;
+            } else if (key === 'invite') {
+                if (!DEEP_LINK_INVITE_MODES.includes(value.toLowerCase())) options.error = `invite must be ${DEEP_LINK_INVITE_MODES.join(' or ')}.`;
+                options.inviteMode = value.toLowerCase();
+            } else {
+                nameParts.push(token);
+            }
+        }
+        options.kolName = nameParts.join(' ') || null;
+        return options;
+    }
+
+    // Accepts the code, kol_<code> or the whole t.me link
+    function deepLinkCodeFrom(text) {
+        const code = String(text || '').replace(/^.*[?&]start=/, '');
+        return code.startsWith(DEEP_LINK_PREFIX) ? code.slice(DEEP_LINK_PREFIX.length) : code;
+    }
+
+    commands.register('deeplink', {
+        description: 'List, add or remove KOL deep links (bot landing page with a join button)',
+        role: 'admin',
+        args: [{ name: 'options', type: 'text', optional: true }],
+        usage: '/deeplink [add|remove ...]'
+    }, async (msg, args) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+
+        if (!getBotUsername()) return bot.sendMessage(chatId, "❌ I couldn't look up my own username at start-up, so I can't build deep links. Please try again after a restart.");
+
+        const { groupId, rest, error: groupError } = extractGroupOption(args.raw);
+        if (groupError) return bot.sendMessage(chatId, `${groupError}\n\n${DEEPLINK_USAGE}`);
+        const [, actionWord, argText] = rest.match(/^(\S*)\s*([\s\S]*)$/);
+        const action = (actionWord || 'list').toLowerCase();
+
+        try {
+            if (action === 'list' || /^kol=/i.test(action)) {
+                const kolMatch = rest.match(/(?:^|\s)kol=(?:"([^"]*)"|(\S+))/i);
+                const kolName = kolMatch ? (kolMatch[1] ?? kolMatch[2]).trim() || null : null;
+                const deepLinks = await storage.deepLinks.list({ kolName, groupId });
+                if (deepLinks.length === 0) {
+                    return bot.sendMessage(chatId, `🚪 No deep links${kolName ? ` for KOL "${kolName}"` : ''}${groupScopeLabel(groupId)} yet.\n\n${DEEPLINK_USAGE}`);
+                }
+                const { links } = await getDeepLinkFunnel(storage, deepLinks);
+                return await paginator.send(chatId, {
+                    header: `🚪 <b>Deep links${escapeHtml(groupScopeLabel(groupId))} (${links.length})</b> · all time`,
+                    lines: links.map(link => formatDeepLinkLine(link, { showKol: true })),
+                    linesPerPage: 20,
+                    ownerId: userId
+                });
+            }
+
+            if (action === 'add') {
+                const { kolName, tag, inviteMode, error: argError } = parseDeepLinkAddArgs(argText);
+                if (argError) return bot.sendMessage(chatId, `❌ ${argError}\n\n${DEEPLINK_USAGE}`);
+                if (!kolName) return bot.sendMessage(chatId, DEEPLINK_USAGE);
+                if (groupId === null && groupRegistry.isMultiGroup()) {
+                    return bot.sendMessage(chatId, '❌ Several groups are tracked: add group=<id|title> to say which one the deep link invites to.');
+                }
+
+                let code;
+                do {
+                    code = crypto.randomBytes(DEEP_LINK_CODE_BYTES).toString('base64url');
+                } while (await storage.deepLinks.findByCode(code));
+                const deepLink = await storage.deepLinks.create({ code, kolName, groupId: groupId ?? TARGET_GROUP_ID_NUMERIC, tag, inviteMode, createdBy: userId });
+                console.log(`Admin ${userId} created deep link ${code} for KOL "${kolName}"` + (tag ? ` (tag ${tag})` : '') + `, ${inviteMode} invites.`);
+                return bot.sendMessage(chatId, `✅ Deep link for KOL "${escapeHtml(kolName)}"${tag ? ` (tag <b>${escapeHtml(tag)}</b>)` : ''}:\n` +
+                    `<code>${escapeHtml(deepLinkUrl(deepLink.code))}</code>\n` +
+                    (inviteMode === 'personal' ? 'Each visitor gets a single-use invite link of their own.' : 'Visitors share one tracked invite link, created on the first visit.') +
+                    '\nVisits, joins and verifications: /funnel', { parse_mode: 'HTML' });
+            }
+
+            if (action === 'remove') {
+                const code = deepLinkCodeFrom(argText.trim());
+                if (!code || /\s/.test(code)) return bot.sendMessage(chatId, DEEPLINK_USAGE);
+                const removed = await storage.deepLinks.deactivate(code);
+                if (!removed) return bot.sendMessage(chatId, `❓ No active deep link "${code}". Send /deeplink for the list.`);
+                console.log(`Admin ${userId} removed deep link ${code} of KOL "${removed.kol_name}".`);
+                return bot.sendMessage(chatId, `✅ Deep link of KOL "${removed.kol_name}" removed; visitors now get a "no longer available" message. Its visits stay in /funnel.` +
+                    (removed.invite_link ? `\nIts shared invite link still works. Revoke it with /revokelink ${removed.invite_link} if it shouldn't.` : ''));
+            }
+
+            bot.sendMessage(chatId, DEEPLINK_USAGE);
+        } catch (err) {
+            console.error("Unexpected error in /deeplink:", err);
+            bot.sendMessage(chatId, "An unexpected error occurred while handling deep links.");
+        }
+    });
+
+    return { DEEP_LINK_PREFIX, showDeepLinkLanding, formatDeepLinkLine };
+}
+
+module.exports = { registerDeepLinkCommands };
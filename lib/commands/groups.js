@@ -0,0 +1,129 @@
+// KROM Referral Bot - Group commands
+// /getchatid, and /addgroup, /removegroup and /groups for the groups referrals are tracked
+// in (lib/groups.js).
+const { escapeHtml } = require('../html');
+const { describeTelegramError } = require('../telegramErrors');
+
+/**
+ * @param {object} options
+ * @param {TelegramBot} options.bot
+ * @param {object} options.storage
+ * @param {object} options.commands               The router from createCommandRouter
+ * @param {object} options.config                 As passed to createApp
+ * @param {object} options.groupRegistry          From lib/groups
+ */
+function registerGroupCommands({ bot, storage, commands, config, groupRegistry }) {
+    const { primaryGroupId: TARGET_GROUP_ID_NUMERIC } = config;
+
+    // /getchatid command
+    commands.register('getchatid', {
+        description: 'Show the ID of this chat',
+        chatTypes: ['private', 'group']
+    }, (msg) => {
+        const chatId = msg.chat.id;
+        const chatType = msg.chat.type;
+        const chatTitle = msg.chat.title || msg.from?.first_name || 'this chat';
+        console.log(`Command /getchatid received in ${chatType} chat: "${chatTitle}" (ID: ${chatId})`);
+        bot.sendMessage(chatId, `Chat: "${escapeHtml(chatTitle)}"\nType: <code>${chatType}</code>\nID: <code>${chatId}</code>`, { parse_mode: 'HTML' });
+    });
+
+    // --- Group Management (Admin Only) ---
+
+    // /addgroup - send inside a group to track it, or /addgroup <chat_id> in DM
+    commands.register('addgroup', {
+        description: 'Track referrals in another group',
+        role: 'admin',
+        chatTypes: ['private', 'group'],
+        args: [{ name: 'chat_id', type: 'int', optional: true }],
+        hint: 'Send /addgroup inside the group, or /addgroup <chat_id> here. The ID is shown by /getchatid in the group.'
+    }, async (msg, args) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+
+        const inGroup = msg.chat.type === 'group' || msg.chat.type === 'supergroup';
+        const targetChatId = inGroup ? chatId : args.chat_id;
+        if (targetChatId === null) {
+            return bot.sendMessage(chatId, "Usage: /addgroup <chat_id> (or send /addgroup inside the group).\nThe ID is shown by /getchatid in the group.");
+        }
+        if (groupRegistry.isTracked(targetChatId)) return bot.sendMessage(chatId, `"${groupRegistry.label(targetChatId)}" is already tracked.`);
+
+        console.log(`Admin ${userId} requested /addgroup ${targetChatId}`);
+
+        // Creating invite links and seeing joins both need admin rights in the group
+        let chat;
+        try {
+            chat = await bot.getChat(targetChatId);
+            const me = await bot.getMe();
+            const membership = await bot.getChatMember(targetChatId, me.id);
+            if (membership.status !== 'administrator') {
+                return bot.sendMessage(chatId, `❌ I'm not an admin in "${chat.title}". Promote me (with "Invite users via link") first, then try again.`);
+            }
+        } catch (tgError) {
+            const telegramApiError = describeTelegramError(tgError);
+            console.warn(`/addgroup could not access chat ${targetChatId}:`, telegramApiError);
+            return bot.sendMessage(chatId, `❌ I can't access chat ${targetChatId} (${telegramApiError}). Add me to the group as an admin first.`);
+        }
+        if (chat.type !== 'group' && chat.type !== 'supergroup') return bot.sendMessage(chatId, "❌ Only groups and supergroups can be tracked.");
+
+        try {
+            await groupRegistry.add({ chatId: targetChatId, title: chat.title, addedBy: userId });
+            console.log(`Admin ${userId} added group "${chat.title}" (${targetChatId}).`);
+            bot.sendMessage(chatId, `✅ Now tracking "${chat.title}" (${targetChatId}).\nCreate links for it with /createlink <KOL_Name> group=${targetChatId}`);
+        } catch (err) {
+            console.error("Unexpected error in /addgroup:", err);
+            bot.sendMessage(chatId, "An unexpected error occurred while adding the group.");
+        }
+    });
+
+    // /removegroup <chat_id|title> - stops tracking joins; links and referrals stay stored
+    commands.register('removegroup', {
+        description: 'Stop tracking a group (links and referrals stay stored)',
+        role: 'admin',
+        args: [{ name: 'chat_id|title', type: 'text' }]
+    }, async (msg, args) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+
+        const reference = args['chat_id|title'].replace(/^"(.*)"$/, '$1');
+        const groupId = groupRegistry.resolve(reference);
+        if (groupId === null) return bot.sendMessage(chatId, `❓ No tracked group "${reference}". See /groups.`);
+
+        const title = groupRegistry.label(groupId);
+        try {
+            await groupRegistry.remove(groupId);
+            console.log(`Admin ${userId} removed group "${title}" (${groupId}).`);
+            bot.sendMessage(chatId, `✅ Stopped tracking "${title}". Its links and referrals are kept; /addgroup ${groupId} tracks it again.`);
+        } catch (err) {
+            if (groupId === TARGET_GROUP_ID_NUMERIC) return bot.sendMessage(chatId, `❌ ${err.message}`);
+            console.error("Unexpected error in /removegroup:", err);
+            bot.sendMessage(chatId, "An unexpected error occurred while removing the group.");
+        }
+    });
+
+    // /groups - tracked groups with their verified referral counts
+    commands.register('groups', {
+        description: 'List tracked groups with their verified referral counts',
+        role: 'admin'
+    }, async (msg) => {
+        const chatId = msg.chat.id;
+
+        try {
+            const countOptions = { verifiedOnly: true, excludeFlagged: true };
+            const groups = groupRegistry.list();
+            const counts = await Promise.all(groups.map(group => storage.referrals.countForKol(null, { ...countOptions, groupId: Number(group.chat_id) })));
+
+            let response = `🏘 <b>Tracked groups (${groups.length})</b>\n`;
+            groups.forEach((group, index) => {
+                const primary = Number(group.chat_id) === TARGET_GROUP_ID_NUMERIC ? ' · primary' : '';
+                response += `\n• ${escapeHtml(groupRegistry.label(group.chat_id))} (<code>${group.chat_id}</code>${primary}): ${counts[index]} verified`;
+            });
+            if (groups.length > 1) response += `\n\nTotal: ${counts.reduce((sum, count) => sum + count, 0)} verified`;
+            bot.sendMessage(chatId, response, { parse_mode: 'HTML' });
+        } catch (err) {
+            console.error("Unexpected error in /groups:", err);
+            bot.sendMessage(chatId, "An unexpected error occurred while listing groups.");
+        }
+    });
+}
+
+module.exports = { registerGroupCommands };
@@ -0,0 +1,250 @@
+// KROM Referral Bot - Command router
+// Every slash command is registered here with the role it needs, the chats it may be
+// used in and its arguments. The router parses "/name@bot args" (commands addressed
+// to another bot, and look-alikes such as /startfoo, are ignored), checks role and
+// chat type, validates the arguments and only then calls the handler. /help is
+// generated from the same registry, so it always matches what users can run.
+//
+// Roles, lowest first: member (anyone), kol (linked KOL account), admin, owner.
+// A role may run every command of the roles below it.
+//
+// Arguments are declared as [{ name, type, optional }] with type
+//   int   whole number (chat IDs are negative)
+//   word  a single token
+//   text  the rest of the line; must come last
+// Commands with key=value options take one text argument and parse it themselves.
+// Handlers get (msg, args) with args[name] per argument and args.raw, the whole line.
+//
+// Inline buttons are registered the same way, by the prefix of their callback_data
+// ("jr" for jr_approve_...) and the role needed to press them. The command modules
+// in this directory register their commands and buttons on the router (see lib/app.js).
+
+const ROLES = ['member', 'kol', 'admin', 'owner'];
+const CHAT_TYPES = ['private', 'group']; // group includes supergroups
+const ARG_TYPES = ['int', 'word', 'text'];
+
+const COMMAND_PATTERN = /^\/([A-Za-z0-9_]{1,32})(?:@([A-Za-z0-9_]+))?(?:\s+([\s\S]*))?$/;
+
+const DENIED_TEXT = {
+    kol: "This command is for KOLs. If you are one, ask an admin to link your account.",
+    admin: "Sorry, you don't have permission.",
+    owner: "Sorry, only owners can do that."
+};
+const WRONG_CHAT_TEXT = {
+    private: "Please use this command in a direct message.",
+    group: "Please use this command in the group."
+};
+const HELP_SECTIONS = { member: 'Commands', kol: 'KOL commands', admin: 'Admin commands', owner: 'Owner commands' };
+
+/**
+ * "/name@bot args" -> { name, argText }, or null if the text isn't a command for this bot
+ * @param {string} text
+ * @param {string|null} botUsername  null until getMe answers; then only unaddressed commands match
+ */
+function parseCommandText(text, botUsername) {
+    const match = (text || '').match(COMMAND_PATTERN);
+    if (!match) return null;
+    const [, name, mention, argText] = match;
+    if (mention && (!botUsername || mention.toLowerCase() !== botUsername.toLowerCase())) return null;
+    return { name: name.toLowerCase(), argText: (argText || '').trim() };
+}
+
+// Null when the arguments don't fit the schema (missing, malformed or too many)
+function parseArgs(schema, argText) {
+    const args = { raw: argText };
+    let rest = argText;
+    for (const spec of schema) {
+        if (spec.type === 'text') {
+            if (!rest && !spec.optional) return null;
+            args[spec.name] = rest || null;
+            rest = '';
+            continue;
+        }
+        const match = rest.match(/^(\S+)\s*([\s\S]*)$/);
+        if (!match) {
+            if (!spec.optional) return null;
+            args[spec.name] = null;
+            continue;
+        }
+        if (spec.type === 'int' && !/^-?\d+$/.test(match[1])) return null;
+        args[spec.name] = spec.type === 'int' ? parseInt(match[1], 10) : match[1];
+        rest = match[2];
+    }
+    return rest ? null : args;
+}
+
+function roleRank(role) {
+    return ROLES.indexOf(role);
+}
+
+/**
+ * @param {object} options
+ * @param {TelegramBot} options.bot
+ * @param {function} options.getRole         async (userId) -> one of ROLES
+ * @param {function} options.getBotUsername  () -> the bot's username, or null while unknown
+ */
+function createCommandRouter({ bot, getRole, getBotUsername }) {
+    const commands = new Map(); // name -> command, in registration order (the order of /help)
+    const buttons = new Map(); // callback_data prefix -> button
+
+    function usageOf(command) {
+        if (command.usage) return command.usage;
+        const parts = command.args.map(spec => (spec.optional ? `[${spec.name}]` : `<${spec.name}>`));
+        return [`/${command.name}`, ...parts].join(' ');
+    }
+
+    function chatNote(command) {
+        if (command.chatTypes.length === CHAT_TYPES.length) return ' (DM or group)';
+        return command.chatTypes[0] === 'group' ? ' (in a group)' : '';
+    }
+
+    /**
+     * @param {string} name           Without the slash, lowercase
+     * @param {object} options
+     * @param {string} options.description        One line for /help
+     * @param {string} [options.role]             One of ROLES, default member
+     * @param {string[]} [options.chatTypes]      Subset of CHAT_TYPES, default private only
+     * @param {object[]} [options.args]           Argument schema, default none
+     * @param {string} [options.usage]            Overrides the usage line generated from args
+     * @param {string} [options.hint]             Extra line shown with the usage after bad arguments
+     * @param {boolean} [options.quietElsewhere]  Ignore the command in other chat types instead of answering
+     * @param {function} handler                  async (msg, args)
+     */
+    function register(name, options, handler) {
+        const command = {
+            name,
+            description: options.description,
+            role: options.role || 'member',
+            chatTypes: options.chatTypes || ['private'],
+            args: options.args || [],
+            usage: options.usage || null,
+            hint: options.hint || null,
+            quietElsewhere: options.quietElsewhere || false,
+            handler
+        };
+        if (commands.has(name)) throw new Error(`Command /${name} is registered twice`);
+        if (!ROLES.includes(command.role)) throw new Error(`Command /${name} has unknown role "${command.role}"`);
+        if (command.chatTypes.some(type => !CHAT_TYPES.includes(type))) throw new Error(`Command /${name} has unknown chat types ${command.chatTypes.join(', ')}`);
+        command.args.forEach((spec, index) => {
+            if (!ARG_TYPES.includes(spec.type)) throw new Error(`Argument ${spec.name} of /${name} has unknown type "${spec.type}"`);
+            if (spec.type === 'text' && index !== command.args.length - 1) throw new Error(`Text argument ${spec.name} of /${name} must come last`);
+        });
+        commands.set(name, command);
+    }
+
+    /**
+     * @param {string} prefix          callback_data up to the first underscore
+     * @param {object} options
+     * @param {string} [options.role]  One of ROLES, default member
+     * @param {function} handler       async (callbackQuery); answers the query itself
+     */
+    function registerButton(prefix, options, handler) {
+        const button = { prefix, role: options.role || 'member', handler };
+        if (buttons.has(prefix)) throw new Error(`Buttons ${prefix}_ are registered twice`);
+        if (!ROLES.includes(button.role)) throw new Error(`Buttons ${prefix}_ have unknown role "${button.role}"`);
+        buttons.set(prefix, button);
+    }
+
+    // Commands a role can run, grouped by the role they need
+    function helpText(role) {
+        const sections = [];
+        for (const sectionRole of ROLES.slice(0, roleRank(role) + 1)) {
+            const lines = [...commands.values()]
+                .filter(command => command.role === sectionRole)
+                .map(command => `${usageOf(command)}${chatNote(command)}\n   ${command.description}`);
+            if (lines.length > 0) sections.push(`${HELP_SECTIONS[sectionRole]}\n${lines.join('\n')}`);
+        }
+        return `🤖 KROM Referral Bot\n\n${sections.join('\n\n')}`;
+    }
+
+    register('help', { description: 'Show the commands you can use' }, async (msg) => {
+        const role = await getRole(msg.from.id);
+        await bot.sendMessage(msg.chat.id, helpText(role));
+    });
+
+    return {
+        register,
+        registerButton,
+        helpText,
+
+        // Registered commands with the role and chat types they need
+        list() {
+            return [...commands.values()].map(({ name, role, chatTypes }) => ({ name, role, chatTypes }));
+        },
+
+        /**
+         * Runs the command in a message, if it is one of ours
+         * @returns {Promise<boolean>} Whether the message was a registered command
+         */
+        async handle(msg) {
+            if (!msg.from || !msg.text) return false;
+            const parsed = parseCommandText(msg.text, getBotUsername());
+            const command = parsed && commands.get(parsed.name);
+            if (!command) return false;
+
+            const chatId = msg.chat.id;
+            const chatType = msg.chat.type === 'supergroup' ? 'group' : msg.chat.type;
+            const inAllowedChat = command.chatTypes.includes(chatType);
+            if (!inAllowedChat && command.quietElsewhere) return true;
+
+            try {
+                if (command.role !== 'member') {
+                    const role = await getRole(msg.from.id);
+                    if (roleRank(role) < roleRank(command.role)) {
+                        console.log(`User ${msg.from.id} (${role}) was denied /${command.name} (needs ${command.role}).`);
+                        await bot.sendMessage(chatId, DENIED_TEXT[command.role]);
+                        return true;
+                    }
+                }
+                if (!inAllowedChat) {
+                    await bot.sendMessage(chatId, WRONG_CHAT_TEXT[command.chatTypes[0]]);
+                    return true;
+                }
+                const args = parseArgs(command.args, parsed.argText);
+                if (!args) {
+                    await bot.sendMessage(chatId, `Usage: ${usageOf(command)}${command.hint ? `\n${command.hint}` : ''}`);
+                    return true;
+                }
+                await command.handler(msg, args);
+            } catch (err) {
+                // Handlers answer their own errors; this only catches what slipped through
+                console.error(`Unexpected error in /${command.name}:`, err);
+            }
+            return true;
+        },
+
+        /**
+         * Runs the handler of a pressed inline button. Buttons nobody registered are
+         * acknowledged silently, so the client stops showing a spinner.
+         * @returns {Promise<boolean>} Whether the button was a registered one
+         */
+        async handleCallback(callbackQuery) {
+            const { id, data, from, message } = callbackQuery;
+            console.log(`Received callback_query from User ID: ${from.id} with data: ${data} in chat ${message?.chat.id}`);
+            const button = buttons.get((data || '').split('_')[0]);
+
+            try {
+                if (!button) {
+                    console.log(`Received unhandled callback data: ${data}`);
+                    await bot.answerCallbackQuery(id);
+                    return false;
+                }
+                if (button.role !== 'member') {
+                    const role = await getRole(from.id);
+                    if (roleRank(role) < roleRank(button.role)) {
+                        console.warn(`Security Alert: User ${from.id} (${role}) pressed ${data} (needs ${button.role})!`);
+                        await bot.answerCallbackQuery(id, { text: DENIED_TEXT[button.role], show_alert: true });
+                        return true;
+                    }
+                }
+                await button.handler(callbackQuery);
+            } catch (err) {
+                console.error(`Unexpected error handling button ${data}:`, err);
+                await bot.answerCallbackQuery(id).catch(() => {}); // May have been answered already
+            }
+            return true;
+        }
+    };
+}
+
+module.exports = { ROLES, CHAT_TYPES, parseCommandText, createCommandRouter };
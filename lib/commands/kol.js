@@ -0,0 +1,284 @@
+// KROM Referral Bot - KOL self-service
+// KOL accounts are Telegram users linked to a kol_name by an admin (/linkkol). They only ever
+// see data of their own KOL name (exact match) and can't run admin commands. New links they
+// ask for with /requestlink wait for an admin's approval.
+const { getDeepLinkFunnel } = require('../stats');
+const { escapeHtml } = require('../html');
+const { describeTelegramError } = require('../telegramErrors');
+
+/**
+ * @param {object} options
+ * @param {TelegramBot} options.bot
+ * @param {object} options.storage
+ * @param {object} options.commands               The router from createCommandRouter
+ * @param {object} options.config                 As passed to createApp
+ * @param {object} options.groupRegistry          From lib/groups
+ * @param {object} options.adminRegistry          From lib/admins
+ * @param {object} options.paginator              From lib/pagination
+ * @param {function} options.getBotUsername       () -> the bot's username, or null while unknown
+ * @param {function} options.extractGroupOption   (argString) -> { groupId, rest, error }
+ * @param {function} options.getKolAccount        async (userId) -> kol_accounts row or null
+ * @param {function} options.createTrackedLink    From registerLinkCommands
+ * @param {function} options.describeLinkCreationError
+ * @param {function} options.formatLinkLine
+ * @param {function} options.formatDeepLinkLine   From registerDeepLinkCommands
+ */
+function registerKolCommands({ bot, storage, commands, config, groupRegistry, adminRegistry, paginator, getBotUsername, extractGroupOption, getKolAccount, createTrackedLink, describeLinkCreationError, formatLinkLine, formatDeepLinkLine }) {
+    const { primaryGroupId: TARGET_GROUP_ID_NUMERIC } = config;
+
+    const NOT_A_KOL_TEXT = "This command is for KOLs. If you are one, ask an admin to link your account.";
+    const VERIFICATION_STATUS_ICONS = { verified: '✅', pending: '⏳', expired: '⌛', locked: '🔒' };
+
+    // /linkkol command (Admin Only) - /linkkol <user_id> <KOL_Name>
+    commands.register('linkkol', {
+        description: "Link a Telegram account to a KOL so they can see the KOL's stats",
+        role: 'admin',
+        args: [{ name: 'telegram_user_id', type: 'int' }, { name: 'KOL_Name', type: 'text' }],
+        hint: 'The user can find their ID with /getchatid in a DM with me.'
+    }, async (msg, args) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+        const kolUserId = args.telegram_user_id;
+        const kolName = args.KOL_Name;
+        console.log(`Admin ${userId} requested /linkkol ${kolUserId} -> "${kolName}"`);
+
+        try {
+            await storage.kolAccounts.link(kolUserId, kolName, userId);
+            const linkCount = await storage.kolLinks.countForKol(kolName);
+            console.log(`User ${kolUserId} linked to KOL "${kolName}" by admin ${userId}.`);
+            bot.sendMessage(chatId, `✅ User ${kolUserId} is now linked to KOL "${kolName}".` +
+                (linkCount === 0 ? `\n⚠️ No links exist for "${kolName}" yet (names are case-sensitive).` : ''));
+
+            try {
+                await bot.sendMessage(kolUserId, `👋 Your account is now linked to KOL "${kolName}". Use /mystats, /mylinks or /requestlink here.`);
+            } catch (tgError) {
+                // They may never have started the bot; they'll see the commands once they do
+                console.warn(`Could not notify newly linked KOL user ${kolUserId}:`, describeTelegramError(tgError));
+            }
+        } catch (err) {
+            console.error("Unexpected error in /linkkol:", err);
+            bot.sendMessage(chatId, "An unexpected error occurred while linking the KOL account.");
+        }
+    });
+
+    // /unlinkkol command (Admin Only) - /unlinkkol <user_id>
+    commands.register('unlinkkol', {
+        description: 'Remove the link between an account and its KOL',
+        role: 'admin',
+        args: [{ name: 'telegram_user_id', type: 'int' }]
+    }, async (msg, args) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+        const kolUserId = args.telegram_user_id;
+
+        try {
+            const removed = await storage.kolAccounts.unlink(kolUserId);
+            if (!removed) return bot.sendMessage(chatId, `❓ User ${kolUserId} is not linked to any KOL.`);
+            console.log(`User ${kolUserId} unlinked from KOL "${removed.kol_name}" by admin ${userId}.`);
+            bot.sendMessage(chatId, `✅ User ${kolUserId} is no longer linked to KOL "${removed.kol_name}".`);
+        } catch (err) {
+            console.error("Unexpected error in /unlinkkol:", err);
+            bot.sendMessage(chatId, "An unexpected error occurred while unlinking the KOL account.");
+        }
+    });
+
+    // /mystats command (KOL accounts) - own referral counts and latest joins
+    const MY_STATS_RECENT_JOINS = 10;
+    commands.register('mystats', {
+        description: 'Your referral counts and latest joins',
+        role: 'kol'
+    }, async (msg) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+
+        const account = await getKolAccount(userId);
+        if (!account) return bot.sendMessage(chatId, NOT_A_KOL_TEXT);
+
+        const kolName = account.kol_name;
+        console.log(`KOL account ${userId} requested /mystats (KOL: ${kolName})`);
+
+        try {
+            // Same rules as /refcount: flagged referrals don't count until reviewed. The name is
+            // matched exactly, like the latest joins, so no other KOL's referrals are counted.
+            const countOptions = { verifiedOnly: true, excludeFlagged: true, exactKolName: true };
+            const [verified, present, pending, recent] = await Promise.all([
+                storage.referrals.countForKol(kolName, countOptions),
+                storage.referrals.countForKol(kolName, { ...countOptions, presentOnly: true }),
+                storage.referrals.countForKol(kolName, { pendingOnly: true, exactKolName: true }),
+                storage.referrals.listRecentForKol(kolName, { limit: MY_STATS_RECENT_JOINS })
+            ]);
+
+            let response = `📊 <b>Your stats</b> (KOL: ${escapeHtml(kolName)})\n\n` +
+                `✅ Verified referrals: ${verified} (${present} still in the group)\n` +
+                `⏳ Waiting for verification: ${pending}`;
+
+            if (recent.length > 0) {
+                response += `\n\n<b>Latest joins</b>\n` + recent.map(ref => {
+                    const status = VERIFICATION_STATUS_ICONS[ref.verification_status] || '❔';
+                    const left = ref.membership_status === 'left' || ref.membership_status === 'kicked' ? ' · left' : '';
+                    const joined = ref.join_date ? ref.join_date.slice(0, 10) : 'unknown date';
+                    const group = groupRegistry.isMultiGroup() ? ` · ${escapeHtml(groupRegistry.label(ref.group_id))}` : '';
+                    return `${status} ${escapeHtml(ref.user_name || 'Unknown')} · ${joined}${group}${left}`;
+                }).join('\n');
+            }
+            bot.sendMessage(chatId, response, { parse_mode: 'HTML' });
+        } catch (err) {
+            console.error("Unexpected error in /mystats:", err);
+            bot.sendMessage(chatId, "An unexpected error occurred while fetching your stats.");
+        }
+    });
+
+    // /mylinks command (KOL accounts)
+    commands.register('mylinks', {
+        description: 'Your invite links',
+        role: 'kol'
+    }, async (msg) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+
+        const account = await getKolAccount(userId);
+        if (!account) return bot.sendMessage(chatId, NOT_A_KOL_TEXT);
+
+        console.log(`KOL account ${userId} requested /mylinks (KOL: ${account.kol_name})`);
+
+        try {
+            const links = await storage.kolLinks.listForKol(account.kol_name);
+            const deepLinks = getBotUsername() ? await storage.deepLinks.listForKol(account.kol_name) : [];
+            if (links.length === 0 && deepLinks.length === 0) return bot.sendMessage(chatId, "You have no invite links yet. Use /requestlink to ask for one.");
+            const funnel = await getDeepLinkFunnel(storage, deepLinks);
+            await paginator.send(chatId, {
+                header: `🔗 <b>Your invite links (${links.length})</b>` + (deepLinks.length > 0 ? ` and deep links (${deepLinks.length})` : ''),
+                lines: [...links.map(formatLinkLine), ...funnel.links.map(link => formatDeepLinkLine(link))],
+                linesPerPage: 20,
+                ownerId: userId
+            });
+        } catch (err) {
+            console.error("Unexpected error in /mylinks:", err);
+            bot.sendMessage(chatId, "An unexpected error occurred while fetching your links.");
+        }
+    });
+
+    // /requestlink command (KOL accounts) - /requestlink [group=<id|title>] [note for the admins]
+    // The group is required once the bot tracks more than one.
+    commands.register('requestlink', {
+        description: 'Ask the admins for a new invite link',
+        role: 'kol',
+        args: [{ name: 'options', type: 'text', optional: true }],
+        usage: '/requestlink [group=<id|title>] [note for the admins]'
+    }, async (msg, args) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+
+        const account = await getKolAccount(userId);
+        if (!account) return bot.sendMessage(chatId, NOT_A_KOL_TEXT);
+
+        const { groupId, rest, error: groupError } = extractGroupOption(args.raw);
+        const note = rest.slice(0, 200) || null;
+        if (groupError || (groupId === null && groupRegistry.isMultiGroup())) {
+            const choices = groupRegistry.list().map(group => `• ${groupRegistry.label(group.chat_id)} (group=${group.chat_id})`).join('\n');
+            return bot.sendMessage(chatId, `${groupError ? `${groupError}\n` : ''}Which group is the link for? Add group=<id> to the command:\n${choices}\n\nExample: /requestlink group=${groupRegistry.list()[0].chat_id}`);
+        }
+        const targetGroupId = groupId ?? TARGET_GROUP_ID_NUMERIC;
+
+        try {
+            if (await storage.linkRequests.findPendingForUser(userId)) {
+                return bot.sendMessage(chatId, "⏳ You already have a link request waiting for an admin.");
+            }
+            const request = await storage.linkRequests.create({ userId, kolName: account.kol_name, groupId: targetGroupId, note });
+            console.log(`KOL account ${userId} requested a new link for KOL "${account.kol_name}" (request ${request.id}).`);
+
+            const who = escapeHtml(msg.from.username ? `@${msg.from.username}` : msg.from.first_name || `User ${userId}`);
+            const adminText = `🔗 <b>Link request #${request.id}</b>\nKOL: ${escapeHtml(account.kol_name)} (requested by ${who})` +
+                (groupRegistry.isMultiGroup() ? `\nGroup: ${escapeHtml(groupRegistry.label(targetGroupId))}` : '') +
+                (note ? `\nNote: ${escapeHtml(note)}` : '');
+            const keyboard = [[
+                { text: '✅ Approve', callback_data: `lr_approve_${request.id}` },
+                { text: '❌ Reject', callback_data: `lr_reject_${request.id}` }
+            ]];
+            for (const adminId of adminRegistry.ids()) {
+                try {
+                    await bot.sendMessage(adminId, adminText, { parse_mode: 'HTML', reply_markup: { inline_keyboard: keyboard } });
+                } catch (tgError) {
+                    console.warn(`Could not notify admin ${adminId} about link request ${request.id}:`, describeTelegramError(tgError));
+                }
+            }
+            bot.sendMessage(chatId, "📨 Request sent. You'll get the link here once an admin approves it.");
+        } catch (err) {
+            console.error("Unexpected error in /requestlink:", err);
+            bot.sendMessage(chatId, "An unexpected error occurred while sending your request.");
+        }
+    });
+
+    // /linkrequests command (Admin Only) - pending /requestlink requests, in case the notification got lost
+    commands.register('linkrequests', {
+        description: 'Approve or reject link requests from KOLs',
+        role: 'admin'
+    }, async (msg) => {
+        const chatId = msg.chat.id;
+
+        try {
+            const requests = await storage.linkRequests.listPending({ limit: 10 });
+            if (requests.length === 0) return bot.sendMessage(chatId, "✅ No pending link requests.");
+
+            let response = `🔗 <b>Pending link requests</b>\n`;
+            const keyboard = [];
+            requests.forEach(request => {
+                response += `\n#${request.id} · KOL: ${escapeHtml(request.kol_name)} · user <code>${request.user_id}</code> · ${request.created_at.slice(0, 16).replace('T', ' ')} UTC`;
+                if (request.note) response += `\n   Note: ${escapeHtml(request.note)}`;
+                keyboard.push([
+                    { text: `✅ Approve #${request.id}`, callback_data: `lr_approve_${request.id}` },
+                    { text: `❌ Reject #${request.id}`, callback_data: `lr_reject_${request.id}` }
+                ]);
+            });
+            bot.sendMessage(chatId, response, { parse_mode: 'HTML', reply_markup: { inline_keyboard: keyboard } });
+        } catch (err) {
+            console.error("Unexpected error in /linkrequests:", err);
+            bot.sendMessage(chatId, "An unexpected error occurred while listing link requests.");
+        }
+    });
+
+    // lr_<approve|reject>_<requestId> from /requestlink notifications and /linkrequests
+    commands.registerButton('lr', { role: 'admin' }, async (callbackQuery) => {
+        const userIdWhoClicked = callbackQuery.from.id;
+        const callbackQueryId = callbackQuery.id;
+        const chatWhereButtonPressed = callbackQuery.message.chat.id;
+        const [, action, requestIdPart] = callbackQuery.data.split('_');
+        const requestId = parseInt(requestIdPart, 10);
+
+        try {
+            // Claim first so two admins can't create two links for one request
+            const request = await storage.linkRequests.decide(requestId, action === 'approve' ? 'approved' : 'rejected', userIdWhoClicked);
+            if (!request) return await bot.answerCallbackQuery(callbackQueryId, { text: 'Already decided by another admin.' });
+
+            if (action !== 'approve') {
+                console.log(`Admin ${userIdWhoClicked} rejected link request ${requestId} of KOL "${request.kol_name}".`);
+                await bot.answerCallbackQuery(callbackQueryId, { text: 'Rejected.' });
+                await bot.sendMessage(request.user_id, "❌ Your request for a new invite link was not approved. Please contact an admin for details.")
+                    .catch(tgError => console.warn(`Could not notify KOL user ${request.user_id}:`, describeTelegramError(tgError)));
+                return;
+            }
+
+            const requestGroupId = request.group_id != null ? Number(request.group_id) : TARGET_GROUP_ID_NUMERIC;
+            let inviteLink;
+            try {
+                inviteLink = await createTrackedLink({ kolName: request.kol_name, groupId: requestGroupId });
+            } catch (linkError) {
+                await storage.linkRequests.reopen(requestId); // Let an admin retry
+                await bot.answerCallbackQuery(callbackQueryId, { text: 'Could not create the link, request is pending again.', show_alert: true });
+                return await bot.sendMessage(chatWhereButtonPressed, describeLinkCreationError(linkError, request.kol_name, requestGroupId));
+            }
+
+            await storage.linkRequests.setLink(requestId, inviteLink.invite_link);
+            console.log(`Admin ${userIdWhoClicked} approved link request ${requestId}: ${inviteLink.invite_link} for KOL "${request.kol_name}".`);
+            await bot.answerCallbackQuery(callbackQueryId, { text: 'Approved, link created.' });
+            await bot.sendMessage(chatWhereButtonPressed, `✅ Link request #${requestId} approved: ${inviteLink.invite_link}`);
+            await bot.sendMessage(request.user_id, `✅ Your new invite link is ready:\n${inviteLink.invite_link}`)
+                .catch(tgError => console.warn(`Could not send approved link to KOL user ${request.user_id}:`, describeTelegramError(tgError)));
+        } catch (dbError) {
+            console.error(`Storage error handling link request ${requestId}:`, dbError.message);
+            await bot.answerCallbackQuery(callbackQueryId, { text: 'Database error while saving the decision.', show_alert: true });
+        }
+    });
+}
+
+module.exports = { registerKolCommands };
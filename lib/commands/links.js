@@ -0,0 +1,318 @@
+// KROM Referral Bot - Invite link commands
+// /createlink, /revokelink, /renamekol and /reassignlink, and the group picker buttons of
+// /createlink. Deep links and approved link requests create their links with the returned
+// createTrackedLink, so every invite link is tracked the same way.
+const crypto = require('crypto');
+const { escapeHtml } = require('../html');
+const { describeTelegramError } = require('../telegramErrors');
+
+/**
+ * @param {object} options
+ * @param {TelegramBot} options.bot
+ * @param {object} options.storage
+ * @param {object} options.commands               The router from createCommandRouter
+ * @param {object} options.config                 As passed to createApp
+ * @param {object} options.groupRegistry          From lib/groups
+ * @param {object} options.templates              From lib/templates
+ * @param {function} options.extractGroupOption   (argString) -> { groupId, rest, error }
+ * @returns {{ createTrackedLink, describeLinkCreationError, formatLinkLine }}
+ */
+function registerLinkCommands({ bot, storage, commands, config, groupRegistry, templates, extractGroupOption }) {
+    const { primaryGroupId: TARGET_GROUP_ID_NUMERIC } = config;
+
+    // /createlink command (Admin Only)
+    // Usage: /createlink <KOL_Name> [expire=<YYYY-MM-DD|Nd|Nh>] [limit=<N>] [request=yes|no]
+    const MAX_MEMBER_LIMIT = 99999; // Telegram's cap for member_limit
+    function parseCreateLinkArgs(argString) {
+        const options = { kolName: null, expireDate: null, memberLimit: null, createsJoinRequest: false, error: null };
+        const nameParts = [];
+        for (const token of (argString || '').split(/\s+/).filter(Boolean)) {
+            const [key, value] = token.includes('=') ? [token.slice(0, token.indexOf('=')).toLowerCase(), token.slice(token.indexOf('=') + 1)] : [null, null];
+            if (key === 'expire') {
+                const relative = value.match(/^(\d+)([dh])$/i);
+                if (relative) {
+                    const unitMs = relative[2].toLowerCase() === 'd' ? 24 * 60 * 60 * 1000 : 60 * 60 * 1000;
+                    options.expireDate = new Date(Date.now() + parseInt(relative[1], 10) * unitMs);
+                } else if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+                    options.expireDate = new Date(`${value}T23:59:59Z`); // Valid through the end of that day (UTC)
+                }
+                if (!options.expireDate || isNaN(options.expireDate.getTime()) || options.expireDate <= new Date()) {
+                    options.error = 'expire must be a future date (YYYY-MM-DD) or a duration like 7d or 12h.';
+                }
+            } else if (key === 'limit') {
+                options.memberLimit = /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+                if (!(options.memberLimit >= 1 && options.memberLimit <= MAX_MEMBER_LIMIT)) options.error = `limit must be a number between 1 and ${MAX_MEMBER_LIMIT}.`;
+            } else if (key === 'request') {
+                if (!['yes', 'no', 'true', 'false'].includes(value.toLowerCase())) options.error = 'request must be yes or no.';
+                options.createsJoinRequest = ['yes', 'true'].includes(value.toLowerCase());
+            } else {
+                nameParts.push(token);
+            }
+        }
+        // Telegram rejects member_limit on links that create join requests
+        if (options.memberLimit !== null && options.createsJoinRequest) options.error = 'limit cannot be combined with request=yes.';
+        options.kolName = nameParts.join(' ') || null;
+        return options;
+    }
+
+    // Creates a Telegram invite link for a KOL and stores it. If storing fails the link is
+    // revoked again (an untracked link would bring in members nobody gets credit for).
+    // Throws the Telegram error as-is, or an Error with storageFailure = true whose message
+    // tells the admin what happened to the link.
+    async function createTrackedLink({ kolName, groupId, expireDate = null, memberLimit = null, createsJoinRequest = false, issuedTo = null }) {
+        const targetGroupId = groupId;
+
+        // 1. Create Telegram Invite Link
+        const linkName = `KOL_${kolName}_${Date.now()}`.slice(0, 32); // Telegram caps link names at 32 chars
+        const linkOptions = { name: linkName };
+        if (expireDate) linkOptions.expire_date = Math.floor(expireDate.getTime() / 1000);
+        if (memberLimit !== null) linkOptions.member_limit = memberLimit;
+        if (createsJoinRequest) linkOptions.creates_join_request = true;
+
+        const inviteLink = await bot.createChatInviteLink(targetGroupId, linkOptions);
+        console.log(`Successfully created TG link for ${kolName}: ${inviteLink.invite_link}`);
+
+        // 2. Save to storage
+        console.log(`Attempting kol_links insert for ${kolName}: ${inviteLink.invite_link}`);
+
+        try {
+            await storage.kolLinks.create({
+                linkUrl: inviteLink.invite_link,
+                kolName,
+                groupId: targetGroupId,
+                linkName,
+                expireDate: expireDate ? expireDate.toISOString() : null,
+                memberLimit,
+                createsJoinRequest,
+                issuedTo
+            });
+        } catch (dbError) {
+            console.error('--- FULL Storage Insert Error Object (kol_links) ---');
+            console.error(dbError); // Log the whole object
+            console.error('--- END Storage Error Object ---');
+
+            let failure;
+            try {
+                await bot.revokeChatInviteLink(targetGroupId, inviteLink.invite_link);
+                console.log(`Revoked untracked link ${inviteLink.invite_link} after failed insert.`);
+                failure = new Error(`❌ Error saving link to database for "${kolName}". The link was revoked again, nothing was shared. Please try again.`);
+            } catch (revokeError) {
+                console.error(`Failed to revoke untracked link ${inviteLink.invite_link}:`, describeTelegramError(revokeError));
+                failure = new Error(`❌ Error saving link to database for "${kolName}", and the link could not be revoked automatically.\nPlease revoke it manually in the group settings: ${inviteLink.invite_link}`);
+            }
+            failure.storageFailure = true;
+            throw failure;
+        }
+
+        console.log(`Link for ${kolName} saved to storage.`);
+        return inviteLink;
+    }
+
+    // Reply for a failed createTrackedLink
+    function describeLinkCreationError(error, kolName, groupId) {
+        if (error.storageFailure) return error.message;
+        const telegramApiError = describeTelegramError(error) || 'Unknown error';
+        console.error(`Failed to create invite link or save for ${kolName}:`, telegramApiError);
+        console.error("Full error object:", error);
+        return `❌ Error creating invite link for "${kolName}".\nReason: ${telegramApiError}\n\nCheck bot permissions in target group (${groupId}) and group ID correctness.`;
+    }
+
+    // Sends the /createlink confirmation
+    function sendLinkCreated(chatId, inviteLink, { kolName, groupId, expireDate, memberLimit, createsJoinRequest }) {
+        const details = [];
+        if (groupRegistry.isMultiGroup()) details.push(`for ${escapeHtml(groupRegistry.label(groupId))}`);
+        if (expireDate) details.push(`expires ${expireDate.toISOString().replace('T', ' ').slice(0, 16)} UTC`);
+        if (memberLimit !== null) details.push(`limited to ${memberLimit} member(s)`);
+        if (createsJoinRequest) details.push('joins need approval');
+        return bot.sendMessage(chatId, `✅ Invite link created for KOL "${escapeHtml(kolName)}":\n<code>${escapeHtml(inviteLink.invite_link)}</code>` + (details.length ? `\n(${details.join(', ')})` : ''), { parse_mode: 'HTML' });
+    }
+
+    async function createLinkAndReply(chatId, options) {
+        try {
+            const inviteLink = await createTrackedLink(options);
+            await sendLinkCreated(chatId, inviteLink, options);
+        } catch (error) {
+            // Handle Telegram API errors or storage failures
+            bot.sendMessage(chatId, describeLinkCreationError(error, options.kolName, options.groupId));
+        }
+    }
+
+    // /createlink without group= while several groups are tracked: the admin picks one from
+    // buttons (cl_<key>_<chatId>); the parsed arguments wait here meanwhile
+    const pendingLinkCreations = new Map(); // key -> { adminId, options, expiresAt }
+    const PENDING_LINK_CREATION_TTL_MS = 10 * 60 * 1000;
+
+    const CREATE_LINK_USAGE = "/createlink <KOL_Name> [group=<id|title>] [expire=<YYYY-MM-DD|Nd|Nh>] [limit=<N>] [request=yes|no]";
+    commands.register('createlink', {
+        description: 'Create a tracked invite link for a KOL',
+        role: 'admin',
+        args: [{ name: 'options', type: 'text' }],
+        usage: CREATE_LINK_USAGE
+    }, async (msg, args) => {
+        const chatId = msg.chat.id; // DM chat ID
+        const userId = msg.from.id; // Admin User ID
+        const usage = `Usage: ${CREATE_LINK_USAGE}`;
+
+        const { groupId, rest, error: groupError } = extractGroupOption(args.raw);
+        if (groupError) return bot.sendMessage(chatId, `${groupError}\n${usage}`);
+        const { kolName, expireDate, memberLimit, createsJoinRequest, error: argError } = parseCreateLinkArgs(rest);
+        if (argError) return bot.sendMessage(chatId, `${argError}\n${usage}`);
+        if (!kolName) return bot.sendMessage(chatId, usage);
+
+        const options = { kolName, expireDate, memberLimit, createsJoinRequest };
+
+        if (groupId === null && groupRegistry.isMultiGroup()) {
+            const key = crypto.randomBytes(4).toString('hex');
+            pendingLinkCreations.set(key, { adminId: userId, options, expiresAt: Date.now() + PENDING_LINK_CREATION_TTL_MS });
+            const keyboard = groupRegistry.list().map(group => [{ text: groupRegistry.label(group.chat_id), callback_data: `cl_${key}_${group.chat_id}` }]);
+            return bot.sendMessage(chatId, `Which group should the link for "${kolName}" invite to?`, { reply_markup: { inline_keyboard: keyboard } });
+        }
+
+        const targetGroupId = groupId ?? TARGET_GROUP_ID_NUMERIC;
+        console.log(`Admin ${userId} requesting link for KOL "${kolName}" for target group ${targetGroupId}`);
+        await createLinkAndReply(chatId, { ...options, groupId: targetGroupId });
+    });
+
+    // /revokelink command (Admin Only)
+    commands.register('revokelink', {
+        description: 'Revoke an invite link (its referrals stay counted)',
+        role: 'admin',
+        args: [{ name: 'invite_link', type: 'word' }]
+    }, async (msg, args) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+        const linkUrl = args.invite_link;
+
+        console.log(`Admin ${userId} requested /revokelink for ${linkUrl}`);
+
+        try {
+            const link = await storage.kolLinks.findByUrl(linkUrl);
+            if (!link) return bot.sendMessage(chatId, "❓ That link is not tracked. Use /listkols to see tracked links.");
+            if (link.active === false) return bot.sendMessage(chatId, `This link of KOL "${link.kol_name}" is already revoked.`);
+
+            try {
+                await bot.revokeChatInviteLink(link.group_id ?? TARGET_GROUP_ID_NUMERIC, linkUrl);
+            } catch (tgError) {
+                const telegramApiError = describeTelegramError(tgError);
+                console.error(`Failed to revoke invite link ${linkUrl}:`, telegramApiError);
+                return bot.sendMessage(chatId, `❌ Telegram refused to revoke the link.\nReason: ${telegramApiError}`);
+            }
+
+            await storage.kolLinks.deactivate(linkUrl, userId);
+            console.log(`Link ${linkUrl} of KOL ${link.kol_name} revoked by admin ${userId}.`);
+            bot.sendMessage(chatId, `✅ Link of KOL "${link.kol_name}" revoked. Existing referrals through it are kept.`);
+        } catch (err) {
+            console.error("Unexpected error in /revokelink:", err);
+            bot.sendMessage(chatId, "An unexpected error occurred while revoking the link.");
+        }
+    });
+
+    // /renamekol command (Admin Only) - renames a KOL everywhere (links, referrals, history, KOL accounts)
+    commands.register('renamekol', {
+        description: 'Rename a KOL everywhere',
+        role: 'admin',
+        args: [{ name: 'names', type: 'text' }],
+        usage: '/renamekol <Old_Name> | <New_Name>'
+    }, async (msg, args) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+        const [oldName, newName] = args.names.split('|').map(part => part.trim());
+
+        if (!oldName || !newName) return bot.sendMessage(chatId, "Usage: /renamekol <Old_Name> | <New_Name>");
+        if (oldName === newName) return bot.sendMessage(chatId, "The new name is the same as the old one.");
+
+        console.log(`Admin ${userId} requested /renamekol "${oldName}" -> "${newName}"`);
+
+        try {
+            const linkCount = await storage.kolLinks.renameKol(oldName, newName);
+            const referralCount = await storage.referrals.renameKol(oldName, newName);
+            await storage.referralEvents.renameKol(oldName, newName);
+            await storage.kolAccounts.renameKol(oldName, newName);
+            await storage.linkRequests.renameKol(oldName, newName);
+            await storage.rewardTiers.renameKol(oldName, newName);
+            await storage.payouts.renameKol(oldName, newName);
+            await storage.deepLinks.renameKol(oldName, newName);
+            await templates.renameKol(oldName, newName);
+
+            if (linkCount === 0 && referralCount === 0) {
+                return bot.sendMessage(chatId, `❓ No KOL named "${oldName}" found (names are case-sensitive here). Use /listkols to check.`);
+            }
+            console.log(`Renamed KOL "${oldName}" to "${newName}" (${linkCount} links, ${referralCount} referrals).`);
+            bot.sendMessage(chatId, `✅ Renamed KOL "${oldName}" to "${newName}" (${linkCount} link(s), ${referralCount} referral(s)).`);
+        } catch (err) {
+            console.error("Unexpected error in /renamekol:", err);
+            bot.sendMessage(chatId, "An unexpected error occurred while renaming the KOL. Some records may already use the new name; run the command again to finish.");
+        }
+    });
+
+    // /reassignlink command (Admin Only) - hands one link to another KOL
+    commands.register('reassignlink', {
+        description: 'Hand an invite link to another KOL',
+        role: 'admin',
+        args: [{ name: 'invite_link', type: 'word' }, { name: 'New_KOL_Name', type: 'text' }]
+    }, async (msg, args) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+        const linkUrl = args.invite_link;
+        const newKolName = args.New_KOL_Name;
+        console.log(`Admin ${userId} requested /reassignlink ${linkUrl} -> "${newKolName}"`);
+
+        try {
+            const link = await storage.kolLinks.findByUrl(linkUrl);
+            if (!link) return bot.sendMessage(chatId, "❓ That link is not tracked. Use /listkols to see tracked links.");
+            if (link.kol_name === newKolName) return bot.sendMessage(chatId, `That link already belongs to "${newKolName}".`);
+
+            await storage.kolLinks.reassign(linkUrl, newKolName);
+            console.log(`Link ${linkUrl} reassigned from "${link.kol_name}" to "${newKolName}".`);
+            bot.sendMessage(chatId, `✅ Link reassigned from "${link.kol_name}" to "${newKolName}".\nNew joins count for "${newKolName}"; earlier referrals stay with "${link.kol_name}".`);
+        } catch (err) {
+            console.error("Unexpected error in /reassignlink:", err);
+            bot.sendMessage(chatId, "An unexpected error occurred while reassigning the link.");
+        }
+    });
+
+    // One link as shown by /listkols and /mylinks (HTML)
+    function formatLinkLine(link) {
+        const tags = [];
+        if (link.active === false) tags.push('revoked');
+        else if (link.expire_date && new Date(link.expire_date) <= new Date()) tags.push('expired');
+        else if (link.expire_date) tags.push(`expires ${link.expire_date.slice(0, 10)}`);
+        if (link.member_limit) tags.push(`limit ${link.member_limit}`);
+        if (link.creates_join_request) tags.push('approval');
+        if (groupRegistry.isMultiGroup() && link.group_id !== undefined) tags.push(groupRegistry.label(link.group_id));
+        return `${link.active === false ? '🚫' : '🔗'} <code>${escapeHtml(link.link_url)}</code>${tags.length ? ` (${tags.join(', ')})` : ''}`;
+    }
+
+    // cl_<key>_<chatId> from the /createlink group prompt
+    commands.registerButton('cl', { role: 'admin' }, async (callbackQuery) => {
+        const userIdWhoClicked = callbackQuery.from.id;
+        const callbackQueryId = callbackQuery.id;
+        const chatWhereButtonPressed = callbackQuery.message.chat.id;
+        const messageWithButtonId = callbackQuery.message.message_id;
+        const [, key, chatIdPart] = callbackQuery.data.split('_');
+        const targetGroupId = parseInt(chatIdPart, 10);
+        const pendingCreation = pendingLinkCreations.get(key);
+
+        if (!pendingCreation || pendingCreation.expiresAt < Date.now() || pendingCreation.adminId !== userIdWhoClicked) {
+            pendingLinkCreations.delete(key);
+            return await bot.answerCallbackQuery(callbackQueryId, { text: 'This prompt has expired. Run /createlink again.', show_alert: true });
+        }
+        if (!groupRegistry.isTracked(targetGroupId)) {
+            return await bot.answerCallbackQuery(callbackQueryId, { text: 'That group is no longer tracked.', show_alert: true });
+        }
+
+        pendingLinkCreations.delete(key);
+        await bot.answerCallbackQuery(callbackQueryId);
+        try {
+            await bot.editMessageText(`Creating the link for "${pendingCreation.options.kolName}" in ${groupRegistry.label(targetGroupId)}…`, {
+                chat_id: chatWhereButtonPressed, message_id: messageWithButtonId, reply_markup: {}
+            });
+        } catch (editError) { /* Ignore, the result follows anyway */ }
+        console.log(`Admin ${userIdWhoClicked} requesting link for KOL "${pendingCreation.options.kolName}" for target group ${targetGroupId}`);
+        await createLinkAndReply(chatWhereButtonPressed, { ...pendingCreation.options, groupId: targetGroupId });
+    });
+
+    return { createTrackedLink, describeLinkCreationError, formatLinkLine };
+}
+
+module.exports = { registerLinkCommands };
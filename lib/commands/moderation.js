@@ -0,0 +1,165 @@
+// KROM Referral Bot - Moderation commands
+// /suspicious lists referrals flagged by fraud scoring (lib/fraud.js) and /joinrequests the
+// pending join requests; admins decide on each with the buttons below the list.
+const { escapeHtml } = require('../html');
+const { describeTelegramError } = require('../telegramErrors');
+
+/**
+ * @param {object} options
+ * @param {TelegramBot} options.bot
+ * @param {object} options.storage
+ * @param {object} options.commands               The router from createCommandRouter
+ * @param {object} options.config                 As passed to createApp
+ * @param {object} options.groupRegistry          From lib/groups
+ * @param {object} options.rewards                From lib/rewards
+ * @param {object} options.verificationTimeouts   From lib/verificationTimeout
+ */
+function registerModerationCommands({ bot, storage, commands, config, groupRegistry, rewards, verificationTimeouts }) {
+    const { primaryGroupId: TARGET_GROUP_ID_NUMERIC } = config;
+
+    // /suspicious command (Admin Only) - review referrals flagged by fraud scoring
+    const SUSPICIOUS_PAGE_SIZE = 10;
+    commands.register('suspicious', {
+        description: 'Review referrals flagged by fraud scoring',
+        role: 'admin'
+    }, async (msg) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+
+        console.log(`Admin ${userId} requested /suspicious`);
+
+        try {
+            const [flagged, flaggedCount] = await Promise.all([
+                storage.referrals.listFlagged({ limit: SUSPICIOUS_PAGE_SIZE }),
+                storage.referrals.countFlagged()
+            ]);
+
+            if (flagged.length === 0) return bot.sendMessage(chatId, "✅ No flagged referrals awaiting review.");
+
+            let response = `🚩 <b>Flagged referrals (${flaggedCount})</b>\n`;
+            if (flaggedCount > flagged.length) response += `Showing the ${flagged.length} highest scores. Review these to see the rest.\n`;
+            const keyboard = [];
+
+            flagged.forEach((ref, index) => {
+                const reasons = (ref.fraud_reasons || []).map(r => `   • ${escapeHtml(r)}`).join('\n');
+                response += `\n${index + 1}. <a href="tg://user?id=${ref.user_id}">${escapeHtml(ref.user_name || `User ${ref.user_id}`)}</a> (<code>${ref.user_id}</code>)\n`;
+                response += `   KOL: ${escapeHtml(ref.referred_by_kol_name)} · score ${ref.fraud_score} · ${ref.verified ? 'verified' : 'unverified'}` +
+                    (groupRegistry.isMultiGroup() ? ` · ${escapeHtml(groupRegistry.label(ref.group_id))}` : '') + '\n';
+                if (reasons) response += `${reasons}\n`;
+                keyboard.push([
+                    { text: `✅ Clear #${index + 1}`, callback_data: `fraud_clear_${ref.user_id}_${ref.group_id ?? TARGET_GROUP_ID_NUMERIC}` },
+                    { text: `❌ Reject #${index + 1}`, callback_data: `fraud_reject_${ref.user_id}_${ref.group_id ?? TARGET_GROUP_ID_NUMERIC}` }
+                ]);
+            });
+
+            bot.sendMessage(chatId, response, { parse_mode: 'HTML', reply_markup: { inline_keyboard: keyboard } });
+        } catch (err) {
+            console.error("Unexpected error in /suspicious:", err);
+            bot.sendMessage(chatId, "An unexpected error occurred while listing flagged referrals.");
+        }
+    });
+
+    // /joinrequests command (Admin Only) - approve or decline pending join requests by hand (all tracked groups)
+    const JOIN_REQUESTS_PAGE_SIZE = 10;
+    commands.register('joinrequests', {
+        description: 'Approve or decline pending join requests',
+        role: 'admin'
+    }, async (msg) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+
+        console.log(`Admin ${userId} requested /joinrequests`);
+
+        try {
+            const [requests, pendingCount] = await Promise.all([
+                storage.joinRequests.listPending(null, { limit: JOIN_REQUESTS_PAGE_SIZE }),
+                storage.joinRequests.countPending(null)
+            ]);
+
+            if (requests.length === 0) return bot.sendMessage(chatId, "✅ No pending join requests.");
+
+            let response = `📝 <b>Pending join requests (${pendingCount})</b>\n`;
+            if (pendingCount > requests.length) response += `Showing the ${requests.length} oldest. Handle these to see the rest.\n`;
+            const keyboard = [];
+
+            for (const [index, request] of requests.entries()) {
+                let verification = 'no tracked link, not challenged';
+                if (request.kol_name) {
+                    const referral = await storage.referrals.findByUserId(request.user_id, request.chat_id);
+                    verification = referral?.verification_status === 'verified' ? '✅ verified' : `challenge ${referral?.verification_status || 'pending'}`;
+                }
+                response += `\n${index + 1}. <a href="tg://user?id=${request.user_id}">${escapeHtml(request.user_name || `User ${request.user_id}`)}</a> (<code>${request.user_id}</code>)\n`;
+                response += `   ${request.kol_name ? `KOL: ${escapeHtml(request.kol_name)}` : 'No KOL'} · ${verification} · ${request.created_at.slice(0, 16).replace('T', ' ')} UTC` +
+                    (groupRegistry.isMultiGroup() ? ` · ${escapeHtml(groupRegistry.label(request.chat_id))}` : '') + '\n';
+                keyboard.push([
+                    { text: `✅ Approve #${index + 1}`, callback_data: `jr_approve_${request.user_id}_${request.chat_id}` },
+                    { text: `❌ Decline #${index + 1}`, callback_data: `jr_decline_${request.user_id}_${request.chat_id}` }
+                ]);
+            }
+
+            bot.sendMessage(chatId, response, { parse_mode: 'HTML', reply_markup: { inline_keyboard: keyboard } });
+        } catch (err) {
+            console.error("Unexpected error in /joinrequests:", err);
+            bot.sendMessage(chatId, "An unexpected error occurred while listing join requests.");
+        }
+    });
+
+    // jr_<approve|decline>_<userId>_<chatId> from /joinrequests (lists sent before multi-group support have no chat)
+    commands.registerButton('jr', { role: 'admin' }, async (callbackQuery) => {
+        const userIdWhoClicked = callbackQuery.from.id;
+        const callbackQueryId = callbackQuery.id;
+        const [, action, userIdPart, chatIdPart] = callbackQuery.data.split('_');
+        const requesterId = parseInt(userIdPart, 10);
+        const requestChatId = chatIdPart === undefined ? TARGET_GROUP_ID_NUMERIC : parseInt(chatIdPart, 10);
+        const approve = action === 'approve';
+
+        try {
+            const request = await storage.joinRequests.find(requesterId, requestChatId);
+            if (request?.status !== 'pending') return await bot.answerCallbackQuery(callbackQueryId, { text: 'This request was already handled.' });
+
+            try {
+                if (approve) await bot.approveChatJoinRequest(requestChatId, requesterId);
+                else await bot.declineChatJoinRequest(requestChatId, requesterId);
+            } catch (tgError) {
+                const telegramApiError = describeTelegramError(tgError);
+                console.error(`Failed to ${action} join request of user ${requesterId}:`, telegramApiError);
+                return await bot.answerCallbackQuery(callbackQueryId, { text: `Telegram error: ${telegramApiError}`, show_alert: true });
+            }
+
+            await storage.joinRequests.decide(requesterId, requestChatId, approve ? 'approved' : 'declined', userIdWhoClicked);
+            if (!approve) {
+                await storage.referrals.markRequestDeclined(requesterId, requestChatId);
+                await verificationTimeouts.cancel(requestChatId, requesterId, 'declined');
+            }
+            console.log(`Admin ${userIdWhoClicked} ${approve ? 'approved' : 'declined'} join request of user ${requesterId} in group ${requestChatId}.`);
+            await bot.answerCallbackQuery(callbackQueryId, { text: approve ? 'Approved.' : 'Declined.' });
+        } catch (dbError) {
+            console.error(`Storage error handling join request of user ${requesterId}:`, dbError.message);
+            await bot.answerCallbackQuery(callbackQueryId, { text: 'Database error while saving the decision.', show_alert: true });
+        }
+    });
+
+    // fraud_<clear|reject>_<userId>_<groupId> from /suspicious (lists sent before multi-group support have no group)
+    commands.registerButton('fraud', { role: 'admin' }, async (callbackQuery) => {
+        const userIdWhoClicked = callbackQuery.from.id;
+        const callbackQueryId = callbackQuery.id;
+        const [, action, userIdPart, groupIdPart] = callbackQuery.data.split('_');
+        const flaggedUserId = parseInt(userIdPart, 10);
+        const flaggedGroupId = groupIdPart === undefined ? TARGET_GROUP_ID_NUMERIC : parseInt(groupIdPart, 10);
+
+        const decision = action === 'clear' ? 'cleared' : 'rejected';
+        try {
+            const reviewed = await storage.referrals.review(flaggedUserId, flaggedGroupId, decision, userIdWhoClicked);
+            if (!reviewed) return await bot.answerCallbackQuery(callbackQueryId, { text: 'Already reviewed or no longer flagged.' });
+
+            console.log(`Admin ${userIdWhoClicked} ${decision} flagged referral of user ${flaggedUserId} (KOL: ${reviewed.referred_by_kol_name}).`);
+            await bot.answerCallbackQuery(callbackQueryId, { text: decision === 'cleared' ? 'Cleared: referral now counts.' : 'Rejected: referral will not count.' });
+            if (decision === 'cleared' && reviewed.verified) await rewards.checkMilestones(reviewed.referred_by_kol_name);
+        } catch (dbError) {
+            console.error(`Storage error reviewing flagged referral ${flaggedUserId}:`, dbError.message);
+            await bot.answerCallbackQuery(callbackQueryId, { text: 'Database error while saving the review.', show_alert: true });
+        }
+    });
+}
+
+module.exports = { registerModerationCommands };
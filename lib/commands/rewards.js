@@ -0,0 +1,148 @@
+// KROM Referral Bot - Reward commands
+// /tiers manages the reward tiers of lib/rewards.js and /payouts lists what KOLs earned,
+// with a button to mark each payout paid.
+const { escapeHtml } = require('../html');
+const { describeTelegramError } = require('../telegramErrors');
+
+/**
+ * @param {object} options
+ * @param {TelegramBot} options.bot
+ * @param {object} options.storage
+ * @param {object} options.commands               The router from createCommandRouter
+ */
+function registerRewardCommands({ bot, storage, commands }) {
+    // /tiers command - reward tiers: /tiers | /tiers add <threshold> <reward> [kol=<KOL_Name>] | /tiers remove <id>
+    const TIERS_USAGE = 'Usage:\n/tiers - list reward tiers\n/tiers add <verified_count> <reward> [kol=<KOL_Name>]\n/tiers remove <id>\n\n' +
+        'Without kol= the tier is global. A KOL with tiers of its own only uses those. Quote names with spaces: kol="Crypto Bob".\n' +
+        'Example: /tiers add 100 $150 USDT';
+    const MAX_REWARD_LENGTH = 100;
+    commands.register('tiers', {
+        description: 'List, add or remove reward tiers',
+        role: 'admin',
+        args: [{ name: 'options', type: 'text', optional: true }],
+        usage: '/tiers [add|remove ...]'
+    }, async (msg, args) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+
+        const kolMatch = args.raw.match(/(?:^|\s)kol=(?:"([^"]*)"|(\S+))/i);
+        const kolName = kolMatch ? (kolMatch[1] ?? kolMatch[2]).trim() || null : null;
+        const rest = kolMatch ? `${args.raw.slice(0, kolMatch.index)} ${args.raw.slice(kolMatch.index + kolMatch[0].length)}`.trim() : args.raw;
+        const [action = 'list', ...params] = rest.split(/\s+/).filter(Boolean);
+
+        try {
+            if (action.toLowerCase() === 'list') {
+                const tiers = await storage.rewardTiers.list();
+                if (tiers.length === 0) return bot.sendMessage(chatId, `🎯 No reward tiers yet.\n\n${TIERS_USAGE}`);
+                const byScope = new Map();
+                for (const tier of tiers) {
+                    const scope = tier.kol_name || '';
+                    if (!byScope.has(scope)) byScope.set(scope, []);
+                    byScope.get(scope).push(`   #${tier.id} · ${tier.threshold} verified → ${escapeHtml(tier.reward)}`);
+                }
+                let response = '🎯 <b>Reward tiers</b> (verified referrals still in the group)\n';
+                for (const [scope, lines] of [...byScope.entries()].sort(([a], [b]) => (a !== '') - (b !== '') || a.localeCompare(b))) {
+                    response += `\n<b>${scope ? `KOL ${escapeHtml(scope)}` : 'Global'}</b>\n${lines.join('\n')}\n`;
+                }
+                return bot.sendMessage(chatId, response, { parse_mode: 'HTML' });
+            }
+
+            if (action.toLowerCase() === 'add') {
+                const threshold = /^\d+$/.test(params[0] || '') ? parseInt(params[0], 10) : NaN;
+                const reward = params.slice(1).join(' ');
+                if (!(threshold > 0) || !reward) return bot.sendMessage(chatId, TIERS_USAGE);
+                if (reward.length > MAX_REWARD_LENGTH) return bot.sendMessage(chatId, `The reward text can be at most ${MAX_REWARD_LENGTH} characters.`);
+
+                const existing = (await storage.rewardTiers.list()).find(tier => Number(tier.threshold) === threshold &&
+                    (tier.kol_name || null) === kolName);
+                if (existing) return bot.sendMessage(chatId, `❌ Tier #${existing.id} already rewards ${threshold} verified referrals${kolName ? ` for "${kolName}"` : ''}. Remove it first.`);
+
+                const tier = await storage.rewardTiers.create({ kolName, threshold, reward, createdBy: userId });
+                console.log(`Admin ${userId} added reward tier #${tier.id}: ${threshold} -> "${reward}"` + (kolName ? ` for KOL "${kolName}"` : ' (global)'));
+                return bot.sendMessage(chatId, `✅ Tier #${tier.id} added: ${threshold} verified → ${reward}${kolName ? ` for KOL "${kolName}"` : ' (global)'}.\n` +
+                    'KOLs already past it earn it with their next verified referral.');
+            }
+
+            if (action.toLowerCase() === 'remove') {
+                const id = parseInt(params[0], 10);
+                if (isNaN(id) || params.length !== 1) return bot.sendMessage(chatId, TIERS_USAGE);
+                const removed = await storage.rewardTiers.deactivate(id);
+                if (!removed) return bot.sendMessage(chatId, `❓ No active reward tier #${id}.`);
+                console.log(`Admin ${userId} removed reward tier #${id}.`);
+                return bot.sendMessage(chatId, `✅ Tier #${id} removed. Payouts already earned on it stay listed in /payouts.`);
+            }
+
+            bot.sendMessage(chatId, TIERS_USAGE);
+        } catch (err) {
+            console.error("Unexpected error in /tiers:", err);
+            bot.sendMessage(chatId, "An unexpected error occurred while handling reward tiers.");
+        }
+    });
+
+    // /payouts command - /payouts [earned|paid|all] [KOL_Name]; earned payouts get a "mark paid" button (po_paid_<id>)
+    const PAYOUTS_PAGE_SIZE = 10;
+    commands.register('payouts', {
+        description: 'List earned rewards and mark them as paid',
+        role: 'admin',
+        args: [{ name: 'options', type: 'text', optional: true }],
+        usage: '/payouts [earned|paid|all] [KOL_Name]'
+    }, async (msg, args) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+
+        const [first = '', ...others] = args.raw.split(/\s+/).filter(Boolean);
+        const hasStatus = ['earned', 'paid', 'all'].includes(first.toLowerCase());
+        const status = hasStatus ? first.toLowerCase() : 'earned';
+        const kolName = (hasStatus ? others : [first, ...others]).join(' ').trim() || null;
+        console.log(`Admin ${userId} requested /payouts ${status}` + (kolName ? ` for KOL "${kolName}"` : ''));
+
+        try {
+            const filter = { status: status === 'all' ? null : status, kolName };
+            const [payouts, total] = await Promise.all([
+                storage.payouts.list({ ...filter, limit: PAYOUTS_PAGE_SIZE }),
+                storage.payouts.count(filter)
+            ]);
+            const scope = `${status === 'all' ? '' : `${status} `}payouts${kolName ? ` for "${escapeHtml(kolName)}"` : ''}`;
+            if (payouts.length === 0) return bot.sendMessage(chatId, `✅ No ${scope}.`, { parse_mode: 'HTML' });
+
+            let response = `💰 <b>Payouts</b> · ${total} ${scope}` + (total > payouts.length ? ` (oldest ${payouts.length} shown)` : '') + '\n';
+            const keyboard = [];
+            for (const payout of payouts) {
+                response += `\n#${payout.id} · ${escapeHtml(payout.kol_name)} · ${payout.threshold} verified → ${escapeHtml(payout.reward)}` +
+                    `\n   Earned ${payout.earned_at.slice(0, 10)}` + (payout.verified_count != null ? ` (${payout.verified_count} verified then)` : '') +
+                    (payout.status === 'paid' ? ` · ✅ paid ${payout.paid_at.slice(0, 10)} by ${payout.paid_by}` : '');
+                if (payout.status === 'earned') keyboard.push([{ text: `💸 Mark #${payout.id} paid`, callback_data: `po_paid_${payout.id}` }]);
+            }
+            bot.sendMessage(chatId, response, { parse_mode: 'HTML', reply_markup: keyboard.length ? { inline_keyboard: keyboard } : undefined });
+        } catch (err) {
+            console.error("Unexpected error in /payouts:", err);
+            bot.sendMessage(chatId, "An unexpected error occurred while listing payouts.");
+        }
+    });
+
+    // po_paid_<payoutId> from /payouts
+    commands.registerButton('po', { role: 'admin' }, async (callbackQuery) => {
+        const userIdWhoClicked = callbackQuery.from.id;
+        const callbackQueryId = callbackQuery.id;
+        const chatWhereButtonPressed = callbackQuery.message.chat.id;
+        const payoutId = parseInt(callbackQuery.data.split('_')[2], 10);
+
+        try {
+            const payout = await storage.payouts.markPaid(payoutId, userIdWhoClicked);
+            if (!payout) return await bot.answerCallbackQuery(callbackQueryId, { text: 'Already marked as paid.' });
+
+            console.log(`Admin ${userIdWhoClicked} marked payout #${payoutId} (KOL "${payout.kol_name}", ${payout.threshold} verified) as paid.`);
+            await bot.answerCallbackQuery(callbackQueryId, { text: `Payout #${payoutId} marked as paid.` });
+            await bot.sendMessage(chatWhereButtonPressed, `✅ Payout #${payoutId} for KOL "${payout.kol_name}" (${payout.reward}) marked as paid.`);
+            for (const account of await storage.kolAccounts.listForKol(payout.kol_name)) {
+                await bot.sendMessage(account.user_id, `💸 Your reward for ${payout.threshold} verified members (${payout.reward}) has been paid.`)
+                    .catch(tgError => console.warn(`Could not notify KOL user ${account.user_id}:`, describeTelegramError(tgError)));
+            }
+        } catch (dbError) {
+            console.error(`Storage error marking payout ${payoutId} paid:`, dbError.message);
+            await bot.answerCallbackQuery(callbackQueryId, { text: 'Database error while saving the payment.', show_alert: true });
+        }
+    });
+}
+
+module.exports = { registerRewardCommands };
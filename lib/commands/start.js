@@ -0,0 +1,85 @@
+// KROM Referral Bot - /start
+// What a member gets when they open the bot: the landing page of a deep link, their
+// verification challenge if it is still open, or their status.
+const { buildPrompt, challengeFromRow } = require('../challenges');
+
+/**
+ * @param {object} options
+ * @param {TelegramBot} options.bot
+ * @param {object} options.storage
+ * @param {object} options.commands               The router from createCommandRouter
+ * @param {object} options.config                 As passed to createApp
+ * @param {object} options.templates              From lib/templates
+ * @param {function} options.getKolAccount        async (userId) -> kol_accounts row or null
+ * @param {function} options.memberTemplateContext
+ * @param {function} options.renderWith
+ * @param {function} options.getOrCreatePendingVerification
+ * @param {function} options.challengeQuestion
+ * @param {function} options.promptLabels
+ * @param {function} options.sendPrivatePrompt
+ * @param {string} options.DEEP_LINK_PREFIX
+ * @param {function} options.showDeepLinkLanding
+ */
+function registerStartCommand({ bot, storage, commands, config, templates, getKolAccount, memberTemplateContext, renderWith, getOrCreatePendingVerification, challengeQuestion, promptLabels, sendPrivatePrompt, DEEP_LINK_PREFIX, showDeepLinkLanding }) {
+    const { primaryGroupId: TARGET_GROUP_ID_NUMERIC } = config;
+
+    // /start command (Fallback verification / Welcome)
+    commands.register('start', {
+        description: 'Verify your referral or check your status',
+        args: [{ name: 'payload', type: 'text', optional: true }], // Deep-link parameter from t.me/<bot>?start=...
+        quietElsewhere: true
+    }, async (msg, args) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+        const firstName = msg.from.first_name || 'User';
+
+        console.log(`Received /start command in DM from ${firstName} (User ID: ${userId})`);
+
+        const baseContext = await memberTemplateContext(msg.from, null);
+        try {
+            if (args.payload && args.payload.startsWith(DEEP_LINK_PREFIX)) {
+                return await showDeepLinkLanding(msg, args.payload.slice(DEEP_LINK_PREFIX.length));
+            }
+
+            let refData;
+            try {
+                refData = await storage.referrals.findLatestForUser(userId); // Most recent referral in any group, or null
+            } catch (refError) {
+                console.error(`Storage select error (/start check) for user ${userId}:`, refError.message);
+                return bot.sendMessage(chatId, templates.render('error', baseContext));
+            }
+            const groupId = refData ? Number(refData.group_id ?? TARGET_GROUP_ID_NUMERIC) : null;
+            const context = refData ? await memberTemplateContext(msg.from, groupId, { kolName: refData.referred_by_kol_name }) : baseContext;
+
+            if (refData && refData.verification_status === 'expired') {
+                console.log(`User ${userId} (${firstName}) tried to verify after their deadline expired.`);
+                bot.sendMessage(chatId, templates.render('expired', context));
+            } else if (refData && refData.verification_status === 'locked') {
+                console.log(`User ${userId} (${firstName}) is locked out of verification.`);
+                bot.sendMessage(chatId, templates.render('locked_out', context));
+            } else if (refData && !refData.verified) {
+                const pending = await getOrCreatePendingVerification(userId, groupId);
+                if (pending.status === 'locked') return bot.sendMessage(chatId, templates.render('locked_out', context));
+
+                console.log(`User ${userId} (${firstName}) is unverified. Sending ${pending.challenge_type} challenge via DM.`);
+                const challenge = challengeFromRow(pending);
+                const prompt = buildPrompt(challenge, userId, { question: challengeQuestion(challenge, context), inPrivateChat: true, labels: promptLabels(context) });
+                const verificationMessage = `${templates.render('start_challenge', context)}\n\n${prompt.text}`;
+                sendPrivatePrompt(chatId, verificationMessage, prompt);
+            } else if (refData && refData.verified) {
+                console.log(`User ${userId} (${firstName}) is already verified.`);
+                bot.sendMessage(chatId, templates.render('start_verified', context), { parse_mode: 'HTML' });
+            } else {
+                console.log(`User ${userId} (${firstName}) not in referrals DB or started directly.`);
+                const kolAccount = await getKolAccount(userId);
+                bot.sendMessage(chatId, templates.render('start_welcome', context) +
+                    (kolAccount ? `\n${renderWith('start_kol_note', context, { kol: kolAccount.kol_name })}` : ''), { parse_mode: 'HTML' });
+            }
+        } catch (err) {
+            console.error(`Unexpected error in /start handler for user ${userId}:`, err);
+            bot.sendMessage(chatId, templates.render('error', baseContext));
+        }
+    });
+}
+
+module.exports = { registerStartCommand };
@@ -0,0 +1,435 @@
+// KROM Referral Bot - Stats commands
+// /listkols, /refcount, /leaderboard, /kolstats and /funnel report on links and referrals
+// (numbers from lib/stats.js); /export and /import move them in and out (lib/transfer.js).
+const { parseDay, parsePeriod, parseDayRange, getLeaderboard, getKolStats, getReferralCounts, getDeepLinkFunnel, formatPercent, formatDuration } = require('../stats');
+const { EXPORT_TABLES, EXPORT_FORMATS, buildExport, importLegacy } = require('../transfer');
+const { escapeHtml } = require('../html');
+
+/**
+ * @param {object} options
+ * @param {TelegramBot} options.bot
+ * @param {object} options.storage
+ * @param {object} options.commands               The router from createCommandRouter
+ * @param {object} options.config                 As passed to createApp
+ * @param {object} options.groupRegistry          From lib/groups
+ * @param {object} options.paginator              From lib/pagination
+ * @param {function} options.extractGroupOption   (argString) -> { groupId, rest, error }
+ * @param {function} options.groupScopeLabel      (groupId) -> " in <group>" for replies
+ * @param {function} options.formatLinkLine
+ * @param {string} options.DEEP_LINK_PREFIX
+ */
+function registerStatsCommands({ bot, storage, commands, config, groupRegistry, paginator, extractGroupOption, groupScopeLabel, formatLinkLine, DEEP_LINK_PREFIX }) {
+    const { primaryGroupId: TARGET_GROUP_ID_NUMERIC } = config;
+
+    // /listkols command (Admin Only) - /listkols [group=<id|title>]
+    commands.register('listkols', {
+        description: 'List KOLs and their invite links',
+        role: 'admin',
+        args: [{ name: 'options', type: 'text', optional: true }],
+        usage: "/listkols [group=<id|title>]"
+    }, async (msg, args) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+
+        const { groupId, error: groupError } = extractGroupOption(args.raw);
+        if (groupError) return bot.sendMessage(chatId, `${groupError}\nUsage: /listkols [group=<id|title>]`);
+
+        console.log(`Admin ${userId} requested /listkols` + (groupId !== null ? ` (group ${groupId})` : ''));
+
+        try {
+            let linksData;
+            try {
+                linksData = await storage.kolLinks.list({ groupId });
+            } catch (linksError) {
+                console.error("Storage select error (listkols):", linksError.message);
+                return bot.sendMessage(chatId, "Error fetching KOL links from database.");
+            }
+
+            if (!linksData || linksData.length === 0) {
+                return bot.sendMessage(chatId, `No KOL links are currently being tracked${groupScopeLabel(groupId)}.`);
+            }
+
+            const kolGroups = {};
+            linksData.forEach(item => {
+                const kolName = item.kol_name;
+                if (!kolGroups[kolName]) { kolGroups[kolName] = []; }
+                kolGroups[kolName].push(item);
+            });
+
+            // One line per KOL heading and per link; pages break between lines, never inside one
+            const lines = [];
+            for (const kolName in kolGroups) {
+                lines.push(`👤 <b>${escapeHtml(kolName)}</b>`);
+                kolGroups[kolName].forEach(link => lines.push(`   ${formatLinkLine(link)}`));
+            }
+
+            await paginator.send(chatId, { header: `📊 <b>Tracked KOL Links${escapeHtml(groupScopeLabel(groupId))} (${linksData.length})</b>`, lines, linesPerPage: 25, ownerId: userId });
+
+        } catch(err) {
+            console.error("Unexpected error in /listkols:", err);
+            bot.sendMessage(chatId, "An unexpected error occurred while listing KOLs.");
+        }
+    });
+
+    // /refcount command (Admin Only)
+    // Usage: /refcount [KOL_Name] [present] [retained=<days>] [group=<id|title>]
+    //   present        - only referrals still in the group
+    //   group=<...>    - only one target group (default: totals across all groups)
+    //   retained=<N>   - only referrals that stayed at least N days (even if they left later)
+    function parseRefcountArgs(argString) {
+        const options = { kolName: null, presentOnly: false, retainedDays: null, error: null };
+        const nameParts = [];
+        for (const token of (argString || '').split(/\s+/).filter(Boolean)) {
+            const retainedMatch = token.match(/^retained=(\d+)$/i);
+            if (token.toLowerCase() === 'present') options.presentOnly = true;
+            else if (retainedMatch) options.retainedDays = parseInt(retainedMatch[1], 10);
+            else if (/^retained=/i.test(token)) options.error = 'retained=<days> needs a whole number of days, e.g. retained=7';
+            else nameParts.push(token);
+        }
+        if (options.presentOnly && options.retainedDays !== null) options.error = 'Use either present or retained=<days>, not both.';
+        options.kolName = nameParts.join(' ') || null;
+        return options;
+    }
+
+    const REFCOUNT_USAGE = "/refcount [KOL_Name] [present] [retained=<days>] [group=<id|title>]";
+    commands.register('refcount', {
+        description: 'Count verified referrals, per KOL or in total',
+        role: 'admin',
+        args: [{ name: 'options', type: 'text', optional: true }],
+        usage: REFCOUNT_USAGE
+    }, async (msg, args) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+
+        const usage = `Usage: ${REFCOUNT_USAGE}`;
+        const { groupId, rest, error: groupError } = extractGroupOption(args.raw);
+        if (groupError) return bot.sendMessage(chatId, `${groupError}\n${usage}`);
+        const { kolName: specificKOL, presentOnly, retainedDays, error: argError } = parseRefcountArgs(rest);
+        if (argError) return bot.sendMessage(chatId, `${argError}\n${usage}`);
+
+        console.log(`Admin ${userId} requested /refcount` + (specificKOL ? ` for KOL: ${specificKOL}` : ' (Total)') +
+            (presentOnly ? ' (present only)' : '') + (retainedDays !== null ? ` (retained ${retainedDays}d)` : '') +
+            (groupId !== null ? ` (group ${groupId})` : ''));
+
+        try {
+            // Flagged referrals never count; KOL name is matched case-insensitively
+            let counts;
+            try {
+                counts = await getReferralCounts(storage, { kolName: specificKOL, presentOnly, retainedDays, groupId });
+            } catch (countError) {
+                console.error("Storage count error (refcount):", countError.message);
+                return bot.sendMessage(chatId, "Error fetching referral count from database.");
+            }
+
+            let scopeLabel = '';
+            if (presentOnly) scopeLabel = ' (still in the group)';
+            if (retainedDays !== null) scopeLabel = ` (stayed at least ${retainedDays} day${retainedDays === 1 ? '' : 's'})`;
+            const presentNote = counts.stillPresent !== null ? ` (${counts.stillPresent} still in the group)` : '';
+            const groupLabel = escapeHtml(groupScopeLabel(groupId));
+
+            // Cross-group totals also list each group's share
+            let breakdown = '';
+            if (groupId === null && groupRegistry.isMultiGroup() && retainedDays === null) {
+                try {
+                    const perGroup = await Promise.all(groupRegistry.list().map(async group => {
+                        const count = await storage.referrals.countForKol(specificKOL, { verifiedOnly: true, excludeFlagged: true, presentOnly, groupId: Number(group.chat_id) });
+                        return `\n  • ${escapeHtml(groupRegistry.label(group.chat_id))}: ${count}`;
+                    }));
+                    breakdown = perGroup.join('');
+                } catch (groupCountError) { console.error("Storage count error (refcount per group):", groupCountError.message); }
+            }
+
+            if (specificKOL) {
+                 // Check if any referral entry exists for this KOL name *at all*
+                if (!counts.referred) {
+                     bot.sendMessage(chatId, `❓ No referrals found associated with KOL "<b>${escapeHtml(specificKOL)}</b>"${groupLabel}.`, { parse_mode: 'HTML' });
+                } else {
+                     bot.sendMessage(chatId, `📊 Verified referral count for KOL <b>${escapeHtml(specificKOL)}</b>${groupLabel}${scopeLabel}: ${counts.verified}${presentNote}${breakdown}`, { parse_mode: 'HTML' });
+                }
+            } else {
+                const flaggedNote = counts.flagged > 0 ? `\n🚩 ${counts.flagged} flagged referral(s) excluded until reviewed (/suspicious).` : '';
+                bot.sendMessage(chatId, `📈 Total verified referrals across all KOLs${groupLabel}${scopeLabel}: ${counts.verified}${presentNote}${breakdown}${flaggedNote}`, { parse_mode: 'HTML' });
+            }
+        } catch(err) {
+            console.error("Unexpected error in /refcount:", err);
+            bot.sendMessage(chatId, "An unexpected error occurred while counting referrals.");
+        }
+    });
+
+    // /leaderboard command (Admin Only)
+    // Usage: /leaderboard [all|today|<N>d] [group=<id|title>] - ranks KOLs by verified referrals that joined in the period
+    const LEADERBOARD_USAGE = "/leaderboard [all|today|<days>d] [group=<id|title>]";
+    commands.register('leaderboard', {
+        description: 'Rank KOLs by verified referrals in a period',
+        role: 'admin',
+        args: [{ name: 'options', type: 'text', optional: true }],
+        usage: LEADERBOARD_USAGE
+    }, async (msg, args) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+
+        const usage = `Usage: ${LEADERBOARD_USAGE}, e.g. /leaderboard 7d`;
+        const { groupId, rest, error: groupError } = extractGroupOption(args.raw);
+        if (groupError) return bot.sendMessage(chatId, `${groupError}\n${usage}`);
+        const period = parsePeriod(rest);
+        if (!period) return bot.sendMessage(chatId, usage);
+
+        console.log(`Admin ${userId} requested /leaderboard (${period.label})` + (groupId !== null ? ` (group ${groupId})` : ''));
+
+        try {
+            const entries = await getLeaderboard(storage, { since: period.since, groupId });
+            if (entries.length === 0) return bot.sendMessage(chatId, `No referrals joined${groupScopeLabel(groupId)} in this period (${period.label}).`);
+
+            const medals = ['🥇', '🥈', '🥉'];
+            const lines = entries.map(entry =>
+                `${medals[entry.rank - 1] || `${entry.rank}.`} <b>${escapeHtml(entry.kolName)}</b>: ${entry.verified} verified / ${entry.joined} joined (${formatPercent(entry.conversionRate)})\n` +
+                `      retention ${formatPercent(entry.retentionRate)} · avg verify ${formatDuration(entry.avgVerifySeconds)}` +
+                (entry.flagged ? ` · 🚩 ${entry.flagged} flagged` : ''));
+
+            const header = `🏆 <b>KOL Leaderboard</b>${escapeHtml(groupScopeLabel(groupId))} (${period.label})\n` +
+                `Retention = verified referrals still in the group. Flagged referrals don't count as verified.`;
+            await paginator.send(chatId, { header, lines, linesPerPage: 10, ownerId: userId });
+        } catch (err) {
+            console.error("Unexpected error in /leaderboard:", err);
+            bot.sendMessage(chatId, "An unexpected error occurred while building the leaderboard.");
+        }
+    });
+
+    // /kolstats command (Admin Only)
+    // Usage: /kolstats <KOL_Name> [from] [to] [group=<id|title>] - dates as YYYY-MM-DD (UTC), default the last 30 days
+    commands.register('kolstats', {
+        description: 'Joins, verifications and retention of one KOL',
+        role: 'admin',
+        args: [{ name: 'options', type: 'text' }],
+        usage: "/kolstats <KOL_Name> [from] [to] [group=<id|title>]"
+    }, async (msg, args) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+
+        const { groupId, rest, error: groupError } = extractGroupOption(args.raw);
+        if (groupError) return bot.sendMessage(chatId, `${groupError}\nUsage: /kolstats <KOL_Name> [from] [to] [group=<id|title>]`);
+
+        // KOL names may contain spaces, so dates are taken from the end
+        const tokens = rest.split(/\s+/).filter(Boolean);
+        const dates = [];
+        while (tokens.length > 1 && dates.length < 2 && /^\d{4}-\d{2}-\d{2}$/.test(tokens[tokens.length - 1])) dates.unshift(tokens.pop());
+        const kolName = tokens.join(' ');
+        if (!kolName) return bot.sendMessage(chatId, "Usage: /kolstats <KOL_Name> [from] [to] [group=<id|title>]\nDates as YYYY-MM-DD (UTC), default the last 30 days.");
+
+        const range = parseDayRange(dates[0], dates[1]);
+        if (range.error) return bot.sendMessage(chatId, `${range.error}\nUsage: /kolstats <KOL_Name> [from] [to]`);
+
+        const fromDay = range.from.toISOString().slice(0, 10);
+        const toDay = range.to.toISOString().slice(0, 10);
+        console.log(`Admin ${userId} requested /kolstats for KOL: ${kolName} (${fromDay} to ${toDay})`);
+
+        try {
+            const stats = await getKolStats(storage, kolName, { ...range, groupId });
+            const groupLabel = escapeHtml(groupScopeLabel(groupId));
+            if (!stats.found) return bot.sendMessage(chatId, `❓ No referrals found for KOL "<b>${escapeHtml(kolName)}</b>"${groupLabel} up to ${toDay}.`, { parse_mode: 'HTML' });
+
+            const { summary } = stats;
+            const deepLinks = await storage.deepLinks.list({ kolName: stats.kolName, groupId, includeInactive: true, exactKolName: true });
+            const funnel = deepLinks.length > 0 ? (await getDeepLinkFunnel(storage, deepLinks, range)).totals : null;
+            const header = `📊 <b>${escapeHtml(stats.kolName)}</b>${groupLabel} · ${fromDay} to ${toDay} (UTC)\n` +
+                `Joined: ${summary.joined} · Verified: ${summary.verified} (${formatPercent(summary.conversionRate)})\n` +
+                `Still in the group: ${summary.stillPresent} (retention ${formatPercent(summary.retentionRate)})\n` +
+                `Avg time to verify: ${formatDuration(summary.avgVerifySeconds)}` +
+                (funnel?.visitors ? `\nDeep links: ${funnel.visitors} visitor(s) → ${funnel.joined} joined → ${funnel.verified} verified (see /funnel)` : '') +
+                (summary.flagged ? `\n🚩 ${summary.flagged} flagged referral(s) not counted as verified` : '') +
+                `\n\n<i>Day: joined / verified / left</i>`;
+            const lines = stats.days
+                .slice().reverse() // Most recent first
+                .map(d => `<code>${d.day}</code>: ${d.joined} / ${d.verified} / ${d.left}`);
+
+            await paginator.send(chatId, { header, lines, linesPerPage: 31, ownerId: userId });
+        } catch (err) {
+            console.error("Unexpected error in /kolstats:", err);
+            bot.sendMessage(chatId, "An unexpected error occurred while building KOL stats.");
+        }
+    });
+
+    // /funnel command (Admin Only) - deep-link visitors -> joins -> verifications, per KOL or per link of one KOL
+    const FUNNEL_USAGE = '/funnel [KOL_Name] [period=all|today|<N>d] [group=<id|title>]';
+    function formatFunnelCounts(counts) {
+        return `${counts.visitors} → ${counts.joined} (${formatPercent(counts.joinRate)}) → ${counts.verified} (${formatPercent(counts.verifyRate)})`;
+    }
+
+    commands.register('funnel', {
+        description: 'Deep-link visitors, joins and verifications per KOL or campaign tag',
+        role: 'admin',
+        args: [{ name: 'options', type: 'text', optional: true }],
+        usage: FUNNEL_USAGE
+    }, async (msg, args) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+
+        const { groupId, rest, error: groupError } = extractGroupOption(args.raw);
+        if (groupError) return bot.sendMessage(chatId, `${groupError}\nUsage: ${FUNNEL_USAGE}`);
+
+        // The period is an option, so a KOL called "today" or "7d" is still just a name
+        const periodMatch = rest.match(/(?:^|\s)period=(\S*)/i);
+        const period = parsePeriod(periodMatch ? periodMatch[1] : 'all');
+        if (!period) return bot.sendMessage(chatId, `Unknown period "${periodMatch[1]}".\nUsage: ${FUNNEL_USAGE}`);
+        const nameText = periodMatch ? `${rest.slice(0, periodMatch.index)} ${rest.slice(periodMatch.index + periodMatch[0].length)}` : rest;
+        const kolName = nameText.split(/\s+/).filter(Boolean).join(' ') || null;
+        console.log(`Admin ${userId} requested /funnel` + (kolName ? ` for KOL: ${kolName}` : '') + ` (${period.label})`);
+
+        try {
+            const deepLinks = await storage.deepLinks.list({ kolName, groupId, includeInactive: true });
+            if (deepLinks.length === 0) {
+                return bot.sendMessage(chatId, `🚪 No deep links${kolName ? ` for KOL "${kolName}"` : ''}${groupScopeLabel(groupId)}. Create one with /deeplink add <KOL_Name>.`);
+            }
+            const funnel = await getDeepLinkFunnel(storage, deepLinks, { from: period.since });
+
+            const header = `🚪 <b>Deep-link funnel${kolName ? ` · ${escapeHtml(deepLinks[0].kol_name)}` : ''}</b>${escapeHtml(groupScopeLabel(groupId))} · ${period.label}\n` +
+                `<i>Visitors → joined (of visitors) → verified (of joined)</i>\n` +
+                `Total: ${formatFunnelCounts(funnel.totals)}`;
+            const lines = kolName
+                ? funnel.links.map(link => `${link.active === false ? '🚫' : '🏷'} <b>${escapeHtml(link.tag || 'no tag')}</b> <code>${DEEP_LINK_PREFIX}${escapeHtml(link.code)}</code>: ${formatFunnelCounts(link)}`)
+                : funnel.kols.map(kol => `👤 <b>${escapeHtml(kol.kolName)}</b>: ${formatFunnelCounts(kol)}`);
+
+            await paginator.send(chatId, { header, lines, linesPerPage: 25, ownerId: userId });
+        } catch (err) {
+            console.error("Unexpected error in /funnel:", err);
+            bot.sendMessage(chatId, "An unexpected error occurred while building the deep-link funnel.");
+        }
+    });
+
+    // /export command (Admin Only)
+    // Usage: /export [links|referrals|all] [csv|json] [KOL_Name] [from=YYYY-MM-DD] [to=YYYY-MM-DD] [group=<id|title>]
+    //   Dates filter links by creation and referrals by join date (UTC, inclusive); default all groups
+    function parseExportArgs(argString) {
+        const options = { tables: EXPORT_TABLES, format: 'csv', kolName: null, from: null, to: null, error: null };
+        const nameParts = [];
+        for (const token of (argString || '').split(/\s+/).filter(Boolean)) {
+            const lower = token.toLowerCase();
+            const dateMatch = token.match(/^(from|to)=(.*)$/i);
+            if (lower === 'all') options.tables = EXPORT_TABLES;
+            else if (EXPORT_TABLES.includes(lower)) options.tables = [lower];
+            else if (EXPORT_FORMATS.includes(lower)) options.format = lower;
+            else if (dateMatch) {
+                const day = parseDay(dateMatch[2]);
+                if (!day) options.error = `${dateMatch[1]}= needs a date like 2024-05-31`;
+                else if (dateMatch[1].toLowerCase() === 'from') options.from = day;
+                else options.to = new Date(day.getTime() + 24 * 60 * 60 * 1000 - 1); // End of that day
+            }
+            else nameParts.push(token);
+        }
+        if (options.from && options.to && options.from > options.to) options.error = 'from= is after to=.';
+        options.kolName = nameParts.join(' ') || null;
+        return options;
+    }
+
+    const EXPORT_USAGE = "/export [links|referrals|all] [csv|json] [KOL_Name] [from=YYYY-MM-DD] [to=YYYY-MM-DD] [group=<id|title>]";
+    commands.register('export', {
+        description: 'Export links or referrals as CSV or JSON',
+        role: 'admin',
+        args: [{ name: 'options', type: 'text', optional: true }],
+        usage: EXPORT_USAGE
+    }, async (msg, args) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+
+        const usage = `Usage: ${EXPORT_USAGE}`;
+        const { groupId, rest, error: groupError } = extractGroupOption(args.raw);
+        if (groupError) return bot.sendMessage(chatId, `${groupError}\n${usage}`);
+        const options = { ...parseExportArgs(rest), groupId };
+        if (options.error) return bot.sendMessage(chatId, `${options.error}\n${usage}`);
+
+        console.log(`Admin ${userId} requested /export of ${options.tables.join('+')} as ${options.format}` +
+            (options.kolName ? ` for KOL: ${options.kolName}` : '') + (groupId !== null ? ` in group ${groupId}` : '') +
+            (options.from ? ` from ${options.from.toISOString()}` : '') + (options.to ? ` to ${options.to.toISOString()}` : ''));
+
+        try {
+            const documents = await buildExport(storage, options);
+            for (const doc of documents) {
+                await bot.sendDocument(chatId, doc.content, { caption: `📦 ${doc.filename} (${doc.rowCount} row${doc.rowCount === 1 ? '' : 's'})` },
+                    { filename: doc.filename, contentType: doc.contentType });
+            }
+            console.log(`Export sent to admin ${userId}: ${documents.map(d => `${d.filename} (${d.rowCount})`).join(', ')}`);
+        } catch (err) {
+            console.error("Unexpected error in /export:", err);
+            bot.sendMessage(chatId, "An unexpected error occurred while exporting.");
+        }
+    });
+
+    // /import command (Admin Only) - reply to a legacy kolLinks.json or referrals.json document
+    // Usage: /import [dry] [group=<id|title>]   (dry only validates and reports; default the primary group)
+    const IMPORT_MAX_BYTES = 5 * 1024 * 1024;
+    const IMPORT_REPORT_LIMIT = 10; // Problem lines listed per category
+
+    async function downloadDocumentText(fileId) {
+        const chunks = [];
+        let size = 0;
+        for await (const chunk of bot.getFileStream(fileId)) {
+            size += chunk.length;
+            if (size > IMPORT_MAX_BYTES) throw new Error('File is too large');
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks).toString('utf8');
+    }
+
+    function formatImportProblems(title, items) {
+        if (items.length === 0) return '';
+        const shown = items.slice(0, IMPORT_REPORT_LIMIT).map(item => `   • ${escapeHtml(item)}`).join('\n');
+        const more = items.length > IMPORT_REPORT_LIMIT ? `\n   … and ${items.length - IMPORT_REPORT_LIMIT} more` : '';
+        return `\n\n${title} (${items.length}):\n${shown}${more}`;
+    }
+
+    commands.register('import', {
+        description: 'Import legacy kolLinks.json/referrals.json (reply to the file)',
+        role: 'admin',
+        args: [{ name: 'options', type: 'text', optional: true }],
+        usage: "/import [dry] [group=<id|title>]"
+    }, async (msg, args) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+
+        const { groupId, rest, error: groupError } = extractGroupOption(args.raw);
+        if (groupError) return bot.sendMessage(chatId, `${groupError}\nUsage: /import [dry] [group=<id|title>]`);
+        const dryRun = rest.toLowerCase() === 'dry';
+        const targetGroupId = groupId ?? TARGET_GROUP_ID_NUMERIC;
+        const document = msg.reply_to_message?.document;
+        if (!document) {
+            return bot.sendMessage(chatId, "Send the kolLinks.json or referrals.json file first, then reply to it with /import (or /import dry to only check it).");
+        }
+        if (document.file_size > IMPORT_MAX_BYTES) return bot.sendMessage(chatId, "❌ That file is too large to import (max 5 MB).");
+
+        console.log(`Admin ${userId} requested /import${dryRun ? ' (dry run)' : ''} of "${document.file_name}" into group ${targetGroupId}`);
+
+        let text;
+        try {
+            text = await downloadDocumentText(document.file_id);
+        } catch (downloadError) {
+            console.error(`Failed to download import file ${document.file_id}:`, downloadError.message);
+            return bot.sendMessage(chatId, `❌ Could not download the file: ${downloadError.message}`);
+        }
+
+        try {
+            let report;
+            try {
+                report = await importLegacy(storage, text, { groupId: targetGroupId, dryRun });
+            } catch (formatError) {
+                return bot.sendMessage(chatId, `❌ ${formatError.message}`);
+            }
+
+            const what = report.kind === 'links' ? 'KOL links' : 'referrals';
+            console.log(`Import of ${what} by admin ${userId}${dryRun ? ' (dry run)' : ''}: ${report.imported} new, ` +
+                `${report.duplicates.length} duplicates, ${report.conflicts.length} conflicts, ${report.invalid.length} invalid.`);
+
+            let response = `${dryRun ? '🔎 <b>Dry run</b>: nothing was written.\n' : ''}` +
+                `📥 <b>Import of ${what}</b> into ${escapeHtml(groupRegistry.label(targetGroupId))} (${report.total} entries)\n` +
+                `${dryRun ? 'Would import' : 'Imported'}: ${report.imported}`;
+            response += formatImportProblems('♻️ Already stored (skipped)', report.duplicates);
+            response += formatImportProblems('⚠️ Conflicts with stored data (skipped, fix by hand)', report.conflicts);
+            response += formatImportProblems('❌ Invalid entries (skipped)', report.invalid);
+            bot.sendMessage(chatId, response, { parse_mode: 'HTML' });
+        } catch (err) {
+            console.error("Unexpected error in /import:", err);
+            bot.sendMessage(chatId, "An unexpected error occurred while importing. Entries written before the error are kept; run the import again to finish.");
+        }
+    });
+}
+
+module.exports = { registerStatsCommands };
@@ -0,0 +1,95 @@
+// KROM Referral Bot - Cron expressions
+// Standard 5-field expressions (minute hour day-of-month month day-of-week), always
+// evaluated in UTC. Fields take *, numbers, ranges (1-5), lists (1,3,5) and steps
+// (*/15, 0-30/10, 5/20); day-of-week 0 and 7 are both Sunday. Aliases: @hourly,
+// @daily, @weekly, @monthly. As in cron, when both day fields are restricted a day
+// matching either of them runs.
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const SEARCH_LIMIT_MS = 5 * 366 * DAY_MS; // "0 0 30 2 *" never matches; give up instead of looping
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day-of-month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day-of-week', min: 0, max: 7 }
+];
+
+const ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *'
+};
+
+function parseField(text, { name, min, max }) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const match = part.match(/^(?:(\*)|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+        if (!match) throw new Error(`Invalid ${name} field "${text}"`);
+        const [, star, startText, endText, stepText] = match;
+        const start = star ? min : parseInt(startText, 10);
+        let end = start;
+        if (star || stepText !== undefined) end = max;
+        if (endText !== undefined) end = parseInt(endText, 10);
+        const step = stepText !== undefined ? parseInt(stepText, 10) : 1;
+        if (start < min || end > max || start > end || step < 1) throw new Error(`${name} field "${text}" is out of range (${min}-${max})`);
+        for (let value = start; value <= end; value += step) values.add(value);
+    }
+    return values;
+}
+
+/**
+ * @param {string} expression
+ * @returns {object} Parsed schedule for nextRun()
+ * @throws {Error} With a readable message if the expression is invalid
+ */
+function parseCron(expression) {
+    const source = String(expression || '').trim();
+    const fields = (ALIASES[source.toLowerCase()] || source).split(/\s+/);
+    if (fields.length !== 5) throw new Error(`Cron expression "${source}" needs 5 fields (minute hour day-of-month month day-of-week)`);
+
+    const [minutes, hours, days, months, weekdays] = fields.map((text, index) => parseField(text, FIELDS[index]));
+    if (weekdays.delete(7)) weekdays.add(0);
+    return {
+        source,
+        minutes, hours, days, months, weekdays,
+        // A field starting with * doesn't restrict the day (cron's rule for combining the two)
+        daysRestricted: !fields[2].startsWith('*'),
+        weekdaysRestricted: !fields[4].startsWith('*')
+    };
+}
+
+function dayMatches(cron, date) {
+    const dayOk = cron.days.has(date.getUTCDate());
+    const weekdayOk = cron.weekdays.has(date.getUTCDay());
+    if (cron.daysRestricted && cron.weekdaysRestricted) return dayOk || weekdayOk;
+    return dayOk && weekdayOk;
+}
+
+/**
+ * First matching minute strictly after `after`, or null if there is none within five years
+ * @param {object} cron   From parseCron
+ * @param {Date} after
+ * @returns {Date|null}
+ */
+function nextRun(cron, after) {
+    const date = new Date(Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS);
+    const limit = after.getTime() + SEARCH_LIMIT_MS;
+    while (date.getTime() <= limit) {
+        if (!cron.months.has(date.getUTCMonth() + 1) || !dayMatches(cron, date)) {
+            date.setUTCDate(date.getUTCDate() + 1);
+            date.setUTCHours(0, 0, 0, 0);
+        } else if (!cron.hours.has(date.getUTCHours())) {
+            date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+        } else if (!cron.minutes.has(date.getUTCMinutes())) {
+            date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+        } else {
+            return date;
+        }
+    }
+    return null;
+}
+
+module.exports = { parseCron, nextRun };
@@ -0,0 +1,145 @@
+// KROM Referral Bot - Digest reports
+// Activity summary for a period (a day or a week) compared with the period before,
+// built from referral_events so joins, verifications and leaves are counted on the
+// day they happened. Pending and flagged counts are a snapshot at build time.
+const { escapeHtml } = require('./html');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DIGEST_PERIODS = { daily: 1, weekly: 7 }; // Length in days
+const MAX_KOL_LINES = 20; // Keeps the message well under Telegram's 4096 characters
+const NOTABLE_MIN_JOINS = 5; // Smaller swings are noise
+const NOTABLE_MAX_NOTES = 8;
+
+function emptyCounts() {
+    return { joins: 0, verified: 0, left: 0 };
+}
+
+function tally(events, from) {
+    const current = { totals: { ...emptyCounts(), untracked: 0 }, byKol: new Map() };
+    const previous = { totals: { ...emptyCounts(), untracked: 0 }, byKol: new Map() };
+    for (const event of events) {
+        const bucket = new Date(event.created_at) >= from ? current : previous;
+        let field = null;
+        if (event.event_type === 'join' || event.event_type === 'rejoin') field = 'joins';
+        else if (event.event_type === 'verify') field = 'verified';
+        else if (event.event_type === 'leave' || event.event_type === 'kick') field = 'left';
+        if (!field) continue;
+
+        if (!event.kol_name) {
+            if (field === 'joins') bucket.totals.untracked++;
+            continue; // Leaves of members who never came through a KOL link don't concern anyone here
+        }
+        bucket.totals[field]++;
+        if (!bucket.byKol.has(event.kol_name)) bucket.byKol.set(event.kol_name, emptyCounts());
+        bucket.byKol.get(event.kol_name)[field]++;
+    }
+    return { current, previous };
+}
+
+// Plain-language notes on the KOL changes worth a look
+function findNotableChanges(kols) {
+    const notes = [];
+    for (const { kolName, current, previous } of kols) {
+        if (previous.joins === 0 && current.joins >= NOTABLE_MIN_JOINS) {
+            notes.push(`${kolName}: ${current.joins} joins after none the period before`);
+        } else if (Math.max(current.joins, previous.joins) >= NOTABLE_MIN_JOINS && previous.joins > 0) {
+            const change = (current.joins - previous.joins) / previous.joins;
+            if (change >= 1) notes.push(`${kolName}: joins up ${Math.round(change * 100)}% (${previous.joins} → ${current.joins})`);
+            else if (change <= -0.5) notes.push(`${kolName}: joins down ${Math.round(-change * 100)}% (${previous.joins} → ${current.joins})`);
+        }
+        if (current.left >= NOTABLE_MIN_JOINS && current.left > current.verified) {
+            notes.push(`${kolName}: more leaves (${current.left}) than verifications (${current.verified})`);
+        }
+    }
+    return notes.slice(0, NOTABLE_MAX_NOTES);
+}
+
+/**
+ * @param {object} storage
+ * @param {object} options
+ * @param {string} options.period     One of the DIGEST_PERIODS keys
+ * @param {Date} options.periodEnd    The digest covers the period ending here
+ * @returns {Promise<object>} Input for formatDigest
+ */
+async function buildDigest(storage, { period, periodEnd }) {
+    const lengthMs = DIGEST_PERIODS[period] * DAY_MS;
+    const from = new Date(periodEnd.getTime() - lengthMs);
+    const previousFrom = new Date(from.getTime() - lengthMs);
+
+    const [events, pending, flagged] = await Promise.all([
+        storage.referralEvents.listBetween(previousFrom.toISOString(), periodEnd.toISOString()),
+        storage.referrals.countForKol(null, { pendingOnly: true }),
+        storage.referrals.countFlagged()
+    ]);
+    const { current, previous } = tally(events, from);
+
+    const kols = [...new Set([...current.byKol.keys(), ...previous.byKol.keys()])]
+        .map(kolName => ({
+            kolName,
+            current: current.byKol.get(kolName) || emptyCounts(),
+            previous: previous.byKol.get(kolName) || emptyCounts()
+        }))
+        .sort((a, b) => b.current.joins - a.current.joins || b.current.verified - a.current.verified || a.kolName.localeCompare(b.kolName));
+
+    return {
+        period,
+        from,
+        to: periodEnd,
+        totals: current.totals,
+        previousTotals: previous.totals,
+        kols,
+        pending,
+        flagged,
+        notable: findNotableChanges(kols)
+    };
+}
+
+// --- Formatting ---
+function formatChange(current, previous) {
+    if (current === previous) return '±0';
+    const sign = current > previous ? '▲ +' : '▼ -';
+    const percent = previous > 0 ? ` (${Math.round(Math.abs(current - previous) / previous * 100)}%)` : '';
+    return `${sign}${Math.abs(current - previous)}${percent}`;
+}
+
+function formatTime(date) {
+    return date.toISOString().slice(0, 16).replace('T', ' ');
+}
+
+/**
+ * @param {object} digest  From buildDigest
+ * @returns {string} HTML message
+ */
+function formatDigest(digest) {
+    const { totals, previousTotals: prev } = digest;
+    const title = digest.period === 'weekly' ? 'Weekly digest' : 'Daily digest';
+    const lines = [
+        `📬 <b>${title}</b> · ${formatTime(digest.from)} to ${formatTime(digest.to)} UTC`,
+        '',
+        `👥 Referred joins: ${totals.joins} (${formatChange(totals.joins, prev.joins)})`,
+        `✅ Verifications: ${totals.verified} (${formatChange(totals.verified, prev.verified)})`,
+        `👋 Referred members left: ${totals.left} (${formatChange(totals.left, prev.left)})`,
+        `➕ Joins without a KOL link: ${totals.untracked}`,
+        `⏳ Waiting for verification now: ${digest.pending}`
+    ];
+    if (digest.flagged > 0) lines.push(`🚩 Flagged, awaiting review: ${digest.flagged} (/suspicious)`);
+
+    const active = digest.kols.filter(k => k.current.joins || k.current.verified || k.current.left);
+    if (active.length > 0) {
+        lines.push('', '<b>Per KOL</b> (joins / verified / left, change in joins)');
+        for (const { kolName, current, previous } of active.slice(0, MAX_KOL_LINES)) {
+            lines.push(`• ${escapeHtml(kolName)}: ${current.joins} / ${current.verified} / ${current.left} (${formatChange(current.joins, previous.joins)})`);
+        }
+        if (active.length > MAX_KOL_LINES) lines.push(`… and ${active.length - MAX_KOL_LINES} more KOL(s)`);
+    } else {
+        lines.push('', 'No referral activity in this period.');
+    }
+
+    if (digest.notable.length > 0) {
+        lines.push('', '<b>Notable changes</b>', ...digest.notable.map(note => `• ${escapeHtml(note)}`));
+    }
+    return lines.join('\n');
+}
+
+module.exports = { DIGEST_PERIODS, buildDigest, formatDigest };
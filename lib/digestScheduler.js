@@ -0,0 +1,146 @@
+// KROM Referral Bot - Digest scheduler
+// Posts digests (lib/digest) on cron schedules stored in digest_schedules. A periodic
+// sweep delivers the latest slot that has come: slots missed while the bot was down
+// are collapsed into that one digest, not sent in a burst. The digest is built before
+// its slot is claimed in storage and the claim is released again if no chat received
+// it, so a slot stays due until it was delivered once and concurrent sweeps never send
+// it twice. Slots more than MAX_CATCH_UP_MS late are skipped.
+const { parseCron, nextRun } = require('./cron');
+const { DIGEST_PERIODS, buildDigest, formatDigest } = require('./digest');
+const { describeTelegramError } = require('./telegramErrors');
+
+const MAX_CATCH_UP_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * @param {object} options
+ * @param {TelegramBot} options.bot
+ * @param {object} options.storage
+ * @param {function} options.getAdminIds   () -> user IDs; recipients of schedules without a chat
+ * @param {number} options.sweepIntervalMs
+ */
+function createDigestScheduler({ bot, storage, getAdminIds, sweepIntervalMs }) {
+    let sweepTimer = null;
+
+    function recipients(chatId) {
+        return chatId !== null ? [chatId] : getAdminIds();
+    }
+
+    // Returns the number of chats reached
+    async function send(text, period, targets) {
+        let delivered = 0;
+        for (const target of targets) {
+            try {
+                await bot.sendMessage(target, text, { parse_mode: 'HTML' });
+                delivered++;
+            } catch (tgError) {
+                console.error(`❌ Failed to send ${period} digest to chat ${target}:`, describeTelegramError(tgError));
+            }
+        }
+        return delivered;
+    }
+
+    // Sends one digest to a chat, or to every admin's DM. Returns the number of chats reached.
+    async function deliver({ period, periodEnd, chatId = null }) {
+        const text = formatDigest(await buildDigest(storage, { period, periodEnd }));
+        return send(text, period, recipients(chatId));
+    }
+
+    // The latest slot at or before now (slot itself if none later has come) and the one after it.
+    // Slots more than MAX_CATCH_UP_MS late are skipped anyway, so the search starts there.
+    function latestSlot(cron, slot, now) {
+        let latest = slot;
+        let following = nextRun(cron, new Date(Math.max(slot.getTime(), now.getTime() - MAX_CATCH_UP_MS)));
+        while (following && following <= now) {
+            latest = following;
+            following = nextRun(cron, following);
+        }
+        return { latest, following };
+    }
+
+    async function runSchedule(schedule, now) {
+        const slot = new Date(schedule.next_run_at);
+        const { latest, following } = latestSlot(parseCron(schedule.cron), slot, now);
+        const nextRunAt = following ? following.toISOString() : null;
+        if (latest > slot) console.warn(`Digest #${schedule.id} missed slots since ${slot.toISOString()}; sending only the one for ${latest.toISOString()}.`);
+
+        if (now - latest > MAX_CATCH_UP_MS) {
+            if (!await storage.digestSchedules.claim(schedule.id, schedule.next_run_at, nextRunAt, latest.toISOString())) return;
+            console.warn(`Skipping ${schedule.period} digest #${schedule.id} for ${latest.toISOString()}: more than a week late.`);
+        } else {
+            // Built first: if storage fails, nothing is claimed and the next sweep tries again
+            const text = formatDigest(await buildDigest(storage, { period: schedule.period, periodEnd: latest }));
+            const claimed = await storage.digestSchedules.claim(schedule.id, schedule.next_run_at, nextRunAt, latest.toISOString());
+            if (!claimed) return; // Another sweep got there first, or the schedule was removed
+
+            const targets = recipients(schedule.chat_id);
+            const delivered = await send(text, schedule.period, targets);
+            if (delivered === 0 && targets.length > 0) {
+                await storage.digestSchedules.release(schedule.id, claimed.next_run_at, schedule);
+                return console.warn(`${schedule.period} digest #${schedule.id} for ${latest.toISOString()} reached no chat; retrying on the next sweep.`);
+            }
+            console.log(`📬 Sent ${schedule.period} digest #${schedule.id} for ${latest.toISOString()} to ${delivered} chat(s).`);
+        }
+        if (!following) console.warn(`Digest schedule #${schedule.id} ("${schedule.cron}") has no future runs and was deactivated.`);
+    }
+
+    async function sweep(now = new Date()) {
+        let due;
+        try {
+            due = await storage.digestSchedules.listDue(now);
+        } catch (dbError) {
+            return console.error('Storage select error (due digests):', dbError.message);
+        }
+        for (const schedule of due) {
+            try {
+                await runSchedule(schedule, now);
+            } catch (err) {
+                console.error(`Error running digest schedule #${schedule.id}:`, err.message);
+            }
+        }
+    }
+
+    return {
+        /**
+         * @param {object} options
+         * @param {string} options.cron     Validated with parseCron; throws on invalid expressions
+         * @param {string} options.period   One of the DIGEST_PERIODS keys
+         * @param {number} [options.chatId] null for every admin's DM
+         * @param {number} [options.createdBy]
+         */
+        async add({ cron, period, chatId = null, createdBy = null }) {
+            if (!DIGEST_PERIODS[period]) throw new Error(`Unknown digest period "${period}" (expected ${Object.keys(DIGEST_PERIODS).join(', ')})`);
+            const first = nextRun(parseCron(cron), new Date());
+            if (!first) throw new Error(`Cron expression "${cron}" never runs`);
+            return storage.digestSchedules.create({ cron, period, chatId, createdBy, nextRunAt: first.toISOString() });
+        },
+
+        async remove(id) {
+            return storage.digestSchedules.deactivate(id);
+        },
+
+        async list() {
+            return storage.digestSchedules.list();
+        },
+
+        // Digest for the period ending now, outside any schedule (/digest now)
+        async sendNow({ period, chatId }) {
+            return deliver({ period, periodEnd: new Date(), chatId });
+        },
+
+        sweep,
+
+        start() {
+            if (sweepTimer) return;
+            sweepTimer = setInterval(sweep, sweepIntervalMs);
+            sweep(); // Deliver whatever fell due while the bot was down
+            console.log(`Digest scheduler running every ${sweepIntervalMs / 1000}s.`);
+        },
+
+        stop() {
+            if (sweepTimer) clearInterval(sweepTimer);
+            sweepTimer = null;
+        }
+    };
+}
+
+module.exports = { createDigestScheduler };
@@ -0,0 +1,80 @@
+// KROM Referral Bot - Referral fraud scoring
+// Every referred join is scored from the join/leave history in referral_events
+// plus a few account heuristics. Referrals at or above the threshold are flagged
+// and left out of /refcount until an admin reviews them via /suspicious.
+const { JOIN_EVENTS, LEAVE_EVENTS } = require('./storage/referralEventsRepository');
+const { describeTelegramError } = require('./telegramErrors');
+
+// Points per signal. Tuned so one weak signal never flags on its own, but a
+// fresh account without username/photo, or any KOL hopping, does.
+const WEIGHTS = {
+    joinBurst: 30,      // Link is getting many joins in a short window
+    recentAccount: 20,  // User ID above the "recent account" boundary
+    noUsername: 15,
+    noProfilePhoto: 15,
+    kolHopping: 50,     // Previously joined through a different KOL's link
+    rejoinCycling: 25   // Left and came back repeatedly in a short time
+};
+
+const REJOIN_WINDOW_HOURS = 24;
+const REJOIN_CYCLE_THRESHOLD = 2; // Leaves within the window before a join counts as cycling
+
+/**
+ * @param {object} options
+ * @param {TelegramBot} options.bot
+ * @param {object} options.storage
+ * @param {number} options.flagThreshold           Score at which a referral is flagged
+ * @param {number} options.burstWindowMinutes
+ * @param {number} options.burstThreshold          Joins on one link within the window that count as a burst
+ * @param {number} options.recentAccountMinId      User IDs at or above this are treated as recently created accounts
+ */
+function createFraudDetector({ bot, storage, flagThreshold, burstWindowMinutes, burstThreshold, recentAccountMinId }) {
+
+    async function hasProfilePhoto(userId) {
+        try {
+            const photos = await bot.getUserProfilePhotos(userId, { limit: 1 });
+            return photos.total_count > 0;
+        } catch (tgError) {
+            console.warn(`Could not fetch profile photos for user ${userId}:`, describeTelegramError(tgError));
+            return true; // Unknown: don't penalize
+        }
+    }
+
+    return {
+        /**
+         * Scores a join that has already been recorded in referral_events.
+         * History signals only look at the group being joined: joining another group
+         * through a different KOL is normal, not hopping.
+         * @returns {Promise<{ score: number, reasons: string[], flagged: boolean }>}
+         */
+        async assessJoin({ user, chatId, linkUrl, kolName }) {
+            const reasons = [];
+            let score = 0;
+            const add = (signal, reason) => { score += WEIGHTS[signal]; reasons.push(reason); };
+
+            const burstSince = new Date(Date.now() - burstWindowMinutes * 60 * 1000);
+            const recentLinkJoins = await storage.referralEvents.countForLink(linkUrl, JOIN_EVENTS, { since: burstSince });
+            if (recentLinkJoins >= burstThreshold) {
+                add('joinBurst', `join burst: ${recentLinkJoins} joins on this link in ${burstWindowMinutes} min`);
+            }
+
+            if (user.id >= recentAccountMinId) add('recentAccount', 'recently created account (high user ID)');
+            if (!user.username) add('noUsername', 'no username');
+            if (!(await hasProfilePhoto(user.id))) add('noProfilePhoto', 'no profile photo');
+
+            const history = await storage.referralEvents.listForUser(user.id, { chatId });
+            const otherKols = [...new Set(history
+                .filter(e => JOIN_EVENTS.includes(e.event_type) && e.kol_name && e.kol_name.toLowerCase() !== kolName.toLowerCase())
+                .map(e => e.kol_name))];
+            if (otherKols.length > 0) add('kolHopping', `previously joined via other KOL(s): ${otherKols.join(', ')}`);
+
+            const cycleSince = Date.now() - REJOIN_WINDOW_HOURS * 60 * 60 * 1000;
+            const recentLeaves = history.filter(e => LEAVE_EVENTS.includes(e.event_type) && new Date(e.created_at).getTime() >= cycleSince).length;
+            if (recentLeaves >= REJOIN_CYCLE_THRESHOLD) add('rejoinCycling', `left and rejoined ${recentLeaves} times in ${REJOIN_WINDOW_HOURS}h`);
+
+            return { score, reasons, flagged: score >= flagThreshold };
+        }
+    };
+}
+
+module.exports = { createFraudDetector };
@@ -0,0 +1,104 @@
+// KROM Referral Bot - Target group registry
+// Groups the bot tracks referrals in, cached in memory so update handlers can
+// check a chat without a storage round trip. TARGET_GROUP_ID is the primary group:
+// it is always tracked, and rows from before multi-group support are assigned to it.
+// More groups are added with /addgroup.
+const { describeTelegramError } = require('./telegramErrors');
+
+/**
+ * @param {object} options
+ * @param {TelegramBot} options.bot
+ * @param {object} options.storage
+ * @param {number} options.primaryGroupId
+ */
+function createGroupRegistry({ bot, storage, primaryGroupId }) {
+    // chat_id -> groups row. The primary group is tracked even before load() finishes.
+    const groups = new Map([[primaryGroupId, { chat_id: primaryGroupId, title: null, active: true }]]);
+
+    async function fetchTitle(chatId) {
+        try {
+            const chat = await bot.getChat(chatId);
+            return chat.title || chat.username || null;
+        } catch (tgError) {
+            console.warn(`Could not read title of group ${chatId}:`, describeTelegramError(tgError));
+            return null;
+        }
+    }
+
+    return {
+        primaryGroupId,
+
+        // Registers the primary group, assigns ungrouped legacy rows to it and loads the list
+        async load() {
+            const primary = await storage.groups.find(primaryGroupId);
+            if (!primary?.active) {
+                await storage.groups.register({ chatId: primaryGroupId, title: primary?.title ?? await fetchTitle(primaryGroupId) });
+            }
+            const adoptedLinks = await storage.kolLinks.adoptUngrouped(primaryGroupId);
+            const adoptedReferrals = await storage.referrals.adoptUngrouped(primaryGroupId);
+            if (adoptedLinks || adoptedReferrals) {
+                console.log(`Assigned ${adoptedLinks} link(s) and ${adoptedReferrals} referral(s) from before multi-group support to group ${primaryGroupId}.`);
+            }
+
+            groups.clear();
+            for (const row of await storage.groups.list()) groups.set(Number(row.chat_id), row);
+            groups.set(primaryGroupId, groups.get(primaryGroupId) || { chat_id: primaryGroupId, title: null, active: true });
+            console.log(`Tracking ${groups.size} group(s): ${[...groups.keys()].join(', ')}`);
+        },
+
+        isTracked(chatId) {
+            return groups.has(Number(chatId));
+        },
+
+        // Active groups, primary first
+        list() {
+            return [...groups.values()].sort((a, b) => (Number(b.chat_id) === primaryGroupId) - (Number(a.chat_id) === primaryGroupId));
+        },
+
+        isMultiGroup() {
+            return groups.size > 1;
+        },
+
+        // Title for messages; falls back to the chat ID
+        label(chatId) {
+            const row = groups.get(Number(chatId));
+            return row?.title || String(chatId);
+        },
+
+        // Chat ID or title (case-insensitive) -> chat ID, or null
+        resolve(reference) {
+            const text = String(reference || '').trim();
+            if (/^-?\d+$/.test(text)) return groups.has(Number(text)) ? Number(text) : null;
+            const match = [...groups.values()].filter(row => row.title && row.title.toLowerCase() === text.toLowerCase());
+            return match.length === 1 ? Number(match[0].chat_id) : null;
+        },
+
+        async add({ chatId, title = null, addedBy = null }) {
+            const row = await storage.groups.register({ chatId, title: title ?? await fetchTitle(chatId), addedBy });
+            groups.set(Number(chatId), row);
+            return row;
+        },
+
+        // The primary group can't be removed (it comes from the environment)
+        async remove(chatId) {
+            if (Number(chatId) === primaryGroupId) throw new Error('The primary group (TARGET_GROUP_ID) cannot be removed.');
+            const row = await storage.groups.deactivate(chatId);
+            groups.delete(Number(chatId));
+            return row;
+        },
+
+        // Keeps titles current when a group is renamed
+        async noteTitle(chatId, title) {
+            const row = groups.get(Number(chatId));
+            if (!row || !title || row.title === title) return;
+            row.title = title;
+            try {
+                await storage.groups.updateTitle(chatId, title);
+            } catch (dbError) {
+                console.error(`Storage update error (group title) for ${chatId}:`, dbError.message);
+            }
+        }
+    };
+}
+
+module.exports = { createGroupRegistry };
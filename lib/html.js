@@ -0,0 +1,17 @@
+// KROM Referral Bot - HTML helpers
+// Every formatted message the bot sends uses parse_mode HTML, and every value that
+// comes from users or admins (names, KOL names, group titles) goes through
+// escapeHtml before it is put into one. Keep it that way: mixing in Markdown means
+// a second set of characters to escape, and the two are easy to get wrong.
+
+function escapeHtml(text) {
+    if (text === null || text === undefined) return '';
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Clickable user name; works for users without a @username
+function mentionHtml(userId, name) {
+    return `<a href="tg://user?id=${Number(userId)}">${escapeHtml(name || `User ${userId}`)}</a>`;
+}
+
+module.exports = { escapeHtml, mentionHtml };
@@ -0,0 +1,171 @@
+// KROM Referral Bot - HTTP server
+// Receives Telegram webhook updates (webhook mode) and serves /healthz, /metrics
+// and, when API keys are configured, the REST API.
+//
+//   POST <webhook path>  Telegram updates; requests without the right
+//                        X-Telegram-Bot-Api-Secret-Token header are rejected
+//   GET  /healthz        200 with a live storage check, 503 when storage is down
+//   GET  /metrics        Prometheus text format
+//   GET  /api/v1/...     REST API (lib/api)
+const http = require('http');
+const crypto = require('crypto');
+
+const MAX_BODY_BYTES = 1024 * 1024; // Updates are a few KB at most
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+
+// Constant-time comparison, so the secret can't be guessed byte by byte from response times
+function secretMatches(received, expected) {
+    const a = Buffer.from(String(received || ''));
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+function send(res, status, body, contentType = 'application/json') {
+    res.writeHead(status, { 'Content-Type': contentType });
+    res.end(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+/**
+ * Live storage check: { ok, latencyMs } or { ok: false, error }
+ * @param {object} storage
+ */
+async function checkStorage(storage) {
+    const started = Date.now();
+    let timer;
+    try {
+        await Promise.race([
+            storage.ping(),
+            new Promise((resolve, reject) => { timer = setTimeout(() => reject(new Error(`No answer within ${HEALTH_CHECK_TIMEOUT_MS / 1000}s`)), HEALTH_CHECK_TIMEOUT_MS); })
+        ]);
+        return { ok: true, latencyMs: Date.now() - started };
+    } catch (error) {
+        return { ok: false, error: error.message };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * @param {object} options
+ * @param {number} options.port
+ * @param {object} options.storage
+ * @param {object} options.metrics            From lib/metrics
+ * @param {object} [options.webhook]          Webhook mode only
+ * @param {string} options.webhook.path
+ * @param {string} options.webhook.secretToken
+ * @param {function} options.webhook.onUpdate Called with each parsed update; may return a promise
+ * @param {object} [options.api]              From lib/api
+ * @param {object} [options.info]             Extra fields for /healthz (mode, backend)
+ */
+function createHttpServer({ port, storage, metrics, webhook = null, api = null, info = {} }) {
+    const startedAt = Date.now();
+
+    async function handleWebhook(req, res) {
+        if (!secretMatches(req.headers['x-telegram-bot-api-secret-token'], webhook.secretToken)) {
+            console.warn(`Rejected webhook request from ${req.socket.remoteAddress}: missing or wrong secret token.`);
+            return send(res, 401, { error: 'unauthorized' });
+        }
+        let update;
+        try {
+            update = JSON.parse(await readBody(req));
+        } catch (bodyError) {
+            console.warn('Rejected webhook request with an unreadable body:', bodyError.message);
+            return send(res, 400, { error: 'bad request' });
+        }
+        // Answer once onUpdate has taken the update (joins and verifications are stored in
+        // the update queue by then, the rest is handled later and reports its own errors).
+        // A 500 makes Telegram deliver it again.
+        try {
+            await webhook.onUpdate(update);
+        } catch (handlerError) {
+            console.error(`Error processing webhook update ${update.update_id}:`, handlerError);
+            return send(res, 500, { error: 'internal error' });
+        }
+        send(res, 200, { ok: true });
+    }
+
+    async function handleHealth(res) {
+        const storageCheck = await checkStorage(storage);
+        send(res, storageCheck.ok ? 200 : 503, {
+            status: storageCheck.ok ? 'ok' : 'error',
+            ...info,
+            uptimeSeconds: Math.floor((Date.now() - startedAt) / 1000),
+            storage: storageCheck
+        });
+    }
+
+    const server = http.createServer((req, res) => {
+        let url;
+        try {
+            url = new URL(req.url, 'http://localhost');
+        } catch (urlError) {
+            // Request targets such as "http://[bad" make the URL parser throw
+            return send(res, 400, { error: 'bad request' });
+        }
+        const { pathname } = url;
+        if (webhook && pathname === webhook.path) {
+            if (req.method !== 'POST') return send(res, 405, { error: 'method not allowed' });
+            return handleWebhook(req, res).catch(err => {
+                console.error('Unexpected error in webhook handler:', err);
+                if (!res.headersSent) send(res, 500, { error: 'internal error' });
+            });
+        }
+        if (api && pathname.startsWith('/api/')) {
+            return api.handle(req, url)
+                .then(({ status, body }) => send(res, status, body))
+                .catch(err => {
+                    console.error('Unexpected error in API handler:', err);
+                    if (!res.headersSent) send(res, 500, { error: 'internal error' });
+                });
+        }
+        if (req.method !== 'GET') return send(res, 405, { error: 'method not allowed' });
+        if (pathname === '/healthz') {
+            return handleHealth(res).catch(err => {
+                console.error('Unexpected error in /healthz:', err);
+                if (!res.headersSent) send(res, 500, { error: 'internal error' });
+            });
+        }
+        if (pathname === '/metrics') return send(res, 200, metrics.render(), 'text/plain; version=0.0.4');
+        send(res, 404, { error: 'not found' });
+    });
+
+    return {
+        server,
+
+        start() {
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, () => {
+                    server.off('error', reject);
+                    const endpoints = [...(webhook ? [`webhook at ${webhook.path}`] : []), '/healthz', '/metrics', ...(api ? ['/api/v1'] : [])];
+                    console.log(`HTTP server listening on port ${server.address().port} (${endpoints.join(', ')})`);
+                    resolve();
+                });
+            });
+        },
+
+        stop() {
+            return new Promise(resolve => server.close(() => resolve()));
+        }
+    };
+}
+
+module.exports = { createHttpServer, checkStorage };
@@ -0,0 +1,69 @@
+// KROM Referral Bot - Metrics
+// In-process counters served by /metrics in the Prometheus text format. They reset
+// on restart, which Prometheus' rate()/increase() already account for.
+
+const COUNTERS = {
+    krom_updates_total: 'Telegram updates received, by type',
+    krom_joins_total: 'Joins of tracked groups, by kind (referral, untracked, locked_out)',
+    krom_verifications_total: 'Successful verifications',
+    krom_verification_failures_total: 'Failed verifications, by reason (wrong_answer, expired, locked)',
+    krom_deep_link_visits_total: 'KOL deep links opened (/start kol_...), by outcome (shown, unavailable, failed)',
+    krom_telegram_errors_total: 'Failed Telegram Bot API calls, by method',
+    krom_storage_errors_total: 'Failed storage operations, by operation',
+    krom_update_retries_total: 'Queued updates scheduled for another try, by kind',
+    krom_update_dead_letters_total: 'Queued updates given up on (dead-letter list), by kind'
+};
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+// Sorted so the same labels always end up in the same series
+function formatLabels(labels) {
+    const entries = Object.entries(labels).sort(([a], [b]) => a.localeCompare(b));
+    return entries.length ? `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}` : '';
+}
+
+function createMetrics() {
+    const startedAt = Date.now();
+    const series = new Map(Object.keys(COUNTERS).map(name => [name, new Map()])); // name -> formatted labels -> value
+
+    return {
+        increment(name, labels = {}) {
+            const values = series.get(name);
+            if (!values) throw new Error(`Unknown metric "${name}"`);
+            const key = formatLabels(labels);
+            values.set(key, (values.get(key) || 0) + 1);
+        },
+
+        render() {
+            const lines = [];
+            for (const [name, help] of Object.entries(COUNTERS)) {
+                lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} counter`);
+                for (const [labels, value] of series.get(name)) lines.push(`${name}${labels} ${value}`);
+            }
+            lines.push('# HELP krom_uptime_seconds Seconds since the bot started', '# TYPE krom_uptime_seconds gauge',
+                `krom_uptime_seconds ${Math.floor((Date.now() - startedAt) / 1000)}`);
+            return lines.join('\n') + '\n';
+        }
+    };
+}
+
+// Counts updates and failed Bot API calls for every handler at once. Both polling and
+// the webhook server hand updates to processUpdate; every API call goes through _request.
+function instrumentTelegram(bot, metrics) {
+    const processUpdate = bot.processUpdate.bind(bot);
+    bot.processUpdate = (update) => {
+        const type = Object.keys(update).find(key => key !== 'update_id') || 'unknown';
+        metrics.increment('krom_updates_total', { type });
+        return processUpdate(update);
+    };
+
+    const request = bot._request.bind(bot);
+    bot._request = (method, options) => request(method, options).catch(error => {
+        metrics.increment('krom_telegram_errors_total', { method });
+        throw error;
+    });
+}
+
+module.exports = { createMetrics, instrumentTelegram };
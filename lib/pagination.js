@@ -0,0 +1,122 @@
+// KROM Referral Bot - Paginated messages
+// Long lists are split into pages and sent as one message with ◀️/▶️ buttons
+// that edit it in place. Rendered pages are kept in memory under a short key
+// (callback_data is capped at 64 bytes); after a restart or the TTL the buttons
+// just ask to run the command again.
+const crypto = require('crypto');
+const { describeTelegramError } = require('./telegramErrors');
+
+const MAX_PAGE_CHARS = 3800; // Headroom below Telegram's 4096 limit for header/footer
+const DEFAULT_LINES_PER_PAGE = 15;
+const DEFAULT_TTL_MS = 60 * 60 * 1000;
+const MAX_SESSIONS = 500;
+
+// Groups lines into pages, never splitting a line and never exceeding MAX_PAGE_CHARS
+function chunkLines(lines, linesPerPage) {
+    const pages = [];
+    let current = [];
+    let currentLength = 0;
+    for (const line of lines) {
+        const full = current.length >= linesPerPage || currentLength + line.length + 1 > MAX_PAGE_CHARS;
+        if (full && current.length > 0) {
+            pages.push(current);
+            current = [];
+            currentLength = 0;
+        }
+        current.push(line);
+        currentLength += line.length + 1;
+    }
+    if (current.length > 0) pages.push(current);
+    return pages;
+}
+
+/**
+ * @param {object} options
+ * @param {TelegramBot} options.bot
+ * @param {number} [options.ttlMs]   How long page buttons keep working
+ */
+function createPaginator({ bot, ttlMs = DEFAULT_TTL_MS }) {
+    const sessions = new Map(); // key -> { pages, header, parseMode, ownerId, expiresAt }
+
+    function prune() {
+        const now = Date.now();
+        for (const [key, session] of sessions) {
+            if (session.expiresAt <= now) sessions.delete(key);
+        }
+        // Map keeps insertion order, so the oldest sessions go first
+        while (sessions.size > MAX_SESSIONS) sessions.delete(sessions.keys().next().value);
+    }
+
+    function render(key, session, pageIndex) {
+        const total = session.pages.length;
+        let text = `${session.header}\n\n${session.pages[pageIndex].join('\n')}`;
+        if (total > 1) text += `\n\nPage ${pageIndex + 1}/${total}`;
+
+        const buttons = [];
+        if (pageIndex > 0) buttons.push({ text: '◀️ Prev', callback_data: `pg_${key}_${pageIndex - 1}` });
+        if (pageIndex < total - 1) buttons.push({ text: 'Next ▶️', callback_data: `pg_${key}_${pageIndex + 1}` });
+
+        return {
+            text,
+            options: {
+                parse_mode: session.parseMode,
+                disable_web_page_preview: true,
+                reply_markup: buttons.length ? { inline_keyboard: [buttons] } : undefined
+            }
+        };
+    }
+
+    return {
+        /**
+         * @param {number} chatId
+         * @param {object} content
+         * @param {string} content.header          Shown on every page
+         * @param {string[]} content.lines         Body lines (already escaped for parseMode)
+         * @param {number} [content.linesPerPage]
+         * @param {string} [content.parseMode]     Defaults to HTML
+         * @param {number} [content.ownerId]       Only this user may flip pages
+         */
+        async send(chatId, { header, lines, linesPerPage = DEFAULT_LINES_PER_PAGE, parseMode = 'HTML', ownerId = null }) {
+            prune();
+            const key = crypto.randomBytes(6).toString('hex');
+            const session = { pages: chunkLines(lines, linesPerPage), header, parseMode, ownerId, expiresAt: Date.now() + ttlMs };
+            if (session.pages.length === 0) session.pages = [['(empty)']];
+            if (session.pages.length > 1) sessions.set(key, session);
+
+            const { text, options } = render(key, session, 0);
+            return bot.sendMessage(chatId, text, options);
+        },
+
+        // Returns false if the callback isn't a page button
+        async handleCallback(callbackQuery) {
+            const match = (callbackQuery.data || '').match(/^pg_([0-9a-f]+)_(\d+)$/);
+            if (!match) return false;
+
+            const [, key, pageText] = match;
+            const session = sessions.get(key);
+            if (!session || session.expiresAt <= Date.now()) {
+                await bot.answerCallbackQuery(callbackQuery.id, { text: 'This list has expired. Please run the command again.', show_alert: true });
+                return true;
+            }
+            if (session.ownerId && session.ownerId !== callbackQuery.from.id) {
+                await bot.answerCallbackQuery(callbackQuery.id, { text: 'Only the person who ran the command can flip pages.' });
+                return true;
+            }
+
+            const pageIndex = Math.min(parseInt(pageText, 10), session.pages.length - 1);
+            const { text, options } = render(key, session, pageIndex);
+            try {
+                await bot.editMessageText(text, { ...options, chat_id: callbackQuery.message.chat.id, message_id: callbackQuery.message.message_id });
+            } catch (editError) {
+                // Double clicks produce "message is not modified"; anything else is worth a log line
+                if (!editError.response?.body?.description?.includes('message is not modified')) {
+                    console.error('Error editing paginated message:', describeTelegramError(editError));
+                }
+            }
+            await bot.answerCallbackQuery(callbackQuery.id);
+            return true;
+        }
+    };
+}
+
+module.exports = { createPaginator, chunkLines };
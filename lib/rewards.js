@@ -0,0 +1,83 @@
+// KROM Referral Bot - Reward tiers
+// KOLs earn a reward when their count of verified referrals that are still in the
+// group (flagged ones excluded, as in /refcount) reaches a tier threshold. Checked
+// after each verification: every newly reached tier gets a payout record, and the
+// KOL's linked accounts and the admins are notified. Counts are over all groups.
+const { escapeHtml } = require('./html');
+const { describeTelegramError } = require('./telegramErrors');
+
+// Tiers that apply to a KOL: its own if it has any, otherwise the global ones. Names
+// must match exactly, like the referral counts and payouts they are checked against.
+function tiersForKol(tiers, kolName) {
+    const own = tiers.filter(tier => tier.kol_name === kolName);
+    return own.length > 0 ? own : tiers.filter(tier => !tier.kol_name);
+}
+
+/**
+ * @param {object} options
+ * @param {TelegramBot} options.bot
+ * @param {object} options.storage
+ * @param {function} options.getAdminIds  () -> user IDs to notify
+ */
+function createRewards({ bot, storage, getAdminIds }) {
+    const queues = new Map(); // kolName -> promise of the running check, so one KOL's checks don't overlap
+
+    async function notify(userIds, text) {
+        for (const userId of userIds) {
+            try {
+                await bot.sendMessage(userId, text, { parse_mode: 'HTML' });
+            } catch (tgError) {
+                console.warn(`Could not send milestone notification to ${userId}:`, describeTelegramError(tgError));
+            }
+        }
+    }
+
+    async function check(kolName) {
+        const tiers = tiersForKol(await storage.rewardTiers.list(), kolName);
+        if (tiers.length === 0) return [];
+
+        // Exact name: payouts are recorded per exact KOL name too
+        const count = await storage.referrals.countForKol(kolName, { verifiedOnly: true, excludeFlagged: true, presentOnly: true, exactKolName: true });
+        const earned = new Set(await storage.payouts.listEarnedThresholds(kolName));
+        const created = [];
+        for (const tier of tiers) {
+            const threshold = Number(tier.threshold);
+            if (threshold > count || earned.has(threshold)) continue;
+            const payout = await storage.payouts.create({ kolName, tierId: tier.id, threshold, reward: tier.reward, verifiedCount: count });
+            if (!payout) continue;
+            earned.add(threshold);
+            created.push(payout);
+            console.log(`🏅 KOL "${kolName}" reached ${threshold} verified referrals (tier #${tier.id}), payout #${payout.id} recorded.`);
+
+            const name = escapeHtml(kolName);
+            const reward = escapeHtml(tier.reward);
+            const accounts = await storage.kolAccounts.listForKol(kolName);
+            await notify(accounts.map(account => Number(account.user_id)),
+                `🎉 <b>Milestone reached!</b> ${threshold} verified members are in the group through your links.\nReward: ${reward}. The admins have been notified.`);
+            await notify(getAdminIds(),
+                `🏅 KOL "${name}" reached ${threshold} verified members (${count} now).\nReward: ${reward} · payout #${payout.id}. See /payouts.`);
+        }
+        return created;
+    }
+
+    return {
+        /**
+         * Records payouts for tiers the KOL has reached and notifies about them.
+         * Never throws; errors are logged.
+         * @returns {Promise<object[]>} Newly created payout rows
+         */
+        checkMilestones(kolName) {
+            if (!kolName) return Promise.resolve([]);
+            const previous = queues.get(kolName) || Promise.resolve();
+            const run = previous.then(() => check(kolName)).catch(err => {
+                console.error(`Error checking reward tiers for KOL "${kolName}":`, err.message);
+                return [];
+            });
+            queues.set(kolName, run);
+            run.then(() => { if (queues.get(kolName) === run) queues.delete(kolName); });
+            return run;
+        }
+    };
+}
+
+module.exports = { createRewards };
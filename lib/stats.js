@@ -0,0 +1,235 @@
+// KROM Referral Bot - KOL analytics
+// Aggregations behind /refcount, /leaderboard, /kolstats and /funnel. Everything here returns
+// plain objects, so other front ends (the REST API in lib/api) reuse it as is.
+// groupId scopes a report to one target group; null gives cross-group totals.
+//
+// Metrics per KOL (over referrals that joined in the range):
+//   joined          - referred joins, flagged ones included
+//   verified        - passed verification and not flagged/rejected by fraud review
+//   conversionRate  - verified / joined
+//   retentionRate   - share of the verified referrals still in the group
+//   avgVerifySeconds - mean time from join to verification
+//
+// Deep-link funnel (/funnel, over visitors whose first visit is in the range):
+//   visitors - people who opened the deep link
+//   joined   - of those, joined through the invite link they got there
+//   verified - of those, passed verification afterwards (fraud review isn't applied here)
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 366; // Keeps the daily breakdown bounded
+
+const EXCLUDED_FLAGS = ['flagged', 'rejected'];
+
+// --- Ranges ---
+function startOfUtcDay(date) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+// YYYY-MM-DD -> midnight UTC, or null if malformed or not a real date
+function parseDay(text) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(text || '')) return null;
+    const date = new Date(`${text}T00:00:00Z`);
+    return isNaN(date) || date.toISOString().slice(0, 10) !== text ? null : date;
+}
+
+/**
+ * Leaderboard period: all | today | <N>d
+ * @returns {{ since: Date|null, label: string }|null} null if the text isn't a period
+ */
+function parsePeriod(text, now = new Date()) {
+    const period = (text || 'all').trim().toLowerCase();
+    if (period === 'all') return { since: null, label: 'all time' };
+    if (period === 'today') return { since: startOfUtcDay(now), label: 'today' };
+    const daysMatch = period.match(/^(\d+)d$/);
+    if (!daysMatch || parseInt(daysMatch[1], 10) < 1) return null;
+    const days = parseInt(daysMatch[1], 10);
+    return { since: new Date(now.getTime() - days * DAY_MS), label: `last ${days} day${days === 1 ? '' : 's'}` };
+}
+
+/**
+ * Inclusive UTC day range from YYYY-MM-DD strings. Defaults to the last 30 days.
+ * @returns {{ from: Date, to: Date, error: string|null }} to is the end of its day
+ */
+function parseDayRange(fromText, toText, now = new Date()) {
+    const to = toText ? parseDay(toText) : startOfUtcDay(now);
+    const from = fromText ? parseDay(fromText) : new Date(to?.getTime() - 29 * DAY_MS);
+    if (!from || !to) return { from, to, error: 'Dates must look like 2024-05-31.' };
+    if (from > to) return { from, to, error: 'The start date is after the end date.' };
+    if ((to - from) / DAY_MS + 1 > MAX_RANGE_DAYS) return { from, to, error: `The range can be at most ${MAX_RANGE_DAYS} days.` };
+    return { from, to: new Date(to.getTime() + DAY_MS - 1), error: null };
+}
+
+// --- Aggregation ---
+function countsAsVerified(row) {
+    return Boolean(row.verified) && !EXCLUDED_FLAGS.includes(row.flag_status);
+}
+
+function verifySeconds(row) {
+    if (!row.join_date || !row.verification_date) return null;
+    const seconds = (new Date(row.verification_date) - new Date(row.join_date)) / 1000;
+    return seconds >= 0 ? seconds : null; // Clock skew or hand-edited rows
+}
+
+function summarize(rows) {
+    const verifiedRows = rows.filter(countsAsVerified);
+    const stillPresent = verifiedRows.filter(r => r.membership_status === 'member').length;
+    const verifyTimes = verifiedRows.map(verifySeconds).filter(s => s !== null);
+    return {
+        joined: rows.length,
+        verified: verifiedRows.length,
+        flagged: rows.filter(r => EXCLUDED_FLAGS.includes(r.flag_status)).length,
+        stillPresent,
+        conversionRate: rows.length ? verifiedRows.length / rows.length : null,
+        retentionRate: verifiedRows.length ? stillPresent / verifiedRows.length : null,
+        avgVerifySeconds: verifyTimes.length ? verifyTimes.reduce((sum, s) => sum + s, 0) / verifyTimes.length : null
+    };
+}
+
+/**
+ * KOLs ranked by verified referrals (then joins, then name).
+ * @param {object} storage
+ * @param {object} [range]
+ * @param {Date} [range.since]  Only referrals that joined at or after this time
+ * @param {number} [range.groupId]
+ * @returns {Promise<Array<{ rank: number, kolName: string } & ReturnType<typeof summarize>>>}
+ */
+async function getLeaderboard(storage, { since = null, groupId = null } = {}) {
+    const rows = await storage.referrals.listForStats({ joinedFrom: since ? since.toISOString() : null, groupId });
+    const byKol = new Map();
+    for (const row of rows) {
+        if (!row.referred_by_kol_name) continue;
+        if (!byKol.has(row.referred_by_kol_name)) byKol.set(row.referred_by_kol_name, []);
+        byKol.get(row.referred_by_kol_name).push(row);
+    }
+    return [...byKol.entries()]
+        .map(([kolName, kolRows]) => ({ kolName, ...summarize(kolRows) }))
+        .sort((a, b) => b.verified - a.verified || b.joined - a.joined || a.kolName.localeCompare(b.kolName))
+        .map((entry, index) => ({ rank: index + 1, ...entry }));
+}
+
+/**
+ * Summary and daily breakdown for one KOL. The name must match exactly, as on /leaderboard,
+ * so KOLs whose names differ only in case (or in _ and %) are never merged.
+ * Joins are counted on the day they happened; verifications and leaves on their
+ * own day, so a day can show verifications of members who joined earlier.
+ * @param {object} storage
+ * @param {string} kolName
+ * @param {{ from: Date, to: Date, groupId?: number }} range   From parseDayRange, plus an optional group
+ * @returns {Promise<{ kolName: string, found: boolean, summary: object, days: Array<{ day: string, joined: number, verified: number, left: number }> }>}
+ */
+async function getKolStats(storage, kolName, { from, to, groupId = null }) {
+    const rows = await storage.referrals.listForStats({ kolName, joinedTo: to.toISOString(), groupId, exactKolName: true });
+    const inRange = value => value && new Date(value) >= from && new Date(value) <= to;
+
+    const days = new Map();
+    for (let time = from.getTime(); time <= to.getTime(); time += DAY_MS) {
+        const day = new Date(time).toISOString().slice(0, 10);
+        days.set(day, { day, joined: 0, verified: 0, left: 0 });
+    }
+    const bump = (value, field) => { if (inRange(value)) days.get(new Date(value).toISOString().slice(0, 10))[field]++; };
+
+    for (const row of rows) {
+        bump(row.join_date, 'joined');
+        if (countsAsVerified(row)) bump(row.verification_date, 'verified');
+        if (row.membership_status === 'left' || row.membership_status === 'kicked') bump(row.left_date, 'left');
+    }
+
+    return {
+        kolName: rows[0]?.referred_by_kol_name || kolName,
+        found: rows.length > 0,
+        summary: summarize(rows.filter(r => inRange(r.join_date))),
+        days: [...days.values()]
+    };
+}
+
+// --- Referral Counts ---
+/**
+ * The counts behind /refcount. Flagged referrals never count as verified.
+ * @param {object} storage
+ * @param {object} [options]
+ * @param {string} [options.kolName]       Case-insensitive unless exactKolName; null counts all KOLs
+ * @param {boolean} [options.presentOnly]  Only referrals still in the group
+ * @param {number} [options.retainedDays]  Only referrals that stayed at least this many days
+ * @param {number} [options.groupId]
+ * @param {boolean} [options.exactKolName] Match kolName exactly (see countFilters in the referrals repository)
+ * @returns {Promise<{ verified: number, stillPresent: number|null, referred: number|null, flagged: number|null }>}
+ *          stillPresent only without presentOnly/retainedDays; referred (any status) only for one KOL;
+ *          flagged (awaiting review) only for all KOLs
+ */
+async function getReferralCounts(storage, { kolName = null, presentOnly = false, retainedDays = null, groupId = null, exactKolName = false } = {}) {
+    const countOptions = { verifiedOnly: true, excludeFlagged: true, groupId, exactKolName };
+    const counts = { verified: 0, stillPresent: null, referred: null, flagged: null };
+    if (retainedDays !== null) {
+        counts.verified = await storage.referrals.countRetained(kolName, retainedDays, countOptions);
+    } else if (presentOnly) {
+        counts.verified = await storage.referrals.countForKol(kolName, { ...countOptions, presentOnly: true });
+    } else {
+        [counts.verified, counts.stillPresent] = await Promise.all([
+            storage.referrals.countForKol(kolName, countOptions),
+            storage.referrals.countForKol(kolName, { ...countOptions, presentOnly: true })
+        ]);
+    }
+    if (kolName) counts.referred = await storage.referrals.countForKol(kolName, { groupId, exactKolName });
+    else counts.flagged = await storage.referrals.countFlagged({ groupId });
+    return counts;
+}
+
+// --- Deep-Link Funnel ---
+function funnelCounts(visits) {
+    const joined = visits.filter(v => v.joined_at).length;
+    const verified = visits.filter(v => v.joined_at && v.verified_at).length;
+    return {
+        visitors: visits.length,
+        joined,
+        verified,
+        joinRate: visits.length ? joined / visits.length : null,
+        verifyRate: joined ? verified / joined : null
+    };
+}
+
+/**
+ * Visitors -> joins -> verifications of deep links, per link and per KOL.
+ * @param {object} storage
+ * @param {object[]} deepLinks   Rows of storage.deepLinks (the caller decides which KOLs and groups)
+ * @param {object} [range]
+ * @param {Date} [range.from]    Only visitors whose first visit is at or after this time
+ * @param {Date} [range.to]
+ * @returns {Promise<{ links: object[], kols: object[], totals: ReturnType<typeof funnelCounts> }>}
+ *          links: the deep link row plus its counts; kols: { kolName, ...counts }, most visitors first
+ */
+async function getDeepLinkFunnel(storage, deepLinks, { from = null, to = null } = {}) {
+    const visits = deepLinks.length === 0 ? [] : await storage.deepLinkVisits.listForDeepLinks(deepLinks.map(link => link.id), {
+        from: from ? from.toISOString() : null,
+        to: to ? to.toISOString() : null
+    });
+    const byLink = new Map(deepLinks.map(link => [String(link.id), []]));
+    for (const visit of visits) byLink.get(String(visit.deep_link_id))?.push(visit);
+
+    const byKol = new Map();
+    for (const link of deepLinks) {
+        if (!byKol.has(link.kol_name)) byKol.set(link.kol_name, []);
+        byKol.get(link.kol_name).push(...byLink.get(String(link.id)));
+    }
+    return {
+        links: deepLinks.map(link => ({ ...link, ...funnelCounts(byLink.get(String(link.id))) })),
+        kols: [...byKol.entries()]
+            .map(([kolName, kolVisits]) => ({ kolName, ...funnelCounts(kolVisits) }))
+            .sort((a, b) => b.visitors - a.visitors || a.kolName.localeCompare(b.kolName)),
+        totals: funnelCounts(visits)
+    };
+}
+
+// --- Formatting ---
+function formatPercent(rate) {
+    return rate === null ? 'n/a' : `${Math.round(rate * 100)}%`;
+}
+
+function formatDuration(seconds) {
+    if (seconds === null) return 'n/a';
+    const s = Math.round(seconds);
+    if (s < 60) return `${s}s`;
+    if (s < 3600) return `${Math.floor(s / 60)}m ${s % 60}s`;
+    if (s < 86400) return `${Math.floor(s / 3600)}h ${Math.floor((s % 3600) / 60)}m`;
+    return `${Math.floor(s / 86400)}d ${Math.floor((s % 86400) / 3600)}h`;
+}
+
+module.exports = { parseDay, parsePeriod, parseDayRange, getLeaderboard, getKolStats, getReferralCounts, getDeepLinkFunnel, formatPercent, formatDuration };
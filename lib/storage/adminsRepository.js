@@ -0,0 +1,31 @@
+// KROM Referral Bot - admins repository
+// Admins added with /addadmin. Owners (ADMIN_USER_IDS) live in the environment,
+// not here, so they can't be removed from inside the bot.
+const TABLE = 'admins';
+
+function createAdminsRepository(driver) {
+    return {
+        // Adds (or re-adds) an admin; addedBy is the owner's user ID
+        async add(userId, { userName = null, addedBy = null } = {}) {
+            const [row] = await driver.upsert(TABLE, [{
+                user_id: userId,
+                user_name: userName,
+                added_by: addedBy,
+                created_at: new Date().toISOString()
+            }], { onConflict: 'user_id' });
+            return row;
+        },
+
+        async list() {
+            return driver.select(TABLE, { order: { column: 'created_at', ascending: true } });
+        },
+
+        // Returns the removed row, or null if the user wasn't an admin
+        async remove(userId) {
+            const [row] = await driver.remove(TABLE, [['user_id', 'eq', userId]]);
+            return row || null;
+        }
+    };
+}
+
+module.exports = { createAdminsRepository };
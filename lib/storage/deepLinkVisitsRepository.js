@@ -0,0 +1,94 @@
+// KROM Referral Bot - deep_link_visits repository
+// One row per deep link and visitor, however often they open it. A visit counts as
+// joined once the visitor joins through the invite link they were given there, and
+// as verified once they pass verification after that join.
+const { selectAll } = require('./selectAll');
+
+const TABLE = 'deep_link_visits';
+const LOOKUP_CHUNK = 200; // Keeps `in` filters well below URL length limits
+const UNIQUE_VIOLATION = '23505'; // Postgres error code: the visitor's first visit was recorded concurrently
+
+function createDeepLinkVisitsRepository(driver) {
+    async function find(deepLinkId, userId) {
+        const [row] = await driver.select(TABLE, { filters: [['deep_link_id', 'eq', deepLinkId], ['user_id', 'eq', userId]], limit: 1 });
+        return row || null;
+    }
+
+    async function countRepeatVisit(visit, userName) {
+        const [row] = await driver.update(TABLE, [['id', 'eq', visit.id]], {
+            visit_count: Number(visit.visit_count || 1) + 1,
+            last_visit_at: new Date().toISOString(),
+            user_name: userName
+        });
+        return row;
+    }
+
+    return {
+        // The visitor's row, created on their first visit
+        async recordVisit({ deepLinkId, groupId, userId, userName = null }) {
+            const existing = await find(deepLinkId, userId);
+            if (existing) return countRepeatVisit(existing, userName);
+            const now = new Date().toISOString();
+            try {
+                const [row] = await driver.insert(TABLE, [{
+                    deep_link_id: deepLinkId,
+                    user_id: userId,
+                    user_name: userName,
+                    group_id: groupId,
+                    invite_link: null,
+                    invite_expires_at: null,
+                    visit_count: 1,
+                    first_visit_at: now,
+                    last_visit_at: now,
+                    joined_at: null,
+                    verified_at: null
+                }]);
+                return row;
+            } catch (error) {
+                if (error.code !== UNIQUE_VIOLATION) throw error;
+                return countRepeatVisit(await find(deepLinkId, userId), userName);
+            }
+        },
+
+        // expiresAt: ISO string, or null for shared links
+        async setInvite(id, inviteLink, expiresAt = null) {
+            const [row] = await driver.update(TABLE, [['id', 'eq', id]], { invite_link: inviteLink, invite_expires_at: expiresAt });
+            return row || null;
+        },
+
+        // A join through linkUrl by a visitor who was given it; returns the visits marked
+        async markJoined({ userId, groupId, linkUrl }) {
+            return driver.update(TABLE,
+                [['user_id', 'eq', userId], ['group_id', 'eq', groupId], ['invite_link', 'eq', linkUrl], ['joined_at', 'is', null]],
+                { joined_at: new Date().toISOString() });
+        },
+
+        // Verification of a visitor who joined through a deep link; returns the visits marked
+        async markVerified(userId, groupId) {
+            const open = await driver.select(TABLE, { filters: [['user_id', 'eq', userId], ['group_id', 'eq', groupId], ['verified_at', 'is', null]] });
+            const marked = [];
+            for (const visit of open.filter(row => row.joined_at)) {
+                marked.push(...await driver.update(TABLE, [['id', 'eq', visit.id]], { verified_at: new Date().toISOString() }));
+            }
+            return marked;
+        },
+
+        // Visits of the given deep links, optionally by first visit in [from, to] (ISO timestamps)
+        async listForDeepLinks(deepLinkIds, { from = null, to = null } = {}) {
+            const rows = [];
+            for (let i = 0; i < deepLinkIds.length; i += LOOKUP_CHUNK) {
+                const filters = [['deep_link_id', 'in', deepLinkIds.slice(i, i + LOOKUP_CHUNK)]];
+                if (from) filters.push(['first_visit_at', 'gte', from]);
+                if (to) filters.push(['first_visit_at', 'lte', to]);
+                rows.push(...await selectAll(driver, TABLE, {
+                    columns: 'deep_link_id, user_id, first_visit_at, joined_at, verified_at',
+                    filters,
+                    order: { column: 'id', ascending: true }
+                }));
+            }
+            return rows;
+        }
+    };
+}
+
+module.exports = { createDeepLinkVisitsRepository };
@@ -0,0 +1,64 @@
+// KROM Referral Bot - deep_links repository
+// Bot deep links handed to KOLs (t.me/<bot>?start=kol_<code>). Removing one only
+// deactivates it, so its visits stay in the funnel reports.
+const TABLE = 'deep_links';
+
+function createDeepLinksRepository(driver) {
+    return {
+        // inviteMode: shared | personal; tag: optional sub-campaign
+        async create({ code, kolName, groupId, tag = null, inviteMode = 'shared', createdBy = null }) {
+            const [row] = await driver.insert(TABLE, [{
+                code,
+                kol_name: kolName,
+                group_id: groupId,
+                tag,
+                invite_mode: inviteMode,
+                invite_link: null,
+                active: true,
+                created_by: createdBy,
+                created_at: new Date().toISOString()
+            }]);
+            return row;
+        },
+
+        async findByCode(code) {
+            const [row] = await driver.select(TABLE, { filters: [['code', 'eq', code]], limit: 1 });
+            return row || null;
+        },
+
+        // kolName is matched case-insensitively unless exactKolName is set; removed links only with includeInactive
+        async list({ kolName = null, groupId = null, includeInactive = false, exactKolName = false } = {}) {
+            const filters = includeInactive ? [] : [['active', 'eq', true]];
+            if (kolName) filters.push(['kol_name', exactKolName ? 'eq' : 'ilike', kolName]);
+            if (groupId !== null) filters.push(['group_id', 'eq', groupId]);
+            return driver.select(TABLE, { filters, order: [{ column: 'kol_name', ascending: true }, { column: 'id', ascending: true }] });
+        },
+
+        // Exact KOL name match (KOL self-service must never see another KOL's links)
+        async listForKol(kolName) {
+            return driver.select(TABLE, {
+                filters: [['kol_name', 'eq', kolName], ['active', 'eq', true]],
+                order: { column: 'id', ascending: true }
+            });
+        },
+
+        // The shared invite link, once created (or replaced after it was revoked)
+        async setInviteLink(id, inviteLink) {
+            const [row] = await driver.update(TABLE, [['id', 'eq', id]], { invite_link: inviteLink });
+            return row || null;
+        },
+
+        // Returns null if the code is unknown or already removed
+        async deactivate(code) {
+            const [row] = await driver.update(TABLE, [['code', 'eq', code], ['active', 'eq', true]], { active: false });
+            return row || null;
+        },
+
+        async renameKol(oldName, newName) {
+            const rows = await driver.update(TABLE, [['kol_name', 'eq', oldName]], { kol_name: newName });
+            return rows.length;
+        }
+    };
+}
+
+module.exports = { createDeepLinksRepository };
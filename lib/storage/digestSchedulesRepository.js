@@ -0,0 +1,65 @@
+// KROM Referral Bot - digest_schedules repository
+// Persisted /digest schedules. next_run_at is the next slot to deliver; a slot is
+// claimed (moved on to the following one) before its digest is sent, so restarts and
+// concurrent sweeps never send one twice, and released again if the digest reached
+// no chat, so it stays due.
+const TABLE = 'digest_schedules';
+
+function createDigestSchedulesRepository(driver) {
+    return {
+        // period: daily | weekly; chatId null sends to every admin's DM
+        async create({ cron, period, chatId = null, createdBy = null, nextRunAt }) {
+            const [row] = await driver.insert(TABLE, [{
+                cron,
+                period,
+                chat_id: chatId,
+                active: true,
+                next_run_at: nextRunAt,
+                last_run_at: null,
+                created_by: createdBy,
+                created_at: new Date().toISOString()
+            }]);
+            return row;
+        },
+
+        async list() {
+            return driver.select(TABLE, { filters: [['active', 'eq', true]], order: { column: 'id', ascending: true } });
+        },
+
+        // Active schedules whose next slot has come, oldest slot first
+        async listDue(now = new Date()) {
+            return driver.select(TABLE, {
+                filters: [['active', 'eq', true], ['next_run_at', 'lte', now.toISOString()]],
+                order: { column: 'next_run_at', ascending: true }
+            });
+        },
+
+        // Moves the schedule from `slot` (its current next_run_at, as read) to nextRunAt;
+        // runAt is the slot delivered, later than `slot` if missed ones were collapsed.
+        // Returns null if someone else already claimed the slot or the schedule was removed.
+        async claim(id, slot, nextRunAt, runAt = slot) {
+            const [row] = await driver.update(TABLE,
+                [['id', 'eq', id], ['next_run_at', 'eq', slot], ['active', 'eq', true]],
+                { next_run_at: nextRunAt, last_run_at: runAt, active: nextRunAt !== null });
+            return row || null;
+        },
+
+        // Undoes claim(): moves the schedule from claimedNextRunAt back to the slot and last
+        // run of `previous` (the row as read before claiming). Returns null if the schedule
+        // has moved on or was removed since.
+        async release(id, claimedNextRunAt, previous) {
+            const [row] = await driver.update(TABLE,
+                [['id', 'eq', id], claimedNextRunAt === null ? ['next_run_at', 'is', null] : ['next_run_at', 'eq', claimedNextRunAt]],
+                { next_run_at: previous.next_run_at, last_run_at: previous.last_run_at, active: true });
+            return row || null;
+        },
+
+        // Returns null if the schedule is unknown or already removed
+        async deactivate(id) {
+            const [row] = await driver.update(TABLE, [['id', 'eq', id], ['active', 'eq', true]], { active: false });
+            return row || null;
+        }
+    };
+}
+
+module.exports = { createDigestSchedulesRepository };
@@ -0,0 +1,50 @@
+// KROM Referral Bot - groups repository
+// Target groups the bot tracks referrals in. Removing a group only deactivates it,
+// its links and referrals stay attributable.
+const TABLE = 'groups';
+
+function createGroupsRepository(driver) {
+    return {
+        // Adds the group or re-activates it; the title is refreshed either way
+        async register({ chatId, title = null, addedBy = null }) {
+            const [existing] = await driver.select(TABLE, { filters: [['chat_id', 'eq', chatId]], limit: 1 });
+            if (existing) {
+                const [row] = await driver.update(TABLE, [['chat_id', 'eq', chatId]], { active: true, title: title ?? existing.title });
+                return row;
+            }
+            const [row] = await driver.insert(TABLE, [{
+                chat_id: chatId,
+                title,
+                active: true,
+                added_by: addedBy,
+                created_at: new Date().toISOString()
+            }]);
+            return row;
+        },
+
+        async find(chatId) {
+            const [row] = await driver.select(TABLE, { filters: [['chat_id', 'eq', chatId]], limit: 1 });
+            return row || null;
+        },
+
+        async list({ includeInactive = false } = {}) {
+            return driver.select(TABLE, {
+                filters: includeInactive ? [] : [['active', 'eq', true]],
+                order: { column: 'created_at', ascending: true }
+            });
+        },
+
+        async updateTitle(chatId, title) {
+            const [row] = await driver.update(TABLE, [['chat_id', 'eq', chatId]], { title });
+            return row || null;
+        },
+
+        // Returns null if the group is unknown or already inactive
+        async deactivate(chatId) {
+            const [row] = await driver.update(TABLE, [['chat_id', 'eq', chatId], ['active', 'eq', true]], { active: false });
+            return row || null;
+        }
+    };
+}
+
+module.exports = { createGroupsRepository };
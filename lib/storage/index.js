@@ -0,0 +1,93 @@
+// KROM Referral Bot - Storage layer
+// Picks a driver from config and exposes the repositories the bot uses.
+//
+// Backends:
+//   supabase - hosted Postgres via supabase-js (production)
+//   json     - single local JSON file, seeded from the legacy kolLinks.json/referrals.json
+//   memory   - same as json but never written to disk (tests, throwaway staging runs)
+const { createSupabaseDriver } = require('./supabaseDriver');
+const { createJsonDriver } = require('./jsonDriver');
+const { loadLegacyFiles } = require('./legacy');
+const { createKolLinksRepository } = require('./kolLinksRepository');
+const { createReferralsRepository } = require('./referralsRepository');
+const { createPendingVerificationsRepository } = require('./pendingVerificationsRepository');
+const { createReferralEventsRepository } = require('./referralEventsRepository');
+const { createJoinRequestsRepository } = require('./joinRequestsRepository');
+const { createKolAccountsRepository } = require('./kolAccountsRepository');
+const { createLinkRequestsRepository } = require('./linkRequestsRepository');
+const { createGroupsRepository } = require('./groupsRepository');
+const { createDigestSchedulesRepository } = require('./digestSchedulesRepository');
+const { createAdminsRepository } = require('./adminsRepository');
+const { createRewardTiersRepository } = require('./rewardTiersRepository');
+const { createPayoutsRepository } = require('./payoutsRepository');
+const { createMessageTemplatesRepository } = require('./messageTemplatesRepository');
+const { createDeepLinksRepository } = require('./deepLinksRepository');
+const { createDeepLinkVisitsRepository } = require('./deepLinkVisitsRepository');
+
+const BACKENDS = ['supabase', 'json', 'memory'];
+
+function createDriver(config) {
+    switch (config.backend) {
+        case 'supabase':
+            return createSupabaseDriver({ url: config.supabaseUrl, key: config.supabaseKey });
+        case 'json':
+            return createJsonDriver({ file: config.file, seed: () => loadLegacyFiles(config.legacyFiles || {}) });
+        case 'memory':
+            return createJsonDriver({ file: null, seed: config.seed });
+        default:
+            throw new Error(`Unknown storage backend "${config.backend}" (expected one of: ${BACKENDS.join(', ')})`);
+    }
+}
+
+// Reports failed driver calls to onError(operation, error); results and errors pass through unchanged
+function instrumentDriver(driver, onError) {
+    const instrumented = { ...driver };
+    for (const [operation, method] of Object.entries(driver)) {
+        if (typeof method !== 'function') continue;
+        instrumented[operation] = async (...args) => {
+            try {
+                return await method(...args);
+            } catch (error) {
+                onError(operation, error);
+                throw error;
+            }
+        };
+    }
+    return instrumented;
+}
+
+/**
+ * @param {object} config
+ * @param {string} config.backend        One of BACKENDS
+ * @param {string} [config.supabaseUrl]  supabase backend only
+ * @param {string} [config.supabaseKey]  supabase backend only
+ * @param {string} [config.file]         json backend only
+ * @param {object} [config.legacyFiles]  json backend only: { kolLinksFile, referralsFile } used to seed a new file
+ * @param {function} [config.seed]       memory backend only: returns initial tables
+ * @param {function} [config.onError]    Called with (operation, error) whenever a driver call fails (metrics)
+ */
+function createStorage(config) {
+    const driver = config.onError ? instrumentDriver(createDriver(config), config.onError) : createDriver(config);
+    return {
+        backend: config.backend,
+        driver,
+        kolLinks: createKolLinksRepository(driver),
+        referrals: createReferralsRepository(driver),
+        pendingVerifications: createPendingVerificationsRepository(driver),
+        referralEvents: createReferralEventsRepository(driver),
+        joinRequests: createJoinRequestsRepository(driver),
+        kolAccounts: createKolAccountsRepository(driver),
+        linkRequests: createLinkRequestsRepository(driver),
+        groups: createGroupsRepository(driver),
+        digestSchedules: createDigestSchedulesRepository(driver),
+        admins: createAdminsRepository(driver),
+        rewardTiers: createRewardTiersRepository(driver),
+        payouts: createPayoutsRepository(driver),
+        messageTemplates: createMessageTemplatesRepository(driver),
+        deepLinks: createDeepLinksRepository(driver),
+        deepLinkVisits: createDeepLinkVisitsRepository(driver),
+        ping: () => driver.ping()
+    };
+}
+
+module.exports = { createStorage, BACKENDS };
@@ -0,0 +1,56 @@
+// KROM Referral Bot - join_requests repository
+// Requests to join groups with "approve new members" on. One row per (user, group);
+// a new request after a decline replaces the old row.
+const TABLE = 'join_requests';
+
+function createJoinRequestsRepository(driver) {
+    return {
+        async upsert({ userId, chatId, userChatId, linkUrl = null, kolName = null, userName = null }) {
+            const [row] = await driver.upsert(TABLE, [{
+                user_id: userId,
+                chat_id: chatId,
+                user_chat_id: userChatId,
+                link_url: linkUrl,
+                kol_name: kolName,
+                user_name: userName,
+                status: 'pending',
+                created_at: new Date().toISOString(),
+                decided_at: null,
+                decided_by: null
+            }], { onConflict: 'user_id,chat_id' });
+            return row;
+        },
+
+        async find(userId, chatId) {
+            const [row] = await driver.select(TABLE, {
+                filters: [['user_id', 'eq', userId], ['chat_id', 'eq', chatId]],
+                limit: 1
+            });
+            return row || null;
+        },
+
+        // Oldest first, so admins work through them in arrival order. chatId null lists every group.
+        async listPending(chatId, { limit = 10 } = {}) {
+            return driver.select(TABLE, {
+                filters: [...(chatId !== null ? [['chat_id', 'eq', chatId]] : []), ['status', 'eq', 'pending']],
+                order: { column: 'created_at', ascending: true },
+                limit
+            });
+        },
+
+        async countPending(chatId) {
+            return driver.count(TABLE, { filters: [...(chatId !== null ? [['chat_id', 'eq', chatId]] : []), ['status', 'eq', 'pending']] });
+        },
+
+        // status: approved | declined. decidedBy is null for automatic decisions.
+        // Returns null if the request was already decided.
+        async decide(userId, chatId, status, decidedBy) {
+            const [row] = await driver.update(TABLE,
+                [['user_id', 'eq', userId], ['chat_id', 'eq', chatId], ['status', 'eq', 'pending']],
+                { status, decided_by: decidedBy, decided_at: new Date().toISOString() });
+            return row || null;
+        }
+    };
+}
+
+module.exports = { createJoinRequestsRepository };
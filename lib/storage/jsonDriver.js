@@ -0,0 +1,237 @@
+// KROM Referral Bot - Local JSON storage driver
+// Keeps every table as an array of rows in a single JSON file (or purely in
+// memory when no file is given). Mirrors the subset of Postgrest semantics the
+// repositories rely on, so the same repository code runs on either backend.
+//
+// Every change rewrites the whole file, unless journal is set: then changes are
+// appended to <file>.journal as one JSON line each, and the journal is folded into
+// the file only once it has as many lines as the file has rows. Writes stay cheap
+// for data that changes constantly (the update queue) however many rows it keeps.
+const fs = require('fs');
+const path = require('path');
+
+// --- Filter Helpers ---
+function isNumeric(value) {
+    return typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)));
+}
+
+function compareValues(a, b) {
+    if (isNumeric(a) && isNumeric(b)) return Number(a) - Number(b);
+    return String(a).localeCompare(String(b));
+}
+
+function likeToRegExp(pattern) {
+    const escaped = String(pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${escaped.replace(/%/g, '.*').replace(/_/g, '.')}$`, 'i');
+}
+
+function matchesFilter(row, [column, op, value]) {
+    const current = row[column];
+    const present = current !== undefined && current !== null;
+    switch (op) {
+        case 'eq': return present && String(current) === String(value);
+        case 'neq': return !present || String(current) !== String(value);
+        case 'gt': return present && compareValues(current, value) > 0;
+        case 'gte': return present && compareValues(current, value) >= 0;
+        case 'lt': return present && compareValues(current, value) < 0;
+        case 'lte': return present && compareValues(current, value) <= 0;
+        case 'ilike': return present && likeToRegExp(value).test(String(current));
+        case 'is': return value === null ? !present : current === value;
+        case 'in': return present && value.some(v => String(v) === String(current));
+        default: throw new Error(`Unsupported filter op "${op}" on ${column}`);
+    }
+}
+
+function matchesAll(row, filters = []) {
+    return filters.every(filter => matchesFilter(row, filter));
+}
+
+function sortRows(rows, order) {
+    if (!order) return rows;
+    const orders = Array.isArray(order) ? order : [order];
+    return rows.sort((a, b) => {
+        for (const { column, ascending = true } of orders) {
+            const aMissing = a[column] === undefined || a[column] === null;
+            const bMissing = b[column] === undefined || b[column] === null;
+            if (aMissing && bMissing) continue;
+            if (aMissing) return 1; // Nulls last, like Postgres ascending default
+            if (bMissing) return -1;
+            const diff = compareValues(a[column], b[column]);
+            if (diff !== 0) return ascending ? diff : -diff;
+        }
+        return 0;
+    });
+}
+
+function pickColumns(row, columns) {
+    if (!columns || columns === '*') return { ...row };
+    const picked = {};
+    columns.split(',').map(c => c.trim()).filter(Boolean).forEach(c => { picked[c] = row[c] === undefined ? null : row[c]; });
+    return picked;
+}
+
+const MIN_COMPACT_ENTRIES = 1000; // Journal lines before the file is rewritten, for small tables
+
+// --- Driver ---
+/**
+ * @param {object} options
+ * @param {string|null} options.file   Path of the JSON file; null keeps data in memory only
+ * @param {function} [options.seed]    Called with no args when the file does not exist yet; returns initial tables
+ * @param {boolean} [options.journal]  Append changes to <file>.journal instead of rewriting the file each time
+ */
+function createJsonDriver({ file = null, seed, journal = false } = {}) {
+    let state = { tables: {}, sequences: {} };
+    const journalFile = file && journal ? `${file}.journal` : null;
+    let journalEntries = 0;
+
+    if (file && fs.existsSync(file)) {
+        state = JSON.parse(fs.readFileSync(file, 'utf8'));
+        state.tables = state.tables || {};
+        state.sequences = state.sequences || {};
+        console.log(`Local storage loaded from ${file}.`);
+    } else if (seed) {
+        const seededTables = seed() || {};
+        for (const table of Object.keys(seededTables)) {
+            seededTables[table].forEach(row => insertRow(table, row));
+        }
+        persist();
+        console.log(`Local storage initialized${file ? ` at ${file}` : ' in memory'} (seeded).`);
+    }
+    if (journalFile && fs.existsSync(journalFile)) {
+        const replayed = replayJournal();
+        persist(); // Folds the journal in and starts a new one
+        console.log(`Replayed ${replayed} change(s) from ${journalFile}.`);
+    }
+
+    function rowsOf(table) {
+        if (!state.tables[table]) state.tables[table] = [];
+        return state.tables[table];
+    }
+
+    function insertRow(table, row) {
+        const stored = { ...row };
+        if (stored.id === undefined || stored.id === null) {
+            state.sequences[table] = (state.sequences[table] || 0) + 1;
+            stored.id = state.sequences[table];
+        }
+        rowsOf(table).push(stored);
+        return stored;
+    }
+
+    // Write to a temp file and rename so a crash never leaves half a JSON document behind.
+    // The journal is removed only afterwards; replaying it over the new file changes nothing.
+    function persist() {
+        if (!file) return;
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const tmpFile = `${file}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify(state, null, 2));
+        fs.renameSync(tmpFile, file);
+        if (journalFile) fs.rmSync(journalFile, { force: true });
+        journalEntries = 0;
+    }
+
+    // Changes are logged by row id and replayed as: put (insert or replace the row),
+    // update (patch the rows) and remove, so replaying one twice is harmless
+    function applyChange({ op, table, rows, ids, patch }) {
+        if (op === 'put') {
+            for (const row of rows) {
+                const index = rowsOf(table).findIndex(existing => existing.id === row.id);
+                if (index === -1) rowsOf(table).push(row);
+                else rowsOf(table)[index] = row;
+                state.sequences[table] = Math.max(state.sequences[table] || 0, Number(row.id) || 0);
+            }
+        } else if (op === 'update') {
+            rowsOf(table).filter(row => ids.includes(row.id)).forEach(row => Object.assign(row, patch));
+        } else if (op === 'remove') {
+            state.tables[table] = rowsOf(table).filter(row => !ids.includes(row.id));
+        }
+    }
+
+    function replayJournal() {
+        const lines = fs.readFileSync(journalFile, 'utf8').split('\n').filter(Boolean);
+        let replayed = 0;
+        for (const line of lines) {
+            let change;
+            try {
+                change = JSON.parse(line);
+            } catch (parseError) {
+                console.warn(`Ignoring a partly written change at the end of ${journalFile}.`); // Cut off by a crash
+                break;
+            }
+            applyChange(change);
+            replayed++;
+        }
+        return replayed;
+    }
+
+    function rowCount() {
+        return Object.values(state.tables).reduce((total, rows) => total + rows.length, 0);
+    }
+
+    function commit(change) {
+        if (!journalFile) return persist();
+        fs.appendFileSync(journalFile, `${JSON.stringify(change)}\n`);
+        journalEntries++;
+        if (journalEntries >= Math.max(MIN_COMPACT_ENTRIES, rowCount())) persist();
+    }
+
+    return {
+        name: file ? 'json' : 'memory',
+
+        async select(table, { columns = '*', filters, order, limit, offset } = {}) {
+            let rows = sortRows(rowsOf(table).filter(row => matchesAll(row, filters)), order);
+            if (limit !== undefined) rows = rows.slice(offset || 0, (offset || 0) + limit);
+            return rows.map(row => pickColumns(row, columns));
+        },
+
+        async count(table, { filters } = {}) {
+            return rowsOf(table).filter(row => matchesAll(row, filters)).length;
+        },
+
+        async insert(table, rows) {
+            const inserted = rows.map(row => ({ ...insertRow(table, row) }));
+            commit({ op: 'put', table, rows: inserted });
+            return inserted;
+        },
+
+        async update(table, filters, patch) {
+            const updated = [];
+            rowsOf(table).forEach(row => {
+                if (!matchesAll(row, filters)) return;
+                Object.assign(row, patch);
+                updated.push({ ...row });
+            });
+            if (updated.length > 0) commit({ op: 'update', table, ids: updated.map(row => row.id), patch });
+            return updated;
+        },
+
+        async upsert(table, rows, { onConflict } = {}) {
+            const keys = (onConflict || 'id').split(',').map(k => k.trim());
+            const result = rows.map(row => {
+                const existing = rowsOf(table).find(r => keys.every(k => String(r[k]) === String(row[k])));
+                if (existing) {
+                    Object.assign(existing, row);
+                    return { ...existing };
+                }
+                return { ...insertRow(table, row) };
+            });
+            commit({ op: 'put', table, rows: result });
+            return result;
+        },
+
+        async remove(table, filters) {
+            const kept = [];
+            const removed = [];
+            rowsOf(table).forEach(row => (matchesAll(row, filters) ? removed : kept).push(row));
+            state.tables[table] = kept;
+            if (removed.length > 0) commit({ op: 'remove', table, ids: removed.map(row => row.id) });
+            return removed.map(row => ({ ...row }));
+        },
+
+        async ping() {
+            return true;
+        }
+    };
+}
+
+module.exports = { createJsonDriver };
@@ -0,0 +1,41 @@
+// KROM Referral Bot - kol_accounts repository
+// Links a Telegram user to the kol_name they may see stats for. One KOL name can
+// have several accounts (e.g. a team), but each account belongs to one KOL.
+const TABLE = 'kol_accounts';
+
+function createKolAccountsRepository(driver) {
+    return {
+        // Links (or re-links) an account; linkedBy is the admin's user ID
+        async link(userId, kolName, linkedBy) {
+            const [row] = await driver.upsert(TABLE, [{
+                user_id: userId,
+                kol_name: kolName,
+                linked_by: linkedBy,
+                created_at: new Date().toISOString()
+            }], { onConflict: 'user_id' });
+            return row;
+        },
+
+        async findByUserId(userId) {
+            const [row] = await driver.select(TABLE, { filters: [['user_id', 'eq', userId]], limit: 1 });
+            return row || null;
+        },
+
+        async listForKol(kolName) {
+            return driver.select(TABLE, { filters: [['kol_name', 'eq', kolName]], order: { column: 'created_at', ascending: true } });
+        },
+
+        // Returns the removed row, or null if the user wasn't linked
+        async unlink(userId) {
+            const [row] = await driver.remove(TABLE, [['user_id', 'eq', userId]]);
+            return row || null;
+        },
+
+        async renameKol(oldName, newName) {
+            const rows = await driver.update(TABLE, [['kol_name', 'eq', oldName]], { kol_name: newName });
+            return rows.length;
+        }
+    };
+}
+
+module.exports = { createKolAccountsRepository };
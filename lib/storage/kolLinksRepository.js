@@ -0,0 +1,107 @@
+// KROM Referral Bot - kol_links repository
+// Revoked links are kept (active = false) so past joins through them stay attributable.
+// Single-use links handed out by personal deep links (issued_to set) are tracked like any
+// other link but left out of the link lists, which would otherwise fill up with them.
+const { selectAll } = require('./selectAll');
+
+const TABLE = 'kol_links';
+const LOOKUP_CHUNK = 200; // Keeps `in` filters well below URL length limits
+
+function createKolLinksRepository(driver) {
+    return {
+        // expireDate: ISO string or null; memberLimit: number or null; groupId: chat the link invites to;
+        // issuedTo: user id of the deep-link visitor a personal link was made for
+        async create({ linkUrl, kolName, groupId, linkName = null, expireDate = null, memberLimit = null, createsJoinRequest = false, issuedTo = null }) {
+            const [row] = await driver.insert(TABLE, [{
+                link_url: linkUrl,
+                kol_name: kolName,
+                group_id: groupId,
+                link_name: linkName,
+                expire_date: expireDate,
+                member_limit: memberLimit,
+                creates_join_request: createsJoinRequest,
+                issued_to: issuedTo,
+                active: true,
+                created_at: new Date().toISOString()
+            }]);
+            return row;
+        },
+
+        async findByUrl(linkUrl) {
+            const [row] = await driver.select(TABLE, { filters: [['link_url', 'eq', linkUrl]], limit: 1 });
+            return row || null;
+        },
+
+        async list({ groupId = null } = {}) {
+            return driver.select(TABLE, {
+                columns: 'link_url, kol_name, group_id, active, expire_date, member_limit, creates_join_request',
+                filters: groupId !== null ? [['group_id', 'eq', groupId], ['issued_to', 'is', null]] : [['issued_to', 'is', null]],
+                order: [{ column: 'kol_name', ascending: true }, { column: 'created_at', ascending: true }] // Order for readability
+            });
+        },
+
+        // Exact KOL name match (KOL self-service must never see another KOL's links)
+        async listForKol(kolName) {
+            return driver.select(TABLE, {
+                columns: 'link_url, kol_name, group_id, active, expire_date, member_limit, creates_join_request, created_at',
+                filters: [['kol_name', 'eq', kolName], ['issued_to', 'is', null]],
+                order: { column: 'created_at', ascending: true }
+            });
+        },
+
+        async countForKol(kolName) {
+            return driver.count(TABLE, { filters: [['kol_name', 'eq', kolName]] });
+        },
+
+        // Returns null if the link is unknown or already inactive
+        async deactivate(linkUrl, revokedBy) {
+            const [row] = await driver.update(TABLE,
+                [['link_url', 'eq', linkUrl], ['active', 'neq', false]],
+                { active: false, revoked_at: new Date().toISOString(), revoked_by: revokedBy });
+            return row || null;
+        },
+
+        // Future joins through this link count for the new KOL; earlier referrals keep their KOL
+        async reassign(linkUrl, kolName) {
+            const [row] = await driver.update(TABLE, [['link_url', 'eq', linkUrl]], { kol_name: kolName });
+            return row || null;
+        },
+
+        // Existing rows among the given URLs (import conflict checks)
+        async findByUrls(linkUrls) {
+            const rows = [];
+            for (let i = 0; i < linkUrls.length; i += LOOKUP_CHUNK) {
+                rows.push(...await driver.select(TABLE, { filters: [['link_url', 'in', linkUrls.slice(i, i + LOOKUP_CHUNK)]] }));
+            }
+            return rows;
+        },
+
+        // Full rows for export; createdFrom/createdTo are ISO timestamps (inclusive)
+        async listForExport({ kolName = null, createdFrom = null, createdTo = null, groupId = null } = {}) {
+            const filters = groupId !== null ? [['group_id', 'eq', groupId]] : [];
+            if (kolName) filters.push(['kol_name', 'ilike', kolName]);
+            if (createdFrom) filters.push(['created_at', 'gte', createdFrom]);
+            if (createdTo) filters.push(['created_at', 'lte', createdTo]);
+            return selectAll(driver, TABLE, { filters, order: [{ column: 'kol_name', ascending: true }, { column: 'id', ascending: true }] });
+        },
+
+        // Bulk insert of already validated rows (import)
+        async insertMany(rows) {
+            return rows.length ? driver.insert(TABLE, rows) : [];
+        },
+
+        // Links from before multi-group support belong to the primary group
+        async adoptUngrouped(groupId) {
+            const rows = await driver.update(TABLE, [['group_id', 'is', null]], { group_id: groupId });
+            return rows.length;
+        },
+
+        // Returns the number of links renamed
+        async renameKol(oldName, newName) {
+            const rows = await driver.update(TABLE, [['kol_name', 'eq', oldName]], { kol_name: newName });
+            return rows.length;
+        }
+    };
+}
+
+module.exports = { createKolLinksRepository };
@@ -0,0 +1,43 @@
+// KROM Referral Bot - Legacy JSON format helpers
+// The pre-Supabase bot persisted its state in kolLinks.json ({ link_url: kol_name })
+// and referrals.json ({ user_id: { userId, userName, referredByKOL, ... } }).
+// These helpers convert that format into rows of the kol_links / referrals tables.
+const fs = require('fs');
+
+function kolLinksFromLegacy(legacyLinks = {}) {
+    return Object.entries(legacyLinks).map(([linkUrl, kolName]) => ({
+        link_url: linkUrl,
+        kol_name: kolName,
+        created_at: null
+    }));
+}
+
+function referralsFromLegacy(legacyReferrals = {}) {
+    return Object.entries(legacyReferrals).map(([key, ref]) => ({
+        user_id: Number(ref.userId ?? key),
+        referred_by_kol_name: ref.referredByKOL,
+        user_name: ref.userName || null,
+        join_date: ref.joinDate || null,
+        verified: Boolean(ref.verified),
+        verification_date: ref.verificationDate || null,
+        verification_status: ref.verified ? 'verified' : 'pending',
+        membership_status: 'member' // The legacy bot deleted leavers, so every entry is still present
+    }));
+}
+
+function readJsonIfExists(file) {
+    if (!file || !fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Initial tables for a fresh local store, taken from the legacy files if present
+function loadLegacyFiles({ kolLinksFile, referralsFile }) {
+    const legacyLinks = readJsonIfExists(kolLinksFile);
+    const legacyReferrals = readJsonIfExists(referralsFile);
+    return {
+        kol_links: legacyLinks ? kolLinksFromLegacy(legacyLinks) : [],
+        referrals: legacyReferrals ? referralsFromLegacy(legacyReferrals) : []
+    };
+}
+
+module.exports = { kolLinksFromLegacy, referralsFromLegacy, loadLegacyFiles };
@@ -0,0 +1,61 @@
+// KROM Referral Bot - link_requests repository
+// New invite links asked for by KOL accounts (/requestlink), waiting for an admin.
+const TABLE = 'link_requests';
+
+function createLinkRequestsRepository(driver) {
+    return {
+        async create({ userId, kolName, groupId, note = null }) {
+            const [row] = await driver.insert(TABLE, [{
+                user_id: userId,
+                kol_name: kolName,
+                group_id: groupId,
+                note,
+                status: 'pending',
+                created_at: new Date().toISOString()
+            }]);
+            return row;
+        },
+
+        async find(id) {
+            const [row] = await driver.select(TABLE, { filters: [['id', 'eq', id]], limit: 1 });
+            return row || null;
+        },
+
+        async findPendingForUser(userId) {
+            const [row] = await driver.select(TABLE, { filters: [['user_id', 'eq', userId], ['status', 'eq', 'pending']], limit: 1 });
+            return row || null;
+        },
+
+        // Oldest first
+        async listPending({ limit = 10 } = {}) {
+            return driver.select(TABLE, { filters: [['status', 'eq', 'pending']], order: { column: 'created_at', ascending: true }, limit });
+        },
+
+        // status: approved | rejected. Returns null if the request was already decided,
+        // so two admins pressing the button at once only create one link.
+        async decide(id, status, decidedBy) {
+            const [row] = await driver.update(TABLE,
+                [['id', 'eq', id], ['status', 'eq', 'pending']],
+                { status, decided_by: decidedBy, decided_at: new Date().toISOString() });
+            return row || null;
+        },
+
+        // Approval failed after claiming (e.g. Telegram refused the link): back to pending
+        async reopen(id) {
+            const [row] = await driver.update(TABLE, [['id', 'eq', id]], { status: 'pending', decided_by: null, decided_at: null });
+            return row || null;
+        },
+
+        async setLink(id, linkUrl) {
+            const [row] = await driver.update(TABLE, [['id', 'eq', id]], { link_url: linkUrl });
+            return row || null;
+        },
+
+        async renameKol(oldName, newName) {
+            const rows = await driver.update(TABLE, [['kol_name', 'eq', oldName]], { kol_name: newName });
+            return rows.length;
+        }
+    };
+}
+
+module.exports = { createLinkRequestsRepository };
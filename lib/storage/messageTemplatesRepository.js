@@ -0,0 +1,45 @@
+// KROM Referral Bot - message_templates repository
+// Overrides of the built-in member-facing texts (lib/templates.js), edited with
+// /template. A row is scoped to a KOL, a group or nothing (global), and to one
+// language or to all of them ('*').
+const TABLE = 'message_templates';
+
+// Filters matching exactly one scope; null columns have to be matched with "is"
+function scopeFilters({ key, language, kolName = null, groupId = null }) {
+    return [
+        ['key', 'eq', key],
+        ['language', 'eq', language],
+        kolName === null ? ['kol_name', 'is', null] : ['kol_name', 'eq', kolName],
+        groupId === null ? ['group_id', 'is', null] : ['group_id', 'eq', groupId]
+    ];
+}
+
+function createMessageTemplatesRepository(driver) {
+    return {
+        async list() {
+            return driver.select(TABLE, { order: [{ column: 'key', ascending: true }, { column: 'id', ascending: true }] });
+        },
+
+        // Creates or replaces the override for one key/language/scope
+        async set({ key, language, kolName = null, groupId = null, text, updatedBy = null }) {
+            const patch = { text, updated_by: updatedBy, updated_at: new Date().toISOString() };
+            const [updated] = await driver.update(TABLE, scopeFilters({ key, language, kolName, groupId }), patch);
+            if (updated) return updated;
+            const [row] = await driver.insert(TABLE, [{ key, language, kol_name: kolName, group_id: groupId, ...patch }]);
+            return row;
+        },
+
+        // Returns the removed row, or null if there was no such override
+        async remove({ key, language, kolName = null, groupId = null }) {
+            const [row] = await driver.remove(TABLE, scopeFilters({ key, language, kolName, groupId }));
+            return row || null;
+        },
+
+        async renameKol(oldName, newName) {
+            const rows = await driver.update(TABLE, [['kol_name', 'eq', oldName]], { kol_name: newName });
+            return rows.length;
+        }
+    };
+}
+
+module.exports = { createMessageTemplatesRepository };
@@ -0,0 +1,76 @@
+// KROM Referral Bot - payouts repository
+// One row per KOL and tier threshold reached (status earned, then paid). The
+// (kol_name, threshold) pair is unique, so a KOL earns each milestone once even if
+// referrals leave and the count crosses it again, or the tier is replaced.
+const TABLE = 'payouts';
+
+const UNIQUE_VIOLATION = '23505'; // Postgres error code; the unique index backs up the check in create()
+
+// The exact KOL name: ilike would ignore case and read _ and % in the name as wildcards
+function listFilters({ status = null, kolName = null } = {}) {
+    const filters = [];
+    if (status) filters.push(['status', 'eq', status]);
+    if (kolName) filters.push(['kol_name', 'eq', kolName]);
+    return filters;
+}
+
+function createPayoutsRepository(driver) {
+    return {
+        // Returns null if the KOL already earned this threshold
+        async create({ kolName, tierId, threshold, reward, verifiedCount }) {
+            const [existing] = await driver.select(TABLE, { filters: [['kol_name', 'eq', kolName], ['threshold', 'eq', threshold]], limit: 1 });
+            if (existing) return null;
+            try {
+                const [row] = await driver.insert(TABLE, [{
+                    kol_name: kolName,
+                    tier_id: tierId,
+                    threshold,
+                    reward,
+                    verified_count: verifiedCount,
+                    status: 'earned',
+                    earned_at: new Date().toISOString(),
+                    paid_at: null,
+                    paid_by: null
+                }]);
+                return row;
+            } catch (error) {
+                if (error.code === UNIQUE_VIOLATION) return null; // Earned concurrently by another process
+                throw error;
+            }
+        },
+
+        async find(id) {
+            const [row] = await driver.select(TABLE, { filters: [['id', 'eq', id]], limit: 1 });
+            return row || null;
+        },
+
+        async listEarnedThresholds(kolName) {
+            const rows = await driver.select(TABLE, { columns: 'threshold', filters: [['kol_name', 'eq', kolName]] });
+            return rows.map(row => Number(row.threshold));
+        },
+
+        // Oldest first; status and kolName are optional filters
+        async list({ status = null, kolName = null, limit = 10 } = {}) {
+            return driver.select(TABLE, { filters: listFilters({ status, kolName }), order: [{ column: 'earned_at', ascending: true }, { column: 'id', ascending: true }], limit });
+        },
+
+        async count({ status = null, kolName = null } = {}) {
+            return driver.count(TABLE, { filters: listFilters({ status, kolName }) });
+        },
+
+        // Returns null if the payout is unknown or already paid
+        async markPaid(id, paidBy) {
+            const [row] = await driver.update(TABLE, [['id', 'eq', id], ['status', 'eq', 'earned']], {
+                status: 'paid', paid_by: paidBy, paid_at: new Date().toISOString()
+            });
+            return row || null;
+        },
+
+        async renameKol(oldName, newName) {
+            const rows = await driver.update(TABLE, [['kol_name', 'eq', oldName]], { kol_name: newName });
+            return rows.length;
+        }
+    };
+}
+
+module.exports = { createPayoutsRepository };
@@ -0,0 +1,75 @@
+// KROM Referral Bot - pending_verifications repository
+// One row per (user, group) join that still needs verifying: its deadline, the
+// challenge it was given and the failed attempts so far. Kept here rather than
+// in memory so restarts don't reset deadlines or attempt counters.
+const TABLE = 'pending_verifications';
+
+function createPendingVerificationsRepository(driver) {
+    return {
+        // Re-joins replace the previous row for the same user and group
+        // source: join (member restricted in the group) | join_request (requester not let in yet)
+        async upsert({ userId, chatId, promptChatId = null, promptMessageId = null, deadline = null, challenge, source = 'join' }) {
+            const [row] = await driver.upsert(TABLE, [{
+                user_id: userId,
+                chat_id: chatId,
+                prompt_chat_id: promptChatId,
+                prompt_message_id: promptMessageId,
+                deadline,
+                source,
+                challenge_type: challenge.type,
+                challenge_params: challenge.params,
+                challenge_question: null, // Only rows from before challenge_params have it
+                challenge_options: challenge.options,
+                challenge_answer: challenge.answer,
+                attempts: 0,
+                status: 'pending',
+                created_at: new Date().toISOString(),
+                resolved_at: null
+            }], { onConflict: 'user_id,chat_id' });
+            return row;
+        },
+
+        async find(userId, chatId) {
+            const [row] = await driver.select(TABLE, {
+                filters: [['user_id', 'eq', userId], ['chat_id', 'eq', chatId]],
+                limit: 1
+            });
+            return row || null;
+        },
+
+        // The user's newest open challenge in any group (DM answers don't say which group they're for)
+        async findLatestPendingForUser(userId, { challengeType = null } = {}) {
+            const filters = [['user_id', 'eq', userId], ['status', 'eq', 'pending']];
+            if (challengeType) filters.push(['challenge_type', 'eq', challengeType]);
+            const [row] = await driver.select(TABLE, { filters, order: { column: 'created_at', ascending: false }, limit: 1 });
+            return row || null;
+        },
+
+        // Pending rows whose deadline has passed, oldest first
+        async listDue(now = new Date()) {
+            return driver.select(TABLE, {
+                filters: [['status', 'eq', 'pending'], ['deadline', 'lte', now.toISOString()]],
+                order: { column: 'deadline', ascending: true }
+            });
+        },
+
+        // Optimistic on the attempt count so two quick wrong clicks both get counted
+        async recordFailedAttempt(row) {
+            const [updated] = await driver.update(TABLE,
+                [['id', 'eq', row.id], ['status', 'eq', 'pending'], ['attempts', 'eq', row.attempts]],
+                { attempts: row.attempts + 1 });
+            return updated || null;
+        },
+
+        // status: verified | expired | left | locked | declined. Only pending rows are resolved, so
+        // concurrent sweeps/clicks can't both act on the same join.
+        async resolve(userId, chatId, status) {
+            const [row] = await driver.update(TABLE,
+                [['user_id', 'eq', userId], ['chat_id', 'eq', chatId], ['status', 'eq', 'pending']],
+                { status, resolved_at: new Date().toISOString() });
+            return row || null;
+        }
+    };
+}
+
+module.exports = { createPendingVerificationsRepository };
@@ -0,0 +1,71 @@
+// KROM Referral Bot - referral_events repository
+// Append-only history per user and per invite link. Unlike referrals (one row
+// per user, overwritten on re-join) nothing here is ever deleted, and the only
+// update is relabelling kol_name when a KOL is renamed.
+const { selectAll } = require('./selectAll');
+
+const TABLE = 'referral_events';
+
+const EVENT_TYPES = ['request', 'join', 'rejoin', 'verify', 'leave', 'kick'];
+const JOIN_EVENTS = ['join', 'rejoin'];
+const LEAVE_EVENTS = ['leave', 'kick'];
+
+function createReferralEventsRepository(driver) {
+    return {
+        async record({ userId, chatId, eventType, linkUrl = null, kolName = null, userName = null }) {
+            if (!EVENT_TYPES.includes(eventType)) throw new Error(`Unknown referral event type "${eventType}"`);
+            const [row] = await driver.insert(TABLE, [{
+                user_id: userId,
+                chat_id: chatId,
+                event_type: eventType,
+                link_url: linkUrl,
+                kol_name: kolName,
+                user_name: userName,
+                created_at: new Date().toISOString()
+            }]);
+            return row;
+        },
+
+        // Oldest first; chatId limits the history to one group
+        async listForUser(userId, { since, chatId = null } = {}) {
+            const filters = [['user_id', 'eq', userId]];
+            if (chatId !== null) filters.push(['chat_id', 'eq', chatId]);
+            if (since) filters.push(['created_at', 'gte', since.toISOString()]);
+            return driver.select(TABLE, { filters, order: { column: 'created_at', ascending: true } });
+        },
+
+        // A rename is a relabel, not a KOL change: without this, fraud scoring would
+        // see everyone who joined before the rename as hopping between KOLs
+        async renameKol(oldName, newName) {
+            const rows = await driver.update(TABLE, [['kol_name', 'eq', oldName]], { kol_name: newName });
+            return rows.length;
+        },
+
+        // True if the user ever joined this chat before (tracked link or not)
+        async hasJoinedBefore(userId, chatId) {
+            const count = await driver.count(TABLE, {
+                filters: [['user_id', 'eq', userId], ['chat_id', 'eq', chatId], ['event_type', 'in', JOIN_EVENTS]]
+            });
+            return count > 0;
+        },
+
+        // Every event in [from, to) (ISO timestamps), oldest first (digests)
+        async listBetween(from, to) {
+            return selectAll(driver, TABLE, {
+                columns: 'chat_id, event_type, kol_name, created_at',
+                filters: [['created_at', 'gte', from], ['created_at', 'lt', to]],
+                order: [{ column: 'created_at', ascending: true }, { column: 'id', ascending: true }]
+            });
+        },
+
+        // eventTypes: one type or an array of them
+        async countForLink(linkUrl, eventTypes, { since } = {}) {
+            const types = Array.isArray(eventTypes) ? eventTypes : [eventTypes];
+            const filters = [['link_url', 'eq', linkUrl], ['event_type', 'in', types]];
+            if (since) filters.push(['created_at', 'gte', since.toISOString()]);
+            return driver.count(TABLE, { filters });
+        }
+    };
+}
+
+module.exports = { createReferralEventsRepository, EVENT_TYPES, JOIN_EVENTS, LEAVE_EVENTS };
@@ -0,0 +1,249 @@
+// KROM Referral Bot - referrals repository
+// One row per referred user and group. Leaving the group only changes membership_status,
+// the attribution itself is never deleted (see referral_events for the full history).
+//
+// groupId arguments scope a call to one target group. Per-user methods should always
+// get one; for counts and listings null means across all groups.
+const { selectAll } = require('./selectAll');
+
+const TABLE = 'referrals';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LOOKUP_CHUNK = 200; // Keeps `in` filters well below URL length limits
+const PAGED_ORDER = [{ column: 'user_id', ascending: true }, { column: 'group_id', ascending: true }];
+
+// Flagged referrals don't count until an admin clears them; rejected ones never do
+const NOT_FLAGGED = [['flag_status', 'neq', 'flagged'], ['flag_status', 'neq', 'rejected']];
+const STILL_PRESENT = [['membership_status', 'eq', 'member']];
+
+function userFilters(userId, groupId) {
+    const filters = [['user_id', 'eq', userId]];
+    if (groupId !== null && groupId !== undefined) filters.push(['group_id', 'eq', groupId]);
+    return filters;
+}
+
+function groupFilters(groupId) {
+    return groupId !== null && groupId !== undefined ? [['group_id', 'eq', groupId]] : [];
+}
+
+// kolName is matched case-insensitively (admin lookups) unless exactKolName is set. ilike
+// also treats _ and % in the name as wildcards, so anything that must not mix up KOLs
+// (payouts, a KOL's own numbers, per-KOL stats) asks for the exact name. The same goes
+// for rangeFilters.
+function countFilters(kolName, { verifiedOnly = false, pendingOnly = false, excludeFlagged = false, presentOnly = false, groupId = null, exactKolName = false } = {}) {
+    const filters = groupFilters(groupId);
+    if (verifiedOnly) filters.push(['verified', 'eq', true]);
+    if (pendingOnly) filters.push(['verification_status', 'eq', 'pending']);
+    if (excludeFlagged) filters.push(...NOT_FLAGGED);
+    if (presentOnly) filters.push(...STILL_PRESENT);
+    if (kolName) filters.push(['referred_by_kol_name', exactKolName ? 'eq' : 'ilike', kolName]);
+    return filters;
+}
+
+function rangeFilters({ kolName = null, joinedFrom = null, joinedTo = null, groupId = null, exactKolName = false }) {
+    const filters = groupFilters(groupId);
+    if (kolName) filters.push(['referred_by_kol_name', exactKolName ? 'eq' : 'ilike', kolName]);
+    if (joinedFrom) filters.push(['join_date', 'gte', joinedFrom]);
+    if (joinedTo) filters.push(['join_date', 'lte', joinedTo]);
+    return filters;
+}
+
+function createReferralsRepository(driver) {
+    return {
+        async findByUserId(userId, groupId) {
+            const [row] = await driver.select(TABLE, { filters: userFilters(userId, groupId), limit: 1 });
+            return row || null;
+        },
+
+        // The user's most recent referral in any group (DM flows don't know the group)
+        async findLatestForUser(userId) {
+            const [row] = await driver.select(TABLE, {
+                filters: [['user_id', 'eq', userId]],
+                order: { column: 'join_date', ascending: false },
+                limit: 1
+            });
+            return row || null;
+        },
+
+        // Insert a fresh unverified referral, or reset the existing one on re-join.
+        // fraud: { score, reasons, flagged } from lib/fraud, re-assessed on every join
+        // membershipStatus: member, or requested while a join request awaits verification
+        async recordJoin({ userId, groupId, kolName, userName, fraud = { score: 0, reasons: [], flagged: false }, membershipStatus = 'member' }) {
+            const [row] = await driver.upsert(TABLE, [{
+                user_id: userId,
+                group_id: groupId,
+                referred_by_kol_name: kolName,
+                user_name: userName, // Store original name
+                join_date: new Date().toISOString(),
+                verified: false,
+                verification_date: null, // Explicitly set null on new/re-join
+                verification_status: 'pending',
+                membership_status: membershipStatus,
+                left_date: null,
+                fraud_score: fraud.score,
+                fraud_reasons: fraud.reasons,
+                flag_status: fraud.flagged ? 'flagged' : 'clean',
+                reviewed_by: null,
+                reviewed_at: null
+            }], { onConflict: 'user_id,group_id' });
+            return row;
+        },
+
+        // Returns the updated row, or null if the user is unknown, already verified, expired or locked out
+        async markVerified(userId, groupId) {
+            const [row] = await driver.update(TABLE,
+                [...userFilters(userId, groupId), ['verified', 'eq', false], ['verification_status', 'neq', 'expired'], ['verification_status', 'neq', 'locked']],
+                { verified: true, verification_date: new Date().toISOString(), verification_status: 'verified' });
+            return row || null;
+        },
+
+        // Verification deadline passed; returns null if the user verified in the meantime
+        async markExpired(userId, groupId) {
+            const [row] = await driver.update(TABLE,
+                [...userFilters(userId, groupId), ['verified', 'eq', false]],
+                { verification_status: 'expired' });
+            return row || null;
+        },
+
+        // Too many wrong challenge answers
+        async markLocked(userId, groupId) {
+            const [row] = await driver.update(TABLE,
+                [...userFilters(userId, groupId), ['verified', 'eq', false]],
+                { verification_status: 'locked' });
+            return row || null;
+        },
+
+        // Approved requester actually joined. Verification state is kept: they passed it before approval.
+        async markJoinedFromRequest(userId, groupId) {
+            const [row] = await driver.update(TABLE,
+                [...userFilters(userId, groupId), ['membership_status', 'eq', 'requested']],
+                { membership_status: 'member' });
+            return row || null;
+        },
+
+        async markRequestDeclined(userId, groupId) {
+            const [row] = await driver.update(TABLE,
+                [...userFilters(userId, groupId), ['membership_status', 'eq', 'requested']],
+                { membership_status: 'declined' });
+            return row || null;
+        },
+
+        // status: left | kicked. Returns null if the user has no referral or already left.
+        async markLeft(userId, groupId, status) {
+            const [row] = await driver.update(TABLE,
+                [...userFilters(userId, groupId), ...STILL_PRESENT],
+                { membership_status: status, left_date: new Date().toISOString() });
+            return row || null;
+        },
+
+        // Returns the number of referrals moved to the new name
+        async renameKol(oldName, newName) {
+            const rows = await driver.update(TABLE, [['referred_by_kol_name', 'eq', oldName]], { referred_by_kol_name: newName });
+            return rows.length;
+        },
+
+        // Rows from before multi-group support belong to the primary group
+        async adoptUngrouped(groupId) {
+            const rows = await driver.update(TABLE, [['group_id', 'is', null]], { group_id: groupId });
+            return rows.length;
+        },
+
+        // Existing rows among the given user IDs in one group (import conflict checks)
+        async findByUserIds(userIds, groupId) {
+            const rows = [];
+            for (let i = 0; i < userIds.length; i += LOOKUP_CHUNK) {
+                rows.push(...await driver.select(TABLE, { filters: [['user_id', 'in', userIds.slice(i, i + LOOKUP_CHUNK)], ...groupFilters(groupId)] }));
+            }
+            return rows;
+        },
+
+        // Bulk insert of already validated rows (import). Never overwrites: callers skip known user IDs.
+        async insertMany(rows) {
+            return rows.length ? driver.insert(TABLE, rows) : [];
+        },
+
+        // Flagged referrals awaiting review, highest score first
+        async listFlagged({ limit = 10, groupId = null } = {}) {
+            return driver.select(TABLE, {
+                filters: [...groupFilters(groupId), ['flag_status', 'eq', 'flagged']],
+                order: [{ column: 'fraud_score', ascending: false }, { column: 'join_date', ascending: true }],
+                limit
+            });
+        },
+
+        async countFlagged({ groupId = null } = {}) {
+            return driver.count(TABLE, { filters: [...groupFilters(groupId), ['flag_status', 'eq', 'flagged']] });
+        },
+
+        // decision: cleared | rejected. Only flagged rows can be reviewed.
+        async review(userId, groupId, decision, reviewerId) {
+            const [row] = await driver.update(TABLE,
+                [...userFilters(userId, groupId), ['flag_status', 'eq', 'flagged']],
+                { flag_status: decision, reviewed_by: reviewerId, reviewed_at: new Date().toISOString() });
+            return row || null;
+        },
+
+        // KOL names are matched case-insensitively
+        async countForKol(kolName, options = {}) {
+            return driver.count(TABLE, { filters: countFilters(kolName, options) });
+        },
+
+        // Referrals that stayed in the group at least `days` days: still present and joined
+        // long enough ago, or left after at least that long
+        async countRetained(kolName, days, options = {}) {
+            const cutoff = new Date(Date.now() - days * DAY_MS).toISOString();
+            const joinedBeforeCutoff = [...countFilters(kolName, options), ['join_date', 'lte', cutoff]];
+
+            const stillPresent = await driver.count(TABLE, { filters: [...joinedBeforeCutoff, ...STILL_PRESENT] });
+
+            // Stay length isn't expressible as a filter, so check the leavers row by row
+            const leavers = await selectAll(driver, TABLE, {
+                columns: 'user_id, join_date, left_date',
+                filters: [...joinedBeforeCutoff, ['membership_status', 'in', ['left', 'kicked']]],
+                order: PAGED_ORDER
+            });
+            const stayedLongEnough = leavers.filter(r =>
+                r.left_date && new Date(r.left_date).getTime() - new Date(r.join_date).getTime() >= days * DAY_MS).length;
+
+            return stillPresent + stayedLongEnough;
+        },
+
+        // Latest referred joins of one KOL (exact name match, for KOL self-service)
+        async listRecentForKol(kolName, { limit = 10 } = {}) {
+            return driver.select(TABLE, {
+                columns: 'user_name, group_id, join_date, verification_status, membership_status, flag_status',
+                filters: [['referred_by_kol_name', 'eq', kolName]],
+                order: { column: 'join_date', ascending: false },
+                limit
+            });
+        },
+
+        // Full rows for export; joinedFrom/joinedTo are ISO timestamps (inclusive)
+        async listForExport({ kolName = null, joinedFrom = null, joinedTo = null, groupId = null } = {}) {
+            return selectAll(driver, TABLE, { filters: rangeFilters({ kolName, joinedFrom, joinedTo, groupId }), order: PAGED_ORDER });
+        },
+
+        // One page of full rows plus the number of matching rows (REST API).
+        // verified: true, false or null for both; joinedFrom/joinedTo are ISO timestamps (inclusive)
+        async listPage({ kolName = null, verified = null, joinedFrom = null, joinedTo = null, groupId = null, exactKolName = false, limit = 100, offset = 0 } = {}) {
+            const filters = rangeFilters({ kolName, joinedFrom, joinedTo, groupId, exactKolName });
+            if (verified !== null) filters.push(['verified', 'eq', verified]);
+            const [rows, total] = await Promise.all([
+                driver.select(TABLE, { filters, order: PAGED_ORDER, limit, offset }),
+                driver.count(TABLE, { filters })
+            ]);
+            return { rows, total };
+        },
+
+        // Rows for lib/stats aggregations. joinedFrom/joinedTo are ISO timestamps (inclusive);
+        // a lower bound leaves out legacy rows without a join date.
+        async listForStats({ kolName = null, joinedFrom = null, joinedTo = null, groupId = null, exactKolName = false } = {}) {
+            return selectAll(driver, TABLE, {
+                columns: 'user_id, group_id, referred_by_kol_name, join_date, verified, verification_date, membership_status, left_date, flag_status',
+                filters: rangeFilters({ kolName, joinedFrom, joinedTo, groupId, exactKolName }),
+                order: PAGED_ORDER
+            });
+        }
+    };
+}
+
+module.exports = { createReferralsRepository };
@@ -0,0 +1,42 @@
+// KROM Referral Bot - reward_tiers repository
+// Verified-referral targets (/tiers). kol_name null is a global tier; a KOL with tiers
+// of its own uses only those. Removing a tier only deactivates it, so payouts earned
+// on it keep their history.
+const TABLE = 'reward_tiers';
+
+function createRewardTiersRepository(driver) {
+    return {
+        async create({ kolName = null, threshold, reward, createdBy = null }) {
+            const [row] = await driver.insert(TABLE, [{
+                kol_name: kolName,
+                threshold,
+                reward,
+                active: true,
+                created_by: createdBy,
+                created_at: new Date().toISOString()
+            }]);
+            return row;
+        },
+
+        // Active tiers, lowest threshold first
+        async list() {
+            return driver.select(TABLE, {
+                filters: [['active', 'eq', true]],
+                order: [{ column: 'threshold', ascending: true }, { column: 'id', ascending: true }]
+            });
+        },
+
+        // Returns null if the tier is unknown or already removed
+        async deactivate(id) {
+            const [row] = await driver.update(TABLE, [['id', 'eq', id], ['active', 'eq', true]], { active: false });
+            return row || null;
+        },
+
+        async renameKol(oldName, newName) {
+            const rows = await driver.update(TABLE, [['kol_name', 'eq', oldName]], { kol_name: newName });
+            return rows.length;
+        }
+    };
+}
+
+module.exports = { createRewardTiersRepository };
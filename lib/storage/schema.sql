@@ -0,0 +1,255 @@
+-- KROM Referral Bot - Supabase schema
+-- Run in the Supabase SQL editor. Statements are idempotent so the whole file
+-- can be re-applied after pulling new changes.
+
+create table if not exists kol_links (
+    id bigint generated by default as identity primary key,
+    link_url text not null unique,
+    kol_name text not null,
+    created_at timestamptz default now()
+);
+
+create table if not exists referrals (
+    user_id bigint primary key,
+    referred_by_kol_name text not null,
+    user_name text,
+    join_date timestamptz default now(),
+    verified boolean not null default false,
+    verification_date timestamptz
+);
+
+-- Verification deadlines (verify timeout / auto kick or mute)
+alter table referrals add column if not exists verification_status text not null default 'pending'; -- pending | verified | expired
+update referrals set verification_status = 'verified' where verified and verification_status = 'pending';
+
+create table if not exists pending_verifications (
+    id bigint generated by default as identity primary key,
+    user_id bigint not null,
+    chat_id bigint not null,
+    prompt_chat_id bigint,
+    prompt_message_id bigint,
+    deadline timestamptz,
+    status text not null default 'pending', -- pending | verified | expired | left
+    created_at timestamptz default now(),
+    resolved_at timestamptz,
+    unique (user_id, chat_id)
+);
+create index if not exists pending_verifications_due_idx on pending_verifications (status, deadline);
+
+-- Human-verification challenges (referrals.verification_status and pending_verifications.status gain 'locked')
+alter table pending_verifications add column if not exists challenge_type text not null default 'button'; -- button | math | emoji | captcha
+alter table pending_verifications add column if not exists challenge_question text;
+alter table pending_verifications add column if not exists challenge_options jsonb;
+alter table pending_verifications add column if not exists challenge_answer text;
+alter table pending_verifications add column if not exists attempts integer not null default 0;
+
+-- Fraud detection: join/leave history and flagged referrals
+create table if not exists referral_events (
+    id bigint generated by default as identity primary key,
+    user_id bigint not null,
+    chat_id bigint not null,
+    event_type text not null, -- join | leave
+    link_url text,
+    kol_name text,
+    user_name text,
+    created_at timestamptz default now()
+);
+create index if not exists referral_events_user_idx on referral_events (user_id, created_at);
+create index if not exists referral_events_link_idx on referral_events (link_url, event_type, created_at);
+
+alter table referrals add column if not exists fraud_score integer not null default 0;
+alter table referrals add column if not exists fraud_reasons jsonb;
+alter table referrals add column if not exists flag_status text not null default 'clean'; -- clean | flagged | cleared | rejected
+alter table referrals add column if not exists reviewed_by bigint;
+alter table referrals add column if not exists reviewed_at timestamptz;
+
+-- Soft-delete: leaving only changes membership_status; referral_events is the full log
+-- (event_type is now one of join | rejoin | verify | leave | kick)
+alter table referrals add column if not exists membership_status text not null default 'member'; -- member | left | kicked
+alter table referrals add column if not exists left_date timestamptz;
+
+-- KOL link lifecycle: revoke, expire, cap
+alter table kol_links add column if not exists link_name text;
+alter table kol_links add column if not exists expire_date timestamptz;
+alter table kol_links add column if not exists member_limit integer;
+alter table kol_links add column if not exists creates_join_request boolean not null default false;
+alter table kol_links add column if not exists active boolean not null default true;
+alter table kol_links add column if not exists revoked_at timestamptz;
+alter table kol_links add column if not exists revoked_by bigint;
+
+-- Join-request approval mode
+-- (referrals.membership_status gains requested | declined, referral_events.event_type gains request)
+create table if not exists join_requests (
+    id bigint generated by default as identity primary key,
+    user_id bigint not null,
+    chat_id bigint not null,
+    user_chat_id bigint,
+    link_url text,
+    kol_name text,
+    user_name text,
+    status text not null default 'pending', -- pending | approved | declined
+    created_at timestamptz default now(),
+    decided_at timestamptz,
+    decided_by bigint, -- null when decided automatically by the verification gate
+    unique (user_id, chat_id)
+);
+
+alter table pending_verifications add column if not exists source text not null default 'join'; -- join | join_request
+
+-- KOL self-service (/mystats, /mylinks, /requestlink)
+create table if not exists kol_accounts (
+    id bigint generated by default as identity primary key,
+    user_id bigint not null unique,
+    kol_name text not null,
+    linked_by bigint,
+    created_at timestamptz default now()
+);
+
+create table if not exists link_requests (
+    id bigint generated by default as identity primary key,
+    user_id bigint not null,
+    kol_name text not null,
+    note text,
+    status text not null default 'pending', -- pending | approved | rejected
+    link_url text,
+    created_at timestamptz default now(),
+    decided_at timestamptz,
+    decided_by bigint
+);
+
+-- Multi-group support: one bot process tracks several target groups.
+-- Rows from before this have group_id null; the bot assigns them to TARGET_GROUP_ID on startup.
+create table if not exists groups (
+    id bigint generated by default as identity primary key,
+    chat_id bigint not null unique,
+    title text,
+    active boolean not null default true,
+    added_by bigint,
+    created_at timestamptz default now()
+);
+
+alter table kol_links add column if not exists group_id bigint;
+alter table referrals add column if not exists group_id bigint;
+alter table link_requests add column if not exists group_id bigint;
+
+-- A user can now be referred into each group once (was: once overall)
+do $$
+begin
+    if exists (
+        select 1 from pg_constraint c
+        join pg_attribute a on a.attrelid = c.conrelid and a.attnum = c.conkey[1]
+        where c.conrelid = 'referrals'::regclass and c.contype = 'p' and array_length(c.conkey, 1) = 1 and a.attname = 'user_id'
+    ) then
+        alter table referrals drop constraint referrals_pkey;
+        alter table referrals add column id bigint generated by default as identity primary key;
+    end if;
+end $$;
+create unique index if not exists referrals_user_group_key on referrals (user_id, group_id);
+create index if not exists referrals_group_kol_idx on referrals (group_id, referred_by_kol_name);
+
+-- Scheduled digests (/digest). Cron expressions are evaluated in UTC.
+create table if not exists digest_schedules (
+    id bigint generated by default as identity primary key,
+    cron text not null,
+    period text not null, -- daily | weekly
+    chat_id bigint, -- null = every admin's DM
+    active boolean not null default true,
+    next_run_at timestamptz, -- next slot to deliver; null once a schedule has no future runs
+    last_run_at timestamptz,
+    created_by bigint,
+    created_at timestamptz default now()
+);
+create index if not exists digest_schedules_due_idx on digest_schedules (active, next_run_at);
+create index if not exists referral_events_created_idx on referral_events (created_at);
+
+-- Admins managed with /addadmin and /removeadmin. Owners (ADMIN_USER_IDS) are not stored here.
+create table if not exists admins (
+    user_id bigint primary key,
+    user_name text,
+    added_by bigint,
+    created_at timestamptz default now()
+);
+
+-- Reward tiers (/tiers) and the payouts earned on them (/payouts).
+-- kol_name null = global tier; a KOL with tiers of its own uses only those.
+create table if not exists reward_tiers (
+    id bigint generated by default as identity primary key,
+    kol_name text,
+    threshold integer not null check (threshold > 0),
+    reward text not null,
+    active boolean not null default true,
+    created_by bigint,
+    created_at timestamptz default now()
+);
+create index if not exists reward_tiers_active_idx on reward_tiers (active, threshold);
+
+create table if not exists payouts (
+    id bigint generated by default as identity primary key,
+    kol_name text not null,
+    tier_id bigint references reward_tiers (id),
+    threshold integer not null,
+    reward text not null,
+    verified_count integer, -- verified referrals still in the group when the tier was reached
+    status text not null default 'earned', -- earned | paid
+    earned_at timestamptz default now(),
+    paid_at timestamptz,
+    paid_by bigint
+);
+create unique index if not exists payouts_kol_threshold_key on payouts (kol_name, threshold);
+create index if not exists payouts_status_idx on payouts (status, earned_at);
+
+-- Overrides of the built-in member-facing texts (/template). HTML with {placeholders}.
+-- language '*' = every language; kol_name and group_id scope the text (at most one of them).
+create table if not exists message_templates (
+    id bigint generated by default as identity primary key,
+    key text not null,
+    language text not null default '*',
+    kol_name text,
+    group_id bigint,
+    text text not null,
+    updated_by bigint,
+    updated_at timestamptz default now(),
+    check (kol_name is null or group_id is null)
+);
+create unique index if not exists message_templates_scope_key on message_templates (key, language, coalesce(kol_name, ''), coalesce(group_id, 0));
+
+-- Deep links (t.me/<bot>?start=kol_<code>) and the people who opened them (/deeplink, /funnel).
+-- invite_mode shared: everyone gets invite_link (one tracked link per deep link);
+-- personal: each visitor gets a single-use link of their own (kol_links.issued_to).
+create table if not exists deep_links (
+    id bigint generated by default as identity primary key,
+    code text not null unique,
+    kol_name text not null,
+    group_id bigint not null,
+    tag text, -- sub-campaign, e.g. where the link is posted
+    invite_mode text not null default 'shared', -- shared | personal
+    invite_link text,
+    active boolean not null default true,
+    created_by bigint,
+    created_at timestamptz default now()
+);
+create index if not exists deep_links_kol_idx on deep_links (kol_name);
+
+-- One row per deep link and visitor; joined_at and verified_at are set when they join
+-- through the invite link they got there and pass verification.
+create table if not exists deep_link_visits (
+    id bigint generated by default as identity primary key,
+    deep_link_id bigint not null references deep_links (id),
+    user_id bigint not null,
+    user_name text,
+    group_id bigint not null,
+    invite_link text,
+    invite_expires_at timestamptz,
+    visit_count integer not null default 1,
+    first_visit_at timestamptz default now(),
+    last_visit_at timestamptz default now(),
+    joined_at timestamptz,
+    verified_at timestamptz
+);
+create unique index if not exists deep_link_visits_visitor_key on deep_link_visits (deep_link_id, user_id);
+create index if not exists deep_link_visits_user_idx on deep_link_visits (user_id, group_id);
+alter table kol_links add column if not exists issued_to bigint; -- personal deep-link invite: the visitor it was made for
+
+-- Localized challenge questions: the question's values ({a, op, b} or {target}); its text is a
+-- template. challenge_question keeps the English text of rows created before this column.
+alter table pending_verifications add column if not exists challenge_params jsonb;
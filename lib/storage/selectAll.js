@@ -0,0 +1,15 @@
+// KROM Referral Bot - Paged select helper
+// Supabase caps a single select at 1000 rows, so aggregations that need every
+// matching row (retention, stats) read in pages until a short page comes back.
+const PAGE_SIZE = 1000;
+
+async function selectAll(driver, table, options = {}) {
+    const rows = [];
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+        const page = await driver.select(table, { ...options, limit: PAGE_SIZE, offset });
+        rows.push(...page);
+        if (page.length < PAGE_SIZE) return rows;
+    }
+}
+
+module.exports = { selectAll };
@@ -0,0 +1,83 @@
+// KROM Referral Bot - Supabase storage driver
+// Thin adapter that turns the generic driver calls used by the repositories
+// into supabase-js query builder chains.
+const { createClient } = require('@supabase/supabase-js');
+
+// Filter ops map 1:1 onto PostgrestFilterBuilder methods
+const SUPPORTED_OPS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'ilike', 'is', 'in'];
+
+function applyFilters(query, filters = []) {
+    for (const [column, op, value] of filters) {
+        if (!SUPPORTED_OPS.includes(op)) throw new Error(`Unsupported filter op "${op}" on ${column}`);
+        query = query[op](column, value);
+    }
+    return query;
+}
+
+function applyOrder(query, order) {
+    if (!order) return query;
+    const orders = Array.isArray(order) ? order : [order];
+    for (const { column, ascending = true } of orders) {
+        query = query.order(column, { ascending });
+    }
+    return query;
+}
+
+// Supabase returns { data, error }; repositories expect thrown errors
+function unwrap({ data, error, count }) {
+    if (error) throw error;
+    return { data, count };
+}
+
+function createSupabaseDriver({ url, key }) {
+    if (!url || !key) throw new Error('Missing SUPABASE_URL or SUPABASE_SERVICE_KEY for the supabase storage backend');
+
+    const client = createClient(url, key);
+    console.log('Supabase client initialized.');
+
+    return {
+        name: 'supabase',
+        client,
+
+        async select(table, { columns = '*', filters, order, limit, offset } = {}) {
+            let query = applyFilters(client.from(table).select(columns), filters);
+            query = applyOrder(query, order);
+            if (limit !== undefined) {
+                const from = offset || 0;
+                query = query.range(from, from + limit - 1);
+            }
+            return unwrap(await query).data || [];
+        },
+
+        async count(table, { filters } = {}) {
+            const query = applyFilters(client.from(table).select('*', { count: 'exact', head: true }), filters);
+            return unwrap(await query).count || 0;
+        },
+
+        async insert(table, rows) {
+            return unwrap(await client.from(table).insert(rows).select()).data || [];
+        },
+
+        async update(table, filters, patch) {
+            const query = applyFilters(client.from(table).update(patch), filters);
+            return unwrap(await query.select()).data || [];
+        },
+
+        async upsert(table, rows, { onConflict } = {}) {
+            return unwrap(await client.from(table).upsert(rows, { onConflict }).select()).data || [];
+        },
+
+        async remove(table, filters) {
+            const query = applyFilters(client.from(table).delete(), filters);
+            return unwrap(await query.select()).data || [];
+        },
+
+        async ping() {
+            // Only need to know if the table can be reached
+            await this.count('kol_links');
+            return true;
+        }
+    };
+}
+
+module.exports = { createSupabaseDriver };
@@ -0,0 +1,25 @@
+// KROM Referral Bot - Telegram error helpers
+// node-telegram-bot-api rejects with code ETELEGRAM when the Bot API answered with an
+// error (response.statusCode, response.body.description and .parameters) and with
+// EFATAL when the request never got an answer.
+
+function describeTelegramError(error) {
+    return error.response?.body?.description || error.message;
+}
+
+// Whether trying again later can help: no answer, 5xx, 429 (flood control), and errors
+// that don't come from the Bot API at all (storage). Any other 4xx means the call
+// itself can't succeed (user blocked the bot, message already gone, ...).
+function isRetryableError(error) {
+    if (error?.code !== 'ETELEGRAM') return true;
+    const status = error.response?.statusCode ?? error.response?.body?.error_code;
+    return !status || status === 429 || status >= 500;
+}
+
+// How long Telegram asked us to wait (429 retry_after) in ms, or 0
+function retryAfterMs(error) {
+    const seconds = Number(error?.response?.body?.parameters?.retry_after);
+    return seconds > 0 ? seconds * 1000 : 0;
+}
+
+module.exports = { describeTelegramError, isRetryableError, retryAfterMs };
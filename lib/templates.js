@@ -0,0 +1,275 @@
+// KROM Referral Bot - Message templates
+// Texts new members see (welcome, challenge prompts, verification results) come from
+// here instead of being written out in the handlers, so admins can change them with
+// /template and members get them in their own language.
+//
+// Lookup for a key, first match wins:
+//   1. override for the KOL whose link the member used
+//   2. override for the group
+//   3. global override
+//   4. built-in text in the member's language (Telegram's language_code), then DEFAULT_LANGUAGE, then English
+// Overrides are stored per language or for all languages ('*'); within a scope the
+// member's language is tried before '*'.
+//
+// Escaping: templates are HTML (the bot only ever sends parse_mode HTML). Placeholder
+// values are escaped when they are filled in, so names and titles can never break
+// the markup; the template text itself is trusted admin input and is checked by
+// Telegram when /template previews it. Plain templates (button labels and popup
+// alerts, which Telegram shows without formatting) get their values unescaped.
+const { escapeHtml, mentionHtml } = require('./html');
+
+const PLACEHOLDER_PATTERN = /\{([a-z_]+)\}/g;
+const ALL_LANGUAGES = '*';
+const MAX_HTML_LENGTH = 1024; // Leaves room for the challenge under Telegram's 4096 characters
+const MAX_ALERT_LENGTH = 200; // answerCallbackQuery limit
+const MAX_BUTTON_LENGTH = 64;
+
+// key -> { description, placeholders, plain, maxLength }
+const TEMPLATE_KEYS = {
+    group_welcome: { description: 'Group prompt after joining through a KOL link (the challenge follows)', placeholders: ['user', 'kol', 'group'] },
+    join_request_prompt: { description: 'DM to users who asked to join through a KOL link (the challenge follows)', placeholders: ['user', 'kol', 'group'] },
+    start_challenge: { description: '/start in DM while unverified (the challenge follows)', placeholders: ['user', 'kol', 'group'] },
+    start_welcome: { description: '/start from someone without a referral', placeholders: ['user'] },
+    start_kol_note: { description: '/start from an account linked to a KOL: added below start_welcome', placeholders: ['kol'] },
+    start_verified: { description: '/start after verifying', placeholders: ['user', 'kol', 'group'] },
+    deep_link_landing: { description: "/start from a KOL's deep link: shown above the join button (a group preview follows)", placeholders: ['user', 'kol', 'group'] },
+    deep_link_join_button: { description: 'Join button of the deep-link landing message', placeholders: ['group'], plain: true, maxLength: MAX_BUTTON_LENGTH },
+    deep_link_unavailable: { description: 'Deep link that was removed or never existed', placeholders: [], plain: true, maxLength: MAX_ALERT_LENGTH },
+    challenge_button: { description: 'Question of the one-click challenge', placeholders: [] },
+    challenge_math: { description: 'Question of the math challenge; {op} is + or ×', placeholders: ['a', 'op', 'b'] },
+    challenge_emoji: { description: 'Question of the emoji challenge; {target} is the name of the emoji to tap', placeholders: ['target'] },
+    challenge_captcha: { description: 'Question of the captcha challenge, sent in DM as the caption of the picture', placeholders: [] },
+    captcha_hint: { description: 'Group prompt text of captcha challenges (solved in DM)', placeholders: [] },
+    verify_button: { description: 'Button of the one-click challenge', placeholders: [], plain: true, maxLength: MAX_BUTTON_LENGTH },
+    verify_dm_button: { description: 'Button that opens the DM for captcha challenges', placeholders: [], plain: true, maxLength: MAX_BUTTON_LENGTH },
+    verified: { description: 'Replaces the prompt once the member is verified', placeholders: ['user', 'kol', 'group'] },
+    already_verified: { description: 'Replaces an old prompt of a member who is already verified', placeholders: ['user', 'kol', 'group'] },
+    verified_alert: { description: 'Popup / DM reply after a correct answer', placeholders: [], plain: true, maxLength: MAX_ALERT_LENGTH },
+    already_verified_alert: { description: 'Popup when a verified member presses a prompt button', placeholders: [], plain: true, maxLength: MAX_ALERT_LENGTH },
+    wrong_answer: { description: 'Popup after a wrong button answer', placeholders: ['attempts'], plain: true, maxLength: MAX_ALERT_LENGTH },
+    wrong_code: { description: 'DM reply after a wrong captcha code', placeholders: ['attempts'], plain: true, maxLength: MAX_ALERT_LENGTH },
+    locked_out: { description: 'Out of attempts', placeholders: [], plain: true, maxLength: MAX_ALERT_LENGTH },
+    expired: { description: 'Verification deadline passed', placeholders: [], plain: true, maxLength: MAX_ALERT_LENGTH },
+    outdated_prompt: { description: 'Popup for a prompt that no longer has an open challenge', placeholders: [], plain: true, maxLength: MAX_ALERT_LENGTH },
+    not_verifiable: { description: 'No referral left that could be verified', placeholders: [], plain: true, maxLength: MAX_ALERT_LENGTH },
+    not_your_prompt: { description: "Someone pressed another member's prompt", placeholders: [], plain: true, maxLength: MAX_ALERT_LENGTH },
+    error: { description: 'Storage error while verifying', placeholders: [], plain: true, maxLength: MAX_ALERT_LENGTH }
+};
+
+const DEFAULT_TEXTS = {
+    en: {
+        group_welcome: "Welcome {user}! You joined via {kol}'s link.",
+        join_request_prompt: "Hi {user}! You asked to join <b>{group}</b> via {kol}'s link.",
+        start_challenge: 'Thanks for joining via referral, {user}!',
+        start_welcome: 'Hi {user}! Welcome to the KROM Referral Bot.',
+        start_kol_note: 'You\'re linked to KOL "{kol}": use /mystats, /mylinks or /requestlink.',
+        start_verified: 'Hi {user}! Welcome back. You are already verified.',
+        deep_link_landing: 'Hi {user}! {kol} invites you to join <b>{group}</b>.',
+        deep_link_join_button: '👉 Join {group}',
+        deep_link_unavailable: 'This invite is no longer available. Ask whoever shared it with you for a new one.',
+        challenge_button: "Please click the button below to verify you're human.",
+        challenge_math: "To verify you're human, answer: <b>{a} {op} {b} = ?</b>",
+        challenge_emoji: "To verify you're human, tap the <b>{target}</b>.",
+        challenge_captcha: "To verify you're human, type the number shown in the picture.",
+        captcha_hint: "To verify you're human, tap the button below and type the code I send you in our private chat.",
+        verify_button: '✅ Verify Me!',
+        verify_dm_button: '🔐 Verify in private chat',
+        verified: '✅ {user} is now verified!',
+        already_verified: '✅ {user} is already verified.',
+        verified_alert: '✅ Verification successful!',
+        already_verified_alert: 'You are already verified.',
+        wrong_answer: 'Wrong answer. Attempts left: {attempts}.',
+        wrong_code: '❌ Wrong code. Attempts left: {attempts}. Send /start to see the code again.',
+        locked_out: 'Too many wrong answers. You can no longer verify for this referral.',
+        expired: 'Verification time expired. Please rejoin the group through your invite link to try again.',
+        outdated_prompt: 'This verification prompt is outdated. Send /start to me in a private chat to get a new one.',
+        not_verifiable: "Your referral can't be verified anymore. Send /start to check your status.",
+        not_your_prompt: 'This button is for someone else.',
+        error: 'Sorry, something went wrong. Please try again in a moment.'
+    },
+    es: {
+        group_welcome: '¡Te damos la bienvenida, {user}! Te uniste con el enlace de {kol}.',
+        join_request_prompt: '¡Hola, {user}! Pediste unirte a <b>{group}</b> con el enlace de {kol}.',
+        start_challenge: '¡Gracias por unirte con una invitación, {user}!',
+        start_welcome: '¡Hola, {user}! Te damos la bienvenida al KROM Referral Bot.',
+        start_kol_note: 'Tu cuenta está vinculada al KOL "{kol}": usa /mystats, /mylinks o /requestlink.',
+        start_verified: '¡Hola de nuevo, {user}! Tu verificación ya está completa.',
+        deep_link_landing: '¡Hola, {user}! {kol} te invita a unirte a <b>{group}</b>.',
+        deep_link_join_button: '👉 Unirme a {group}',
+        deep_link_unavailable: 'Esta invitación ya no está disponible. Pide una nueva a quien te la compartió.',
+        challenge_button: 'Pulsa el botón de abajo para comprobar que eres una persona.',
+        challenge_math: 'Para comprobar que eres una persona, responde: <b>{a} {op} {b} = ?</b>',
+        challenge_emoji: 'Para comprobar que eres una persona, toca este emoji: <b>{target}</b>.',
+        challenge_captcha: 'Para comprobar que eres una persona, escribe el número que aparece en la imagen.',
+        captcha_hint: 'Para comprobar que eres una persona, pulsa el botón de abajo y escribe el código que te enviaré en nuestro chat privado.',
+        verify_button: '✅ ¡Verificarme!',
+        verify_dm_button: '🔐 Verificar en chat privado',
+        verified: '✅ ¡{user} completó la verificación!',
+        already_verified: '✅ {user} ya había completado la verificación.',
+        verified_alert: '✅ ¡Verificación completada!',
+        already_verified_alert: 'Tu verificación ya está completa.',
+        wrong_answer: 'Respuesta incorrecta. Intentos restantes: {attempts}.',
+        wrong_code: '❌ Código incorrecto. Intentos restantes: {attempts}. Envía /start para ver el código de nuevo.',
+        locked_out: 'Demasiadas respuestas incorrectas. Ya no puedes verificarte para esta invitación.',
+        expired: 'Se acabó el tiempo de verificación. Vuelve a unirte al grupo con tu enlace de invitación para intentarlo de nuevo.',
+        outdated_prompt: 'Este mensaje de verificación ya no es válido. Envíame /start en un chat privado para recibir uno nuevo.',
+        not_verifiable: 'Tu invitación ya no se puede verificar. Envía /start para ver tu estado.',
+        not_your_prompt: 'Este botón es para otra persona.',
+        error: 'Lo siento, algo salió mal. Inténtalo de nuevo en un momento.'
+    },
+    ru: {
+        group_welcome: 'Добро пожаловать, {user}! Вы присоединились по ссылке {kol}.',
+        join_request_prompt: 'Здравствуйте, {user}! Вы подали заявку на вступление в <b>{group}</b> по ссылке {kol}.',
+        start_challenge: 'Спасибо, что присоединились по приглашению, {user}!',
+        start_welcome: 'Здравствуйте, {user}! Добро пожаловать в KROM Referral Bot.',
+        start_kol_note: 'Ваш аккаунт привязан к KOL «{kol}»: используйте /mystats, /mylinks или /requestlink.',
+        start_verified: 'С возвращением, {user}! Вы уже прошли проверку.',
+        deep_link_landing: 'Здравствуйте, {user}! {kol} приглашает вас присоединиться к <b>{group}</b>.',
+        deep_link_join_button: '👉 Вступить в {group}',
+        deep_link_unavailable: 'Это приглашение больше недействительно. Попросите новое у того, кто им поделился.',
+        challenge_button: 'Нажмите кнопку ниже, чтобы подтвердить, что вы человек.',
+        challenge_math: 'Чтобы подтвердить, что вы человек, ответьте: <b>{a} {op} {b} = ?</b>',
+        challenge_emoji: 'Чтобы подтвердить, что вы человек, нажмите на эмодзи: <b>{target}</b>.',
+        challenge_captcha: 'Чтобы подтвердить, что вы человек, введите число с картинки.',
+        captcha_hint: 'Чтобы подтвердить, что вы человек, нажмите кнопку ниже и введите код, который я пришлю вам в личном чате.',
+        verify_button: '✅ Пройти проверку',
+        verify_dm_button: '🔐 Проверка в личном чате',
+        verified: '✅ {user} прошёл(а) проверку!',
+        already_verified: '✅ {user} уже прошёл(а) проверку.',
+        verified_alert: '✅ Проверка пройдена!',
+        already_verified_alert: 'Вы уже прошли проверку.',
+        wrong_answer: 'Неверный ответ. Осталось попыток: {attempts}.',
+        wrong_code: '❌ Неверный код. Осталось попыток: {attempts}. Отправьте /start, чтобы снова увидеть код.',
+        locked_out: 'Слишком много неверных ответов. Пройти проверку по этому приглашению больше нельзя.',
+        expired: 'Время на проверку истекло. Вступите в группу заново по своей ссылке-приглашению, чтобы попробовать ещё раз.',
+        outdated_prompt: 'Это сообщение о проверке устарело. Отправьте мне /start в личном чате, чтобы получить новое.',
+        not_verifiable: 'Ваше приглашение больше нельзя подтвердить. Отправьте /start, чтобы узнать свой статус.',
+        not_your_prompt: 'Эта кнопка предназначена для другого пользователя.',
+        error: 'Извините, что-то пошло не так. Попробуйте ещё раз чуть позже.'
+    }
+};
+const LANGUAGES = Object.keys(DEFAULT_TEXTS);
+
+// Telegram's language_code is an IETF tag ("en", "pt-br"); only the language counts here
+function normalizeLanguage(code) {
+    const match = String(code || '').toLowerCase().match(/^([a-z]{2,3})(?:[-_]|$)/);
+    return match ? match[1] : null;
+}
+
+// Error message, or null if the text can be stored for the key
+function validateTemplate(key, text) {
+    const spec = TEMPLATE_KEYS[key];
+    if (!spec) return `Unknown template "${key}". Send /template for the list.`;
+    if (!text || !text.trim()) return 'The template text is empty.';
+    const maxLength = spec.maxLength || MAX_HTML_LENGTH;
+    if (text.length > maxLength) return `The template is ${text.length} characters long; ${key} allows at most ${maxLength}.`;
+    const unknown = [...text.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]).filter(name => !spec.placeholders.includes(name));
+    if (unknown.length > 0) {
+        const allowed = spec.placeholders.length > 0 ? spec.placeholders.map(name => `{${name}}`).join(', ') : 'none';
+        return `Unknown placeholder {${unknown[0]}} in ${key} (allowed: ${allowed}).`;
+    }
+    return null;
+}
+
+/**
+ * Fills in placeholders. values.user is { id, name }; the other values are strings or numbers.
+ * Unknown placeholders are left as they are.
+ */
+function formatTemplate(text, values = {}, { plain = false } = {}) {
+    return text.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+        const value = values[name];
+        if (value === undefined || value === null) return placeholder;
+        if (name === 'user') {
+            if (plain) return value.name || `User ${value.id}`;
+            return value.id ? mentionHtml(value.id, value.name) : escapeHtml(value.name);
+        }
+        return plain ? String(value) : escapeHtml(value);
+    });
+}
+
+/**
+ * @param {object} options
+ * @param {object} options.storage
+ * @param {string} [options.defaultLanguage]  One of LANGUAGES; for users whose client reports none we have
+ */
+function createTemplates({ storage, defaultLanguage = 'en' }) {
+    let overrides = []; // message_templates rows
+
+    function sameKol(row, kolName) {
+        return row.kol_name && row.kol_name.toLowerCase() === kolName.toLowerCase();
+    }
+
+    function findOverride(key, language, inScope) {
+        for (const rowLanguage of [language, ALL_LANGUAGES]) {
+            const row = overrides.find(candidate => candidate.key === key && candidate.language === rowLanguage && inScope(candidate));
+            if (row) return row;
+        }
+        return null;
+    }
+
+    /**
+     * Template text for a key and where it came from
+     * @returns {{ text: string, source: string, row: object|null }} source is kol, group, global or default
+     */
+    function resolve(key, { language = null, kolName = null, groupId = null } = {}) {
+        if (!TEMPLATE_KEYS[key]) throw new Error(`Unknown message template "${key}"`);
+        const userLanguage = normalizeLanguage(language) || defaultLanguage;
+        const scopes = [];
+        if (kolName) scopes.push(['kol', row => sameKol(row, kolName)]);
+        if (groupId !== null && groupId !== undefined) scopes.push(['group', row => row.group_id != null && Number(row.group_id) === Number(groupId)]);
+        scopes.push(['global', row => !row.kol_name && row.group_id == null]);
+        for (const [source, inScope] of scopes) {
+            const row = findOverride(key, userLanguage, inScope);
+            if (row) return { text: row.text, source, row };
+        }
+        const builtIn = DEFAULT_TEXTS[userLanguage]?.[key] ?? DEFAULT_TEXTS[defaultLanguage]?.[key] ?? DEFAULT_TEXTS.en[key];
+        return { text: builtIn, source: 'default', row: null };
+    }
+
+    async function load() {
+        overrides = await storage.messageTemplates.list();
+        console.log(`Loaded ${overrides.length} message template override(s).`);
+    }
+
+    return {
+        load,
+        resolve,
+
+        /**
+         * @param {string} key      One of TEMPLATE_KEYS
+         * @param {object} context  { language, kolName, groupId, values } (values as in formatTemplate)
+         */
+        render(key, { values = {}, ...scope } = {}) {
+            return formatTemplate(resolve(key, scope).text, values, { plain: TEMPLATE_KEYS[key].plain });
+        },
+
+        // Stored overrides, by key
+        list() {
+            return [...overrides];
+        },
+
+        // Throws with a message for the admin if the text doesn't fit the key
+        async set({ key, language = ALL_LANGUAGES, kolName = null, groupId = null, text, updatedBy = null }) {
+            const error = validateTemplate(key, text);
+            if (error) throw new Error(error);
+            const row = await storage.messageTemplates.set({ key, language, kolName, groupId, text, updatedBy });
+            await load();
+            return row;
+        },
+
+        // Returns the removed override, or null if there was none
+        async reset({ key, language = ALL_LANGUAGES, kolName = null, groupId = null }) {
+            const row = await storage.messageTemplates.remove({ key, language, kolName, groupId });
+            if (row) await load();
+            return row;
+        },
+
+        async renameKol(oldName, newName) {
+            const count = await storage.messageTemplates.renameKol(oldName, newName);
+            if (count > 0) await load();
+            return count;
+        }
+    };
+}
+
+module.exports = { TEMPLATE_KEYS, LANGUAGES, ALL_LANGUAGES, normalizeLanguage, validateTemplate, formatTemplate, createTemplates };
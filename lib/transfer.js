@@ -0,0 +1,178 @@
+// KROM Referral Bot - Export and import
+// Exports kol_links / referrals as CSV or JSON documents (for payouts and audits)
+// and imports the legacy kolLinks.json / referrals.json files. Imports only ever
+// add rows: entries that already exist are reported as duplicates (same KOL) or
+// conflicts (different KOL) and left untouched.
+const { kolLinksFromLegacy, referralsFromLegacy } = require('./storage/legacy');
+
+const EXPORT_TABLES = ['links', 'referrals'];
+const EXPORT_FORMATS = ['csv', 'json'];
+
+// Fixed CSV columns so spreadsheets built on the export don't shift around
+const CSV_COLUMNS = {
+    links: ['link_url', 'kol_name', 'group_id', 'link_name', 'active', 'expire_date', 'member_limit', 'creates_join_request', 'created_at', 'revoked_at', 'revoked_by'],
+    referrals: ['user_id', 'group_id', 'referred_by_kol_name', 'user_name', 'join_date', 'verified', 'verification_date', 'verification_status',
+        'membership_status', 'left_date', 'fraud_score', 'fraud_reasons', 'flag_status', 'reviewed_by', 'reviewed_at']
+};
+
+const INVITE_LINK_PATTERN = /^https:\/\/t\.me\/(\+|joinchat\/)[\w-]+$/;
+
+// --- CSV ---
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    // Spreadsheet apps run cells starting with these as formulas; KOL and user names are user-controlled
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows, columns) {
+    const lines = [columns.join(',')];
+    for (const row of rows) lines.push(columns.map(column => csvCell(row[column])).join(','));
+    return lines.join('\r\n') + '\r\n';
+}
+
+// --- Export ---
+/**
+ * @param {object} storage
+ * @param {object} options
+ * @param {string[]} options.tables     Subset of EXPORT_TABLES
+ * @param {string} options.format       One of EXPORT_FORMATS
+ * @param {string} [options.kolName]    Case-insensitive KOL filter
+ * @param {Date} [options.from]         Links created / referrals joined at or after
+ * @param {Date} [options.to]           ... and at or before
+ * @param {number} [options.groupId]    Only this target group
+ * @returns {Promise<Array<{ filename: string, contentType: string, content: Buffer, rowCount: number }>>}
+ *          One document per table for CSV, a single document for JSON
+ */
+async function buildExport(storage, { tables, format, kolName = null, from = null, to = null, groupId = null }) {
+    const fromIso = from ? from.toISOString() : null;
+    const toIso = to ? to.toISOString() : null;
+    const data = {};
+    if (tables.includes('links')) data.links = await storage.kolLinks.listForExport({ kolName, createdFrom: fromIso, createdTo: toIso, groupId });
+    if (tables.includes('referrals')) data.referrals = await storage.referrals.listForExport({ kolName, joinedFrom: fromIso, joinedTo: toIso, groupId });
+
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    const suffix = kolName ? `_${kolName.replace(/[^\w-]+/g, '_')}` : '';
+
+    if (format === 'json') {
+        const document = {
+            exported_at: new Date().toISOString(),
+            filters: { kol_name: kolName, group_id: groupId, from: fromIso, to: toIso },
+            ...(data.links ? { kol_links: data.links } : {}),
+            ...(data.referrals ? { referrals: data.referrals } : {})
+        };
+        return [{
+            filename: `krom_export${suffix}_${stamp}.json`,
+            contentType: 'application/json',
+            content: Buffer.from(JSON.stringify(document, null, 2)),
+            rowCount: (data.links?.length || 0) + (data.referrals?.length || 0)
+        }];
+    }
+
+    return Object.entries(data).map(([table, rows]) => ({
+        filename: `krom_${table}${suffix}_${stamp}.csv`,
+        contentType: 'text/csv',
+        content: Buffer.from(toCsv(rows, CSV_COLUMNS[table])),
+        rowCount: rows.length
+    }));
+}
+
+// --- Import ---
+function isValidDate(value) {
+    return typeof value === 'string' && !isNaN(new Date(value));
+}
+
+// Works out which legacy file this is from its shape
+function detectLegacyKind(parsed) {
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return null;
+    const values = Object.values(parsed);
+    if (values.length === 0) return null;
+    if (values.every(v => typeof v === 'string')) return 'links';
+    if (values.every(v => v && typeof v === 'object' && !Array.isArray(v))) return 'referrals';
+    return null;
+}
+
+function validateLegacyLink(linkUrl, kolName) {
+    if (!INVITE_LINK_PATTERN.test(linkUrl)) return 'not a t.me invite link';
+    if (!kolName.trim()) return 'empty KOL name';
+    return null;
+}
+
+function validateLegacyReferral(key, ref) {
+    const userId = Number(ref.userId ?? key);
+    if (!Number.isSafeInteger(userId) || userId <= 0) return 'invalid user ID';
+    if (ref.userId !== undefined && String(ref.userId) !== key) return `user ID ${ref.userId} doesn't match its key`;
+    if (typeof ref.referredByKOL !== 'string' || !ref.referredByKOL.trim()) return 'missing referredByKOL';
+    if (ref.verified !== undefined && typeof ref.verified !== 'boolean') return 'verified must be true or false';
+    if (ref.joinDate != null && !isValidDate(ref.joinDate)) return 'invalid joinDate';
+    if (ref.verificationDate != null && !isValidDate(ref.verificationDate)) return 'invalid verificationDate';
+    return null;
+}
+
+/**
+ * Imports a legacy kolLinks.json or referrals.json document into one target group
+ * (the legacy bot only knew one).
+ * @param {object} storage
+ * @param {string} text            File contents
+ * @param {object} options
+ * @param {number} options.groupId
+ * @param {boolean} [options.dryRun]  Validate and report without writing
+ * @returns {Promise<{ kind: string, total: number, imported: number, dryRun: boolean,
+ *           duplicates: string[], conflicts: string[], invalid: string[] }>}
+ * @throws {Error} If the document isn't JSON in one of the legacy formats
+ */
+async function importLegacy(storage, text, { groupId, dryRun = false }) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (parseError) {
+        throw new Error(`Not valid JSON: ${parseError.message}`);
+    }
+    const kind = detectLegacyKind(parsed);
+    if (!kind) throw new Error('Unrecognized format: expected kolLinks.json ({ "<link>": "<KOL>" }) or referrals.json ({ "<user id>": { ... } })');
+
+    const report = { kind, total: Object.keys(parsed).length, imported: 0, dryRun, duplicates: [], conflicts: [], invalid: [] };
+    const valid = {};
+
+    if (kind === 'links') {
+        for (const [linkUrl, kolName] of Object.entries(parsed)) {
+            const problem = validateLegacyLink(linkUrl, kolName);
+            if (problem) report.invalid.push(`${linkUrl}: ${problem}`);
+            else valid[linkUrl] = kolName.trim();
+        }
+        const existing = new Map((await storage.kolLinks.findByUrls(Object.keys(valid))).map(row => [row.link_url, row]));
+        const fresh = {};
+        for (const [linkUrl, kolName] of Object.entries(valid)) {
+            const current = existing.get(linkUrl);
+            if (!current) fresh[linkUrl] = kolName;
+            else if (current.kol_name === kolName) report.duplicates.push(`${linkUrl} (${kolName})`);
+            else report.conflicts.push(`${linkUrl}: file says "${kolName}", stored as "${current.kol_name}"`);
+        }
+        const now = new Date().toISOString();
+        const rows = kolLinksFromLegacy(fresh).map(row => ({ ...row, group_id: groupId, active: true, created_at: now }));
+        if (!dryRun) await storage.kolLinks.insertMany(rows);
+        report.imported = rows.length;
+        return report;
+    }
+
+    for (const [key, ref] of Object.entries(parsed)) {
+        const problem = validateLegacyReferral(key, ref);
+        if (problem) report.invalid.push(`${key}: ${problem}`);
+        else valid[key] = ref;
+    }
+    const existing = new Map((await storage.referrals.findByUserIds(Object.keys(valid).map(Number), groupId)).map(row => [String(row.user_id), row]));
+    const fresh = {};
+    for (const [key, ref] of Object.entries(valid)) {
+        const current = existing.get(String(Number(ref.userId ?? key)));
+        if (!current) fresh[key] = { ...ref, referredByKOL: ref.referredByKOL.trim() };
+        else if (current.referred_by_kol_name === ref.referredByKOL.trim()) report.duplicates.push(`${key} (${current.referred_by_kol_name})`);
+        else report.conflicts.push(`${key}: file says "${ref.referredByKOL}", stored as "${current.referred_by_kol_name}"`);
+    }
+    const rows = referralsFromLegacy(fresh).map(row => ({ ...row, group_id: groupId }));
+    if (!dryRun) await storage.referrals.insertMany(rows);
+    report.imported = rows.length;
+    return report;
+}
+
+module.exports = { EXPORT_TABLES, EXPORT_FORMATS, buildExport, importLegacy, toCsv };
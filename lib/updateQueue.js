@@ -0,0 +1,251 @@
+// KROM Referral Bot - Durable update queue
+// Joins, leaves and verification answers are written to a local queue before they are
+// handled, so a storage outage or a failed Bot API call no longer loses an attribution
+// or a prompt. A failed update is retried with exponential backoff (or after Telegram's
+// retry_after, if that is longer); when it keeps failing, or fails in a way a retry
+// can't fix, it goes to the dead-letter list, where admins can replay it (/deadletters).
+//
+// Idempotency: rows are keyed by update_id, so an update Telegram delivers twice is
+// handled once. Handlers run as (payload, job), and job.once(step, fn) runs fn only
+// on the first try that gets that far and stores its result in the row: a retry
+// resumes after the steps that already succeeded instead of, say, recording a join
+// twice. Step results must be JSON.
+//
+// Updates with the same key (the user they are about) are handled one at a time in
+// update_id order, so a leave never overtakes the join it follows. An update waiting
+// for its retry holds back later updates of its key, not everybody else's.
+//
+// The queue has its own storage driver (a journaled local JSON file in production):
+// the main storage is exactly what may be down while updates keep coming in.
+const { describeTelegramError, isRetryableError, retryAfterMs } = require('./telegramErrors');
+
+const TABLE = 'updates';
+const STATUSES = ['pending', 'done', 'dead', 'discarded'];
+const FINISHED_RETENTION_MS = 24 * 60 * 60 * 1000; // Telegram doesn't redeliver updates older than a day
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const STALL_RETRY_MS = 5000; // When the queue file itself can't be read or written
+
+/**
+ * @param {object} options
+ * @param {object} options.driver          Storage driver the queue rows live in (see lib/storage/jsonDriver)
+ * @param {object} options.handlers        kind -> async (payload, job)
+ * @param {number} [options.maxAttempts]   Tries before an update goes to the dead-letter list
+ * @param {number} [options.baseDelayMs]   Delay before the first retry; doubles with every further one
+ * @param {number} [options.maxDelayMs]
+ * @param {number} [options.concurrency]   Updates (of different keys) handled at the same time
+ * @param {function} [options.onDeadLetter] Called with (row, error) when an update is given up on
+ * @param {object} [options.metrics]       From lib/metrics
+ */
+function createUpdateQueue({ driver, handlers, maxAttempts = 10, baseDelayMs = 2000, maxDelayMs = 5 * 60 * 1000, concurrency = 4, onDeadLetter = null, metrics = null }) {
+    const inFlight = new Map(); // update_id -> key
+    const settled = new Set(); // update_ids finished while a pass was reading the queue
+    let pumping = false;
+    let pumpAgain = false;
+    let wakeTimer = null;
+    let wakeAt = null;
+    let pruneTimer = null;
+    let started = false;
+
+    function retryDelayMs(attempts, error) {
+        const backoff = Math.min(baseDelayMs * 2 ** (attempts - 1), maxDelayMs);
+        return Math.max(backoff, retryAfterMs(error));
+    }
+
+    function describe(row) {
+        return `update ${row.update_id} (${row.kind}, key ${row.key})`;
+    }
+
+    function wakeUpAt(time) {
+        if (wakeTimer && wakeAt <= time) return;
+        if (wakeTimer) clearTimeout(wakeTimer);
+        wakeAt = time;
+        wakeTimer = setTimeout(() => { wakeTimer = null; wakeAt = null; pump(); }, Math.max(time - Date.now(), 0));
+    }
+
+    function createJob(row) {
+        const steps = { ...(row.steps || {}) };
+        return {
+            updateId: row.update_id,
+            attempt: row.attempts + 1,
+
+            async once(step, fn) {
+                if (Object.prototype.hasOwnProperty.call(steps, step)) return steps[step];
+                const result = await fn();
+                steps[step] = result === undefined ? null : result;
+                await driver.update(TABLE, [['update_id', 'eq', row.update_id]], { steps: { ...steps } });
+                return steps[step];
+            }
+        };
+    }
+
+    async function attempt(row) {
+        const attempts = row.attempts + 1;
+        const filters = [['update_id', 'eq', row.update_id]];
+        try {
+            const handler = handlers[row.kind];
+            if (!handler) throw new Error(`No handler for queued updates of kind "${row.kind}"`);
+            await handler(row.payload, createJob(row));
+            // The payload isn't needed any more; update_id stays for spotting redeliveries
+            await driver.update(TABLE, filters, { status: 'done', attempts, payload: null, steps: null, last_error: null, finished_at: new Date().toISOString() });
+            if (attempts > 1) console.log(`✅ Handled ${describe(row)} on try ${attempts}.`);
+        } catch (error) {
+            const reason = describeTelegramError(error);
+            if (attempts >= maxAttempts || !isRetryableError(error)) {
+                console.error(`☠️ Giving up on ${describe(row)} after ${attempts} tr${attempts === 1 ? 'y' : 'ies'}: ${reason}`);
+                await driver.update(TABLE, filters, { status: 'dead', attempts, last_error: reason, finished_at: new Date().toISOString() });
+                metrics?.increment('krom_update_dead_letters_total', { kind: row.kind });
+                if (onDeadLetter) onDeadLetter({ ...row, attempts, last_error: reason }, error);
+                return;
+            }
+            const delayMs = retryDelayMs(attempts, error);
+            console.warn(`🔁 Failed to handle ${describe(row)} (try ${attempts}/${maxAttempts}), retrying in ${Math.round(delayMs / 1000)}s: ${reason}`);
+            await driver.update(TABLE, filters, { attempts, last_error: reason, next_attempt_at: new Date(Date.now() + delayMs).toISOString() });
+            metrics?.increment('krom_update_retries_total', { kind: row.kind });
+        }
+    }
+
+    function run(row) {
+        inFlight.set(row.update_id, row.key);
+        attempt(row)
+            .catch(err => console.error(`Update queue could not save the outcome of ${describe(row)}:`, err.message))
+            .finally(() => {
+                inFlight.delete(row.update_id);
+                settled.add(row.update_id);
+                pump();
+            });
+    }
+
+    // Starts every update that is due and not held back by an earlier one of its key
+    async function fillSlots() {
+        settled.clear();
+        const rows = await driver.select(TABLE, { filters: [['status', 'eq', 'pending']], order: { column: 'update_id', ascending: true } });
+        const now = Date.now();
+        const heldKeys = new Set(inFlight.values());
+        let nextDue = null;
+        for (const row of rows) {
+            if (inFlight.size >= concurrency) break;
+            if (inFlight.has(row.update_id) || settled.has(row.update_id) || heldKeys.has(row.key)) continue;
+            heldKeys.add(row.key); // Later updates of this key wait for this one
+            const dueAt = new Date(row.next_attempt_at).getTime();
+            if (dueAt > now) {
+                nextDue = Math.min(nextDue ?? dueAt, dueAt);
+                continue;
+            }
+            run(row);
+        }
+        if (nextDue !== null) wakeUpAt(nextDue);
+    }
+
+    async function pump() {
+        if (!started) return;
+        if (pumping) { pumpAgain = true; return; }
+        pumping = true;
+        try {
+            do {
+                pumpAgain = false;
+                await fillSlots();
+            } while (pumpAgain);
+        } catch (err) {
+            console.error('Update queue error:', err.message);
+            wakeUpAt(Date.now() + STALL_RETRY_MS);
+        } finally {
+            pumping = false;
+        }
+    }
+
+    async function prune() {
+        const cutoff = new Date(Date.now() - FINISHED_RETENTION_MS).toISOString();
+        try {
+            const removed = await driver.remove(TABLE, [['status', 'in', ['done', 'discarded']], ['finished_at', 'lt', cutoff]]);
+            if (removed.length > 0) console.log(`Pruned ${removed.length} handled update(s) from the update queue.`);
+        } catch (err) {
+            console.error('Failed to prune the update queue:', err.message);
+        }
+    }
+
+    return {
+        /**
+         * Stores an update for handling. Resolves once it is stored, before it is handled.
+         * @param {object} update   { update_id, kind, key, payload } with kind one of the handler names
+         * @returns {Promise<boolean>} False if the update_id was queued before (a redelivery)
+         */
+        async enqueue({ update_id: updateId, kind, key, payload }) {
+            if (!handlers[kind]) throw new Error(`No handler for queued updates of kind "${kind}"`);
+            const [existing] = await driver.select(TABLE, { columns: 'status', filters: [['update_id', 'eq', updateId]], limit: 1 });
+            if (existing) {
+                console.log(`Update ${updateId} was queued before (${existing.status}), ignoring the redelivery.`);
+                return false;
+            }
+            const now = new Date().toISOString();
+            await driver.insert(TABLE, [{
+                update_id: updateId,
+                kind,
+                key: String(key),
+                payload,
+                status: 'pending',
+                attempts: 0,
+                next_attempt_at: now,
+                last_error: null,
+                steps: {},
+                created_at: now,
+                finished_at: null
+            }]);
+            pump();
+            return true;
+        },
+
+        // Number of updates per status
+        async counts() {
+            const rows = await driver.select(TABLE, { columns: 'status' });
+            const counts = Object.fromEntries(STATUSES.map(status => [status, 0]));
+            rows.forEach(row => { counts[row.status] = (counts[row.status] || 0) + 1; });
+            return counts;
+        },
+
+        // Given-up updates, oldest first
+        async listDead({ limit = 20 } = {}) {
+            return driver.select(TABLE, { filters: [['status', 'eq', 'dead']], order: { column: 'update_id', ascending: true }, limit });
+        },
+
+        /**
+         * Queues dead updates again with a fresh set of tries. Steps that succeeded before are not repeated.
+         * @param {number|null} updateId  null replays all of them
+         * @returns {Promise<number>} Updates queued again
+         */
+        async replay(updateId = null) {
+            const filters = [['status', 'eq', 'dead']];
+            if (updateId !== null) filters.push(['update_id', 'eq', updateId]);
+            const rows = await driver.update(TABLE, filters, { status: 'pending', attempts: 0, next_attempt_at: new Date().toISOString(), finished_at: null });
+            if (rows.length > 0) pump();
+            return rows.length;
+        },
+
+        // Drops a dead update for good. Returns false if there is no such dead update.
+        async discard(updateId) {
+            const rows = await driver.update(TABLE, [['status', 'eq', 'dead'], ['update_id', 'eq', updateId]], {
+                status: 'discarded', payload: null, steps: null, finished_at: new Date().toISOString()
+            });
+            return rows.length > 0;
+        },
+
+        start() {
+            if (started) return;
+            started = true;
+            pump(); // Updates stored before a restart (including ones cut off mid-way) continue here
+            prune();
+            pruneTimer = setInterval(prune, PRUNE_INTERVAL_MS);
+            console.log(`Update queue running (${maxAttempts} tries per update, up to ${concurrency} at a time).`);
+        },
+
+        stop() {
+            started = false;
+            if (wakeTimer) clearTimeout(wakeTimer);
+            if (pruneTimer) clearInterval(pruneTimer);
+            wakeTimer = null;
+            wakeAt = null;
+            pruneTimer = null;
+        }
+    };
+}
+
+module.exports = { createUpdateQueue };
@@ -0,0 +1,239 @@
+// KROM Referral Bot - Verification deadlines
+// New joiners are restricted until they verify. Each join gets a persisted
+// deadline; a periodic sweep kicks or mutes whoever is still unverified when it
+// passes, marks their referral expired and deletes the stale prompt. Because the
+// sweep reads deadlines from storage, restarts neither lose nor double-apply them.
+// Users locked out by too many wrong challenge answers get the same action at once.
+//
+// Join requests (source 'join_request') go through the same gate, except the
+// requester isn't a member yet: passing approves the request, and expiring or
+// getting locked out declines it instead of kicking/muting.
+//
+// restrict() and release() run from the update queue: Telegram errors a retry could
+// fix (429, 5xx, no answer) are rethrown after logging, the rest are only logged.
+const { describeTelegramError, isRetryableError } = require('./telegramErrors');
+
+const TIMEOUT_ACTIONS = ['kick', 'mute'];
+
+// Nothing but reading the chat is allowed while unverified
+const RESTRICTED_PERMISSIONS = {
+    can_send_messages: false,
+    can_send_audios: false,
+    can_send_documents: false,
+    can_send_photos: false,
+    can_send_videos: false,
+    can_send_video_notes: false,
+    can_send_voice_notes: false,
+    can_send_polls: false,
+    can_send_other_messages: false,
+    can_add_web_page_previews: false,
+    can_change_info: false,
+    can_invite_users: false,
+    can_pin_messages: false,
+    can_manage_topics: false
+};
+
+// Used when the group's default permissions can't be read
+const FALLBACK_MEMBER_PERMISSIONS = {
+    can_send_messages: true,
+    can_send_audios: true,
+    can_send_documents: true,
+    can_send_photos: true,
+    can_send_videos: true,
+    can_send_video_notes: true,
+    can_send_voice_notes: true,
+    can_send_polls: true,
+    can_send_other_messages: true,
+    can_add_web_page_previews: true
+};
+
+/**
+ * @param {object} options
+ * @param {TelegramBot} options.bot
+ * @param {object} options.storage           Storage from lib/storage
+ * @param {number} options.timeoutMinutes    0 disables restriction and deadlines
+ * @param {string} options.action            One of TIMEOUT_ACTIONS
+ * @param {number} options.sweepIntervalMs
+ * @param {object} [options.metrics]         From lib/metrics; counts expiries and lockouts
+ */
+function createVerificationTimeouts({ bot, storage, timeoutMinutes, action, sweepIntervalMs, metrics = null }) {
+    const enabled = timeoutMinutes > 0;
+    let sweepTimer = null;
+    let sweeping = false;
+
+    async function deletePrompt(row) {
+        if (!row.prompt_chat_id || !row.prompt_message_id) return;
+        try {
+            await bot.deleteMessage(row.prompt_chat_id, row.prompt_message_id);
+            console.log(`Deleted stale verification prompt ${row.prompt_message_id} for user ${row.user_id}.`);
+        } catch (tgError) {
+            // Already deleted by an admin, or older than 48h (Telegram refuses those)
+            console.warn(`Could not delete verification prompt ${row.prompt_message_id} for user ${row.user_id}:`, describeTelegramError(tgError));
+        }
+    }
+
+    async function decideJoinRequest(chatId, userId, approve) {
+        if (approve) await bot.approveChatJoinRequest(chatId, userId);
+        else await bot.declineChatJoinRequest(chatId, userId);
+        await storage.joinRequests.decide(userId, chatId, approve ? 'approved' : 'declined', null);
+        if (!approve) await storage.referrals.markRequestDeclined(userId, chatId);
+        console.log(`${approve ? 'Approved' : 'Declined'} join request of user ${userId} for chat ${chatId}.`);
+    }
+
+    async function applyTimeoutAction(row) {
+        const { chat_id: chatId, user_id: userId } = row;
+        if (row.source === 'join_request') {
+            await decideJoinRequest(chatId, userId, false);
+        } else if (action === 'kick') {
+            // Ban + unban removes the user but lets them rejoin through a link later
+            await bot.banChatMember(chatId, userId);
+            await bot.unbanChatMember(chatId, userId, { only_if_banned: true });
+        } else {
+            // Already restricted on join; re-apply without an end date in case an admin lifted it
+            await bot.restrictChatMember(chatId, userId, { permissions: JSON.stringify(RESTRICTED_PERMISSIONS), until_date: 0 });
+        }
+    }
+
+    async function expire(row) {
+        // Claim the row first so a verify click racing the sweep can't be overridden
+        const claimed = await storage.pendingVerifications.resolve(row.user_id, row.chat_id, 'expired');
+        if (!claimed) return;
+
+        const expiredReferral = await storage.referrals.markExpired(row.user_id, row.chat_id);
+        if (!expiredReferral) {
+            console.log(`Deadline passed for user ${row.user_id}, but referral is already verified or gone. Skipping ${action}.`);
+            return deletePrompt(row);
+        }
+
+        metrics?.increment('krom_verification_failures_total', { reason: 'expired' });
+        console.log(`⏰ Verification deadline passed for user ${row.user_id} in chat ${row.chat_id}. Applying "${row.source === 'join_request' ? 'decline' : action}".`);
+        try {
+            await applyTimeoutAction(row);
+        } catch (tgError) {
+            console.error(`❌ Failed to ${action} unverified user ${row.user_id} in chat ${row.chat_id}:`, describeTelegramError(tgError));
+        }
+        await deletePrompt(row);
+    }
+
+    async function sweep() {
+        if (sweeping) return; // Previous sweep still running (slow API or DB)
+        sweeping = true;
+        try {
+            const dueRows = await storage.pendingVerifications.listDue();
+            for (const row of dueRows) {
+                try {
+                    await expire(row);
+                } catch (err) {
+                    console.error(`Error expiring verification for user ${row.user_id}:`, err.message);
+                }
+            }
+        } catch (dbError) {
+            console.error('Storage error while sweeping verification deadlines:', dbError.message);
+        } finally {
+            sweeping = false;
+        }
+    }
+
+    return {
+        enabled,
+
+        // Called right after a referred join, before the prompt is sent
+        async restrict(chatId, userId) {
+            if (!enabled) return;
+            try {
+                await bot.restrictChatMember(chatId, userId, { permissions: JSON.stringify(RESTRICTED_PERMISSIONS) });
+                console.log(`Restricted unverified user ${userId} in chat ${chatId}.`);
+            } catch (tgError) {
+                console.error(`❌ Failed to restrict user ${userId} in chat ${chatId}:`, describeTelegramError(tgError));
+                if (isRetryableError(tgError)) throw tgError;
+            }
+        },
+
+        // Always persists the join (it carries the challenge); the deadline only when enabled.
+        // source: join | join_request
+        async schedule({ userId, chatId, promptChatId, promptMessageId, challenge, source = 'join' }) {
+            const deadline = enabled ? new Date(Date.now() + timeoutMinutes * 60 * 1000).toISOString() : null;
+            const row = await storage.pendingVerifications.upsert({ userId, chatId, promptChatId, promptMessageId, deadline, challenge, source });
+            if (deadline) console.log(`Verification deadline for user ${userId} set to ${deadline}.`);
+            return row;
+        },
+
+        // Successful verification: drop the deadline and give back the group's default
+        // permissions, or let a join requester in. Safe to call again for the same
+        // verification (a retry finds the row resolved already and lifts again).
+        async release(chatId, userId) {
+            let row = await storage.pendingVerifications.resolve(userId, chatId, 'verified');
+            if (!row) {
+                const resolved = await storage.pendingVerifications.find(userId, chatId);
+                if (resolved?.status === 'verified') row = resolved;
+            }
+            if (row?.source === 'join_request') {
+                try {
+                    await decideJoinRequest(chatId, userId, true);
+                } catch (tgError) {
+                    console.error(`❌ Failed to approve join request of verified user ${userId} for chat ${chatId}:`, describeTelegramError(tgError));
+                    if (isRetryableError(tgError)) throw tgError;
+                }
+                return;
+            }
+            if (!enabled || !row) return;
+            try {
+                let permissions = FALLBACK_MEMBER_PERMISSIONS;
+                try {
+                    const chat = await bot.getChat(chatId);
+                    if (chat.permissions) permissions = chat.permissions;
+                } catch (tgError) {
+                    console.warn(`Could not read default permissions of chat ${chatId}, using fallback:`, describeTelegramError(tgError));
+                }
+                await bot.restrictChatMember(chatId, userId, { permissions: JSON.stringify(permissions) });
+                console.log(`Lifted restrictions for verified user ${userId} in chat ${chatId}.`);
+            } catch (tgError) {
+                console.error(`❌ Failed to lift restrictions for user ${userId} in chat ${chatId}:`, describeTelegramError(tgError));
+                if (isRetryableError(tgError)) throw tgError;
+            }
+        },
+
+        // User left before the deadline (or an admin declined their join request):
+        // nothing to enforce, just clean up the prompt. status: left | declined
+        async cancel(chatId, userId, status = 'left') {
+            const row = await storage.pendingVerifications.resolve(userId, chatId, status);
+            if (row) await deletePrompt(row);
+        },
+
+        // Too many wrong answers: no more attempts, and no point waiting for the deadline
+        async lockOut(row) {
+            const claimed = await storage.pendingVerifications.resolve(row.user_id, row.chat_id, 'locked');
+            // Locked already is fine too: that is a retry finishing what an earlier try started
+            if (!claimed && (await storage.pendingVerifications.find(row.user_id, row.chat_id))?.status !== 'locked') return false;
+            await storage.referrals.markLocked(row.user_id, row.chat_id);
+            metrics?.increment('krom_verification_failures_total', { reason: 'locked' });
+            console.warn(`🔒 User ${row.user_id} locked out of verification in chat ${row.chat_id} after ${row.attempts} failed attempts.`);
+            // Join requests are declined even without deadlines, they would otherwise sit there forever
+            if (enabled || row.source === 'join_request') {
+                try {
+                    await applyTimeoutAction(row);
+                } catch (tgError) {
+                    console.error(`❌ Failed to ${action} locked-out user ${row.user_id} in chat ${row.chat_id}:`, describeTelegramError(tgError));
+                }
+            }
+            await deletePrompt(row);
+            return true;
+        },
+
+        sweep,
+
+        start() {
+            if (!enabled || sweepTimer) return;
+            sweep(); // Catch up on deadlines that passed while the bot was down
+            sweepTimer = setInterval(sweep, sweepIntervalMs);
+            console.log(`Verification deadline sweep running every ${sweepIntervalMs / 1000}s (timeout: ${timeoutMinutes} min, action: ${action}).`);
+        },
+
+        stop() {
+            if (sweepTimer) clearInterval(sweepTimer);
+            sweepTimer = null;
+        }
+    };
+}
+
+module.exports = { createVerificationTimeouts, TIMEOUT_ACTIONS };
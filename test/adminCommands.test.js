@@ -0,0 +1,106 @@
+// Permission paths of every command above member level (taken from the command registry,
+// so new commands are covered automatically) and of the admin-only inline buttons
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestBot, makeUser, OWNER, GROUP } = require('./helpers/testBot');
+
+const DENIED = {
+    kol: 'This command is for KOLs. If you are one, ask an admin to link your account.',
+    admin: "Sorry, you don't have permission.",
+    owner: 'Sorry, only owners can do that.'
+};
+
+describe('admin command permissions', () => {
+    let bot;
+    let commands;
+    const member = makeUser({ first_name: 'Mallory' });
+    const kol = makeUser({ first_name: 'Kim' });
+    const admin = makeUser({ first_name: 'Adam' });
+
+    before(async () => {
+        bot = await createTestBot();
+        await bot.send(OWNER, '/createlink Alice');
+        assert.match((await bot.send(OWNER, `/linkkol ${kol.id} Alice`)).text, /linked to KOL "Alice"/);
+        assert.match((await bot.send(OWNER, `/addadmin ${admin.id} Adam`)).text, /now an admin/);
+        commands = bot.app.commands.list();
+    });
+
+    after(() => bot.stop());
+
+    // Everything the bot sends to the user's chat in answer to one message
+    async function repliesTo(user, text) {
+        const callCount = bot.telegram.calls.length;
+        await bot.telegram.message(user, text);
+        await bot.settle();
+        return bot.telegram.calls.slice(callCount)
+            .filter(call => ['sendMessage', 'sendDocument'].includes(call.method) && Number(call.params.chat_id) === user.id)
+            .map(call => call.params.text ?? call.params.caption ?? '');
+    }
+
+    function commandsFor(role) {
+        const names = commands.filter(command => command.role === role).map(command => command.name);
+        assert.ok(names.length > 0, `no ${role} commands registered`);
+        return names;
+    }
+
+    it('denies admin commands to members and KOLs and allows them for admins and owners', async () => {
+        for (const name of commandsFor('admin')) {
+            assert.deepEqual(await repliesTo(member, `/${name}`), [DENIED.admin], `/${name} as member`);
+            assert.deepEqual(await repliesTo(kol, `/${name}`), [DENIED.admin], `/${name} as KOL`);
+            for (const user of [admin, OWNER]) {
+                const replies = await repliesTo(user, `/${name}`);
+                assert.ok(replies.length > 0, `/${name} as ${user.first_name} got no answer`);
+                assert.ok(!Object.values(DENIED).includes(replies[0]), `/${name} as ${user.first_name} was denied`);
+            }
+        }
+    });
+
+    it('denies owner commands to everyone but owners', async () => {
+        for (const name of commandsFor('owner')) {
+            for (const user of [member, kol, admin]) {
+                assert.deepEqual(await repliesTo(user, `/${name}`), [DENIED.owner], `/${name} as ${user.first_name}`);
+            }
+            const replies = await repliesTo(OWNER, `/${name}`);
+            assert.ok(replies.length > 0 && replies[0] !== DENIED.owner, `/${name} as owner`);
+        }
+    });
+
+    it('denies KOL commands to members and allows them for linked KOL accounts', async () => {
+        for (const name of commandsFor('kol')) {
+            assert.deepEqual(await repliesTo(member, `/${name}`), [DENIED.kol], `/${name} as member`);
+            const replies = await repliesTo(kol, `/${name}`);
+            assert.ok(replies.length > 0 && replies[0] !== DENIED.kol, `/${name} as KOL`);
+        }
+    });
+
+    it('takes admin rights away with /removeadmin', async () => {
+        const former = makeUser();
+        await bot.send(OWNER, `/addadmin ${former.id}`);
+        assert.notEqual((await repliesTo(former, '/listkols'))[0], DENIED.admin);
+
+        await bot.send(OWNER, `/removeadmin ${former.id}`);
+        assert.deepEqual(await repliesTo(former, '/listkols'), [DENIED.admin]);
+    });
+
+    it('keeps owners from being removed or added as admins', async () => {
+        assert.match((await repliesTo(OWNER, `/removeadmin ${OWNER.id}`))[0], /is an owner/);
+        assert.match((await repliesTo(OWNER, `/addadmin ${OWNER.id}`))[0], /is an owner/);
+    });
+
+    it('ignores the admin-only buttons when a non-admin presses them', async () => {
+        const target = makeUser();
+        await bot.storage.joinRequests.upsert({ userId: target.id, chatId: GROUP.id, userChatId: target.id, linkUrl: null, kolName: null, userName: 'Target' });
+        const buttonMessage = { chat_id: member.id, message_id: 1, text: 'list' };
+
+        for (const data of [`jr_approve_${target.id}_${GROUP.id}`, `fraud_clear_${target.id}_${GROUP.id}`, 'lr_approve_1', 'po_paid_1', `cl_key_${GROUP.id}`]) {
+            const answerCount = bot.telegram.callsTo('answerCallbackQuery').length;
+            await bot.telegram.click(member, buttonMessage, data);
+            await bot.settle();
+            const answers = bot.telegram.callsTo('answerCallbackQuery').slice(answerCount);
+            assert.equal(answers.length, 1, data);
+            assert.equal(answers[0].text, DENIED.admin, data);
+        }
+        assert.equal(bot.telegram.callsTo('approveChatJoinRequest').length, 0);
+        assert.equal((await bot.storage.joinRequests.find(target.id, GROUP.id)).status, 'pending');
+    });
+});
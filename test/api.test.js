@@ -0,0 +1,36 @@
+// REST API: the kol filter only ever returns the exact KOL name
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApi } = require('../lib/api');
+const { createStorage } = require('../lib/storage');
+const { GROUP } = require('./helpers/testBot');
+
+const KEY = 'test-key-0123456789';
+
+describe('REST API', () => {
+    let api;
+
+    beforeEach(async () => {
+        const storage = createStorage({ backend: 'memory' });
+        let userId = 1;
+        for (const kolName of ['a_b', 'axb', 'A_B']) {
+            await storage.referrals.recordJoin({ userId: userId++, groupId: GROUP.id, kolName, userName: `user${userId}` });
+        }
+        api = createApi({ storage, apiKeys: [{ name: 'test', key: KEY, scopes: ['referrals', 'stats'] }] });
+    });
+
+    async function get(path) {
+        const req = { method: 'GET', headers: { 'x-api-key': KEY } };
+        return api.handle(req, new URL(path, 'http://localhost'));
+    }
+
+    it('filters referrals and counts by the exact KOL name, even when it contains wildcard characters', async () => {
+        const referrals = await get('/api/v1/referrals?kol=a_b');
+        assert.equal(referrals.status, 200);
+        assert.deepEqual(referrals.body.referrals.map(row => row.referred_by_kol_name), ['a_b']);
+        assert.equal(referrals.body.total, 1);
+
+        const counts = await get('/api/v1/refcount?kol=a_b');
+        assert.equal(counts.body.referred, 1);
+    });
+});
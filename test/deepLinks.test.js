@@ -0,0 +1,114 @@
+// KOL deep links: the /start landing page, shared and personal invite links, and the
+// visit -> join -> verification funnel behind /funnel
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestBot, makeUser, OWNER, GROUP } = require('./helpers/testBot');
+
+describe('deep links', () => {
+    let bot;
+
+    beforeEach(async () => {
+        bot = await createTestBot();
+    });
+
+    afterEach(() => bot.stop());
+
+    async function addDeepLink(options) {
+        const reply = await bot.send(OWNER, `/deeplink add ${options}`);
+        const match = reply.text.match(/https:\/\/t\.me\/krom_test_bot\?start=kol_([\w-]+)/);
+        assert.ok(match, reply.text);
+        return match[1];
+    }
+
+    // Opens the deep link and returns the landing message and the invite link behind its button
+    async function visit(user, code) {
+        const landing = await bot.send(user, `/start kol_${code}`);
+        const button = landing.reply_markup?.inline_keyboard?.[0]?.[0];
+        return { landing, inviteUrl: button?.url ?? null };
+    }
+
+    it('shows the group with a join button and hands every visitor the same tracked link', async () => {
+        const code = await addDeepLink('Alice tag=twitter');
+        const first = makeUser();
+        const second = makeUser();
+
+        const { landing, inviteUrl } = await visit(first, code);
+        assert.match(landing.text, /Alice invites you to join <b>KROM Test Group<\/b>/);
+        assert.match(inviteUrl, /^https:\/\/t\.me\/\+fake/);
+        assert.equal((await bot.storage.kolLinks.findByUrl(inviteUrl)).kol_name, 'Alice');
+
+        assert.equal((await visit(second, code)).inviteUrl, inviteUrl);
+        assert.equal((await visit(first, code)).inviteUrl, inviteUrl); // Repeat visits count once
+        assert.equal(bot.telegram.callsTo('createChatInviteLink').length, 1);
+
+        const deepLink = await bot.storage.deepLinks.findByCode(code);
+        const visits = await bot.storage.deepLinkVisits.listForDeepLinks([deepLink.id]);
+        assert.deepEqual(visits.map(row => row.user_id).sort(), [first.id, second.id].sort());
+    });
+
+    it('counts visitors, their joins through the link and their verifications per tag', async () => {
+        const twitter = await addDeepLink('Alice tag=twitter');
+        await addDeepLink('Alice tag=discord');
+        const joiner = makeUser();
+        const { inviteUrl } = await visit(joiner, twitter);
+        await visit(makeUser(), twitter);
+
+        await bot.joinAndVerify(joiner, inviteUrl);
+        // Someone who got the link elsewhere is a referral, but not part of the funnel
+        await bot.telegram.join(GROUP, makeUser(), { link: inviteUrl });
+        await bot.settle();
+
+        assert.equal((await bot.storage.referrals.findByUserId(joiner.id, GROUP.id)).referred_by_kol_name, 'Alice');
+        const report = await bot.send(OWNER, '/funnel Alice');
+        assert.match(report.text, /Total: 2 → 1 \(50%\) → 1 \(100%\)/);
+        assert.match(report.text, /<b>twitter<\/b> <code>kol_[\w-]+<\/code>: 2 → 1 \(50%\) → 1 \(100%\)/);
+        assert.match(report.text, /<b>discord<\/b> <code>kol_[\w-]+<\/code>: 0 → 0 \(n\/a\) → 0 \(n\/a\)/);
+
+        assert.match((await bot.send(OWNER, '/funnel')).text, /<b>Alice<\/b>: 2 → 1 \(50%\) → 1 \(100%\)/);
+        assert.match((await bot.send(OWNER, '/kolstats Alice')).text, /Deep links: 2 visitor\(s\) → 1 joined → 1 verified/);
+    });
+
+    it('reads the period only from period=, so a KOL named like a period is still found', async () => {
+        const code = await addDeepLink('today');
+        await visit(makeUser(), code);
+
+        assert.match((await bot.send(OWNER, '/funnel today')).text, /Deep-link funnel · today<\/b> · all time\n/);
+        assert.match((await bot.send(OWNER, '/funnel today period=7d')).text, /Deep-link funnel · today<\/b> · last 7 days[\s\S]*Total: 1 →/);
+        assert.match((await bot.send(OWNER, '/funnel period=today')).text, /<b>today<\/b>: 1 →/);
+        assert.match((await bot.send(OWNER, '/funnel period=soon')).text, /Unknown period "soon"/);
+    });
+
+    it('gives each visitor a single-use link of their own with invite=personal, kept out of the link lists', async () => {
+        const code = await addDeepLink('Alice invite=personal');
+        const first = makeUser();
+        const second = makeUser();
+
+        const { inviteUrl: firstUrl } = await visit(first, code);
+        const { inviteUrl: secondUrl } = await visit(second, code);
+        assert.notEqual(firstUrl, secondUrl);
+        assert.equal((await visit(first, code)).inviteUrl, firstUrl); // Still valid and unused
+        const created = bot.telegram.callsTo('createChatInviteLink');
+        assert.equal(created.length, 2);
+        assert.ok(created.every(call => Number(call.member_limit) === 1 && call.expire_date));
+
+        const listing = await bot.send(OWNER, '/listkols');
+        assert.doesNotMatch(listing.text, /fake/);
+
+        await bot.joinAndVerify(first, firstUrl);
+        assert.match((await bot.send(OWNER, '/funnel Alice')).text, /Total: 2 → 1 \(50%\) → 1 \(100%\)/);
+        assert.notEqual((await visit(first, code)).inviteUrl, firstUrl); // Used up: a fresh one
+    });
+
+    it('tells visitors of a removed or unknown deep link that it is no longer available', async () => {
+        const code = await addDeepLink('Alice');
+        assert.match((await bot.send(OWNER, `/deeplink remove kol_${code}`)).text, /removed/);
+
+        const user = makeUser();
+        for (const payload of [`kol_${code}`, 'kol_unknown']) {
+            const reply = await bot.send(user, `/start ${payload}`);
+            assert.match(reply.text, /no longer available/);
+            assert.equal(reply.reply_markup, undefined);
+        }
+        assert.equal(bot.telegram.callsTo('createChatInviteLink').length, 0);
+    });
+});
@@ -0,0 +1,65 @@
+// Scheduled digests: collapsing missed slots and keeping a slot due until it was delivered
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createDigestScheduler } = require('../lib/digestScheduler');
+const { createStorage } = require('../lib/storage');
+const { createFakeTelegram } = require('./helpers/fakeTelegram');
+require('./helpers/testBot'); // Drops the bot logs
+
+const CHAT_ID = -1001000000002;
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('digest scheduler', () => {
+    let telegram;
+    let storage;
+    let scheduler;
+
+    beforeEach(() => {
+        telegram = createFakeTelegram();
+        storage = createStorage({ backend: 'memory' });
+        scheduler = createDigestScheduler({ bot: telegram.bot, storage, getAdminIds: () => [], sweepIntervalMs: HOUR_MS });
+    });
+
+    async function addHourly(nextRunAt) {
+        return storage.digestSchedules.create({ cron: '@hourly', period: 'daily', chatId: CHAT_ID, nextRunAt });
+    }
+
+    async function nextRunAt(schedule) {
+        const [row] = await storage.digestSchedules.list();
+        assert.equal(row.id, schedule.id);
+        return row.next_run_at;
+    }
+
+    it('sends one digest for the latest slot after an outage instead of one per missed slot', async () => {
+        const schedule = await addHourly('2026-03-01T00:00:00.000Z');
+        await scheduler.sweep(new Date('2026-03-07T00:30:00.000Z'));
+
+        const sent = telegram.messagesTo(CHAT_ID);
+        assert.equal(sent.length, 1);
+        assert.match(sent[0].text, /to 2026-03-07 00:00 UTC/);
+        assert.equal(await nextRunAt(schedule), '2026-03-07T01:00:00.000Z');
+    });
+
+    it('keeps the slot due when no chat received the digest and delivers it on the next sweep', async () => {
+        const schedule = await addHourly('2026-03-01T10:00:00.000Z');
+        telegram.failNext('sendMessage', { statusCode: 403, description: 'Forbidden: bot was kicked from the group chat' });
+        await scheduler.sweep(new Date('2026-03-01T10:00:30.000Z'));
+        assert.equal(await nextRunAt(schedule), '2026-03-01T10:00:00.000Z');
+
+        await scheduler.sweep(new Date('2026-03-01T10:01:30.000Z'));
+        assert.equal(telegram.messagesTo(CHAT_ID).length, 1);
+        assert.equal(await nextRunAt(schedule), '2026-03-01T11:00:00.000Z');
+    });
+
+    it('claims nothing when the digest cannot be built', async () => {
+        const schedule = await addHourly('2026-03-01T10:00:00.000Z');
+        const listBetween = storage.referralEvents.listBetween;
+        storage.referralEvents.listBetween = async () => { throw new Error('connection reset'); };
+        await scheduler.sweep(new Date('2026-03-01T10:00:30.000Z'));
+        assert.equal(await nextRunAt(schedule), '2026-03-01T10:00:00.000Z');
+
+        storage.referralEvents.listBetween = listBetween;
+        await scheduler.sweep(new Date('2026-03-01T10:01:30.000Z'));
+        assert.equal(telegram.messagesTo(CHAT_ID).length, 1);
+    });
+});
@@ -0,0 +1,167 @@
+// Fake Telegram for tests: a real node-telegram-bot-api client whose HTTP layer (_request)
+// answers from memory, so updates go through the library's own dispatch and every Bot
+// API call is recorded instead of sent. Also builds the updates Telegram would deliver.
+const TelegramBot = require('node-telegram-bot-api');
+
+const BOT_USER = { id: 999000, is_bot: true, first_name: 'KROM Test Bot', username: 'krom_test_bot' };
+
+/**
+ * @param {object} [options]
+ * @param {object} [options.chats]  chat id -> { title, type }; getChat fails for chats not listed
+ */
+function createFakeTelegram({ chats = {} } = {}) {
+    const bot = new TelegramBot('123456:TEST');
+    const calls = []; // { method, params, result }
+    const failures = []; // { method, error } answered instead of the next matching call
+    let nextMessageId = 1;
+    let nextLinkId = 1;
+    let nextUpdateId = 1;
+    let nextCallbackId = 1;
+
+    // The Bot API decodes form fields; so do we, so tests see objects instead of JSON strings
+    function decode(form = {}) {
+        const params = {};
+        for (const [key, value] of Object.entries(form)) {
+            try {
+                params[key] = typeof value === 'string' && /^[[{]/.test(value) ? JSON.parse(value) : value;
+            } catch (parseError) {
+                params[key] = value; // Text that merely starts with a bracket
+            }
+        }
+        return params;
+    }
+
+    function apiError(statusCode, description, parameters) {
+        const error = new Error(`ETELEGRAM: ${statusCode} ${description}`);
+        error.code = 'ETELEGRAM';
+        error.response = { statusCode, body: { ok: false, error_code: statusCode, description, parameters } };
+        return error;
+    }
+
+    function answer(method, params) {
+        switch (method) {
+            case 'getMe':
+                return BOT_USER;
+            case 'getChat': {
+                const chat = chats[params.chat_id];
+                if (!chat) throw apiError(400, 'Bad Request: chat not found');
+                return { id: Number(params.chat_id), type: 'supergroup', ...chat };
+            }
+            case 'getChatMember':
+                return { status: 'administrator', user: { id: Number(params.user_id) } };
+            case 'getUserProfilePhotos':
+                return { total_count: 1, photos: [] };
+            case 'createChatInviteLink':
+                return {
+                    invite_link: `https://t.me/+fake${nextLinkId++}`,
+                    name: params.name,
+                    creator: BOT_USER,
+                    expire_date: params.expire_date,
+                    member_limit: params.member_limit,
+                    creates_join_request: params.creates_join_request === true || params.creates_join_request === 'true',
+                    is_primary: false,
+                    is_revoked: false
+                };
+            case 'sendMessage':
+            case 'sendDocument':
+            case 'sendPhoto':
+                return { message_id: nextMessageId++, chat: { id: Number(params.chat_id) }, date: Math.floor(Date.now() / 1000), text: params.text };
+            case 'getUpdates':
+                return [];
+            default:
+                return true;
+        }
+    }
+
+    bot._request = async (method, options = {}) => {
+        const params = decode({ ...options.qs, ...options.form });
+        for (const [name, file] of Object.entries(options.formData || {})) params[name] = file.value; // Uploads: the Buffer sent
+        const call = { method, params, result: null };
+        calls.push(call);
+        const failureIndex = failures.findIndex(failure => failure.method === method);
+        if (failureIndex !== -1) throw failures.splice(failureIndex, 1)[0].error;
+        call.result = answer(method, params);
+        return call.result;
+    };
+
+    // Hands an update to the bot the way polling and the webhook do
+    function deliver(update) {
+        return bot.processUpdate({ update_id: nextUpdateId++, ...update });
+    }
+
+    function member(user, status) {
+        return { status, user };
+    }
+
+    return {
+        bot,
+        calls,
+
+        // Calls of one Bot API method, oldest first
+        callsTo(method) {
+            return calls.filter(call => call.method === method).map(call => call.params);
+        },
+
+        // Messages sent to a chat (text, options and message_id), oldest first
+        messagesTo(chatId) {
+            return calls
+                .filter(call => call.method === 'sendMessage' && call.result && Number(call.params.chat_id) === Number(chatId))
+                .map(call => ({ ...call.params, message_id: call.result.message_id }));
+        },
+
+        lastMessageTo(chatId) {
+            return this.messagesTo(chatId).at(-1) ?? null;
+        },
+
+        // Answers the next call of method with a Bot API error (429 honours retryAfter seconds)
+        failNext(method, { statusCode = 400, description = 'Bad Request', retryAfter } = {}) {
+            failures.push({ method, error: apiError(statusCode, description, retryAfter ? { retry_after: retryAfter } : undefined) });
+        },
+
+        deliver,
+
+        // A private message (or a group message with chat given)
+        message(from, text, { chat = { id: from.id, type: 'private', first_name: from.first_name } } = {}) {
+            return deliver({ message: { message_id: nextMessageId++, from, chat, date: Math.floor(Date.now() / 1000), text } });
+        },
+
+        // chat_member update for a user joining through a link (or without one)
+        join(chat, user, { link = null, viaJoinRequest = false, from = 'left' } = {}) {
+            return deliver({
+                chat_member: {
+                    chat, from: user, date: Math.floor(Date.now() / 1000),
+                    old_chat_member: member(user, from),
+                    new_chat_member: member(user, 'member'),
+                    ...(link ? { invite_link: { invite_link: link, creator: BOT_USER, is_primary: false, is_revoked: false } } : {}),
+                    ...(viaJoinRequest ? { via_join_request: true } : {})
+                }
+            });
+        },
+
+        // chat_member update for a user leaving (status left) or being removed (kicked)
+        leave(chat, user, { status = 'left' } = {}) {
+            return deliver({
+                chat_member: {
+                    chat, from: user, date: Math.floor(Date.now() / 1000),
+                    old_chat_member: member(user, 'member'),
+                    new_chat_member: member(user, status)
+                }
+            });
+        },
+
+        // callback_query for a button of a message the bot sent (from messagesTo)
+        click(from, sentMessage, callbackData) {
+            return deliver({
+                callback_query: {
+                    id: String(nextCallbackId++),
+                    from,
+                    data: callbackData,
+                    chat_instance: '1',
+                    message: { message_id: sentMessage.message_id, chat: { id: Number(sentMessage.chat_id) }, date: 0, text: sentMessage.text }
+                }
+            });
+        }
+    };
+}
+
+module.exports = { createFakeTelegram, BOT_USER };
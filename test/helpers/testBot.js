@@ -0,0 +1,118 @@
+// Bot under test: lib/app.js wired to the fake Telegram and memory storage, configured
+// the way bot.js would be with the env settings below. Bot logs are dropped unless
+// TEST_LOGS is set.
+const { beforeEach, afterEach } = require('node:test');
+const { createApp } = require('../../lib/app');
+const { createStorage } = require('../../lib/storage');
+const { createMetrics } = require('../../lib/metrics');
+const { createFakeTelegram } = require('./fakeTelegram');
+
+const OWNER = { id: 100, is_bot: false, first_name: 'Olivia', language_code: 'en' };
+const GROUP = { id: -1001000000001, type: 'supergroup', title: 'KROM Test Group' };
+
+const TEST_CONFIG = {
+    ownerIds: [OWNER.id],
+    primaryGroupId: GROUP.id,
+    verifyTimeoutMinutes: 10,
+    verifyTimeoutAction: 'kick',
+    verifySweepIntervalSeconds: 3600, // Deadlines are swept by the tests themselves, if at all
+    verifyChallenge: 'math',
+    verifyMaxAttempts: 3,
+    fraudFlagThreshold: 50,
+    fraudBurstWindowMinutes: 10,
+    fraudBurstThreshold: 15,
+    fraudRecentAccountId: 7000000000,
+    digestSweepIntervalSeconds: 3600,
+    defaultLanguage: 'en',
+    updateQueueFile: null,
+    updateMaxAttempts: 3
+};
+
+const SETTLE_TIMEOUT_MS = 5000; // Covers the first retry of a failed update (2s backoff)
+
+if (!process.env.TEST_LOGS) {
+    for (const level of ['log', 'warn', 'error']) console[level] = () => {};
+}
+
+let nextUserId = 5000;
+
+// A fresh Telegram user; ids grow so tests never share one
+function makeUser(fields = {}) {
+    const id = nextUserId++;
+    return { id, is_bot: false, first_name: `User${id}`, language_code: 'en', ...fields };
+}
+
+/**
+ * @param {object} [options]
+ * @param {object} [options.config]  Overrides of TEST_CONFIG
+ * @returns {Promise<object>} { app, telegram, storage, settle, send, createLink, joinAndVerify, stop }
+ */
+async function createTestBot({ config = {} } = {}) {
+    const telegram = createFakeTelegram({ chats: { [GROUP.id]: { title: GROUP.title } } });
+    const storage = createStorage({ backend: 'memory' });
+    const app = createApp({ bot: telegram.bot, storage, metrics: createMetrics(), config: { ...TEST_CONFIG, ...config } });
+    await app.start();
+
+    return {
+        app,
+        telegram,
+        storage,
+
+        // Waits until everything delivered so far is handled: the update queue is empty
+        // and no Bot API call was made for a moment (command handlers aren't awaited by anyone)
+        async settle() {
+            const giveUpAt = Date.now() + SETTLE_TIMEOUT_MS;
+            for (;;) {
+                const callCount = telegram.calls.length;
+                await new Promise(resolve => setTimeout(resolve, 10));
+                const { pending } = await app.updateQueue.counts();
+                if (pending === 0 && telegram.calls.length === callCount) return;
+                if (Date.now() > giveUpAt) throw new Error(`Bot still busy after ${SETTLE_TIMEOUT_MS} ms (${pending} queued updates)`);
+            }
+        },
+
+        // Sends a private message from user and waits for the bot to answer it
+        async send(user, text) {
+            await telegram.message(user, text);
+            await this.settle();
+            return telegram.lastMessageTo(user.id);
+        },
+
+        // Has the owner create a referral link for kolName and returns its URL
+        async createLink(kolName) {
+            const reply = await this.send(OWNER, `/createlink ${kolName}`);
+            return reply.text.match(/https:\/\/t\.me\/\+\w+/)[0];
+        },
+
+        // Joins the group through link and answers the challenge right (math, emoji or button)
+        async joinAndVerify(user, link) {
+            await telegram.join(GROUP, user, { link });
+            await this.settle();
+            const prompt = telegram.lastMessageTo(GROUP.id);
+            const pending = await storage.pendingVerifications.find(user.id, GROUP.id);
+            const index = pending.challenge_options.findIndex(option => option === pending.challenge_answer);
+            await telegram.click(user, prompt, `verify_${user.id}_${index}`);
+            await this.settle();
+        },
+
+        stop() {
+            app.stop();
+        }
+    };
+}
+
+/**
+ * A fresh bot for every test of the enclosing describe, stopped after it
+ * @param {object} [options]  As for createTestBot
+ * @returns {{ bot: object }} fixture.bot is the current test's bot
+ */
+function useTestBot(options) {
+    const fixture = { bot: null };
+    beforeEach(async () => {
+        fixture.bot = await createTestBot(options);
+    });
+    afterEach(() => fixture.bot.stop());
+    return fixture;
+}
+
+module.exports = { createTestBot, useTestBot, makeUser, OWNER, GROUP, TEST_CONFIG };
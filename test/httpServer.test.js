@@ -0,0 +1,45 @@
+// HTTP server: a malformed request answers 400 and leaves the server running
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { createHttpServer } = require('../lib/httpServer');
+const { createStorage } = require('../lib/storage');
+const { createMetrics } = require('../lib/metrics');
+require('./helpers/testBot'); // Drops the bot logs
+
+// Sends a raw request and resolves with the status line of the answer
+function rawRequest(port, text) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(port, '127.0.0.1', () => socket.write(text));
+        let received = '';
+        socket.on('data', chunk => { received += chunk; });
+        socket.on('end', () => resolve(received.split('\r\n')[0]));
+        socket.on('error', reject);
+        socket.setTimeout(2000, () => {
+            socket.destroy();
+            reject(new Error('No answer'));
+        });
+    });
+}
+
+describe('HTTP server', () => {
+    let httpServer;
+    let port;
+
+    beforeEach(async () => {
+        httpServer = createHttpServer({ port: 0, storage: createStorage({ backend: 'memory' }), metrics: createMetrics() });
+        await httpServer.start();
+        port = httpServer.server.address().port;
+    });
+
+    afterEach(() => httpServer.stop());
+
+    it('answers 400 to a request target the URL parser rejects and keeps serving', async () => {
+        const statusLine = await rawRequest(port, 'GET http://[bad HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n');
+        assert.match(statusLine, /^HTTP\/1\.1 400/);
+
+        const health = await fetch(`http://127.0.0.1:${port}/healthz`);
+        assert.equal(health.status, 200);
+        assert.equal((await health.json()).status, 'ok');
+    });
+});
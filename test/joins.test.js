@@ -0,0 +1,142 @@
+// Join attribution: known and unknown links, leaving and rejoining, redelivered updates
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestBot, makeUser, OWNER, GROUP } = require('./helpers/testBot');
+
+describe('joins', () => {
+    let bot;
+    let link;
+
+    beforeEach(async () => {
+        bot = await createTestBot();
+        const reply = await bot.send(OWNER, '/createlink Alice');
+        link = reply.text.match(/https:\/\/t\.me\/\+\w+/)[0];
+    });
+
+    afterEach(() => bot.stop());
+
+    async function joinAndSettle(user, options) {
+        await bot.telegram.join(GROUP, user, options);
+        await bot.settle();
+    }
+
+    async function eventTypes(user) {
+        return (await bot.storage.referralEvents.listForUser(user.id)).map(event => event.event_type);
+    }
+
+    it('attributes a join through a tracked link to its KOL, restricts the user and sends a challenge', async () => {
+        const user = makeUser();
+        await joinAndSettle(user, { link });
+
+        const referral = await bot.storage.referrals.findByUserId(user.id, GROUP.id);
+        assert.equal(referral.referred_by_kol_name, 'Alice');
+        assert.equal(referral.verified, false);
+        assert.equal(referral.membership_status, 'member');
+
+        assert.ok(bot.telegram.callsTo('restrictChatMember').some(call => Number(call.user_id) === user.id));
+
+        const prompt = bot.telegram.lastMessageTo(GROUP.id);
+        assert.match(prompt.text, /Alice's link/);
+        const buttons = prompt.reply_markup.inline_keyboard.flat();
+        assert.ok(buttons.length > 1);
+        assert.ok(buttons.every(button => button.callback_data.startsWith(`verify_${user.id}_`)));
+
+        const pending = await bot.storage.pendingVerifications.find(user.id, GROUP.id);
+        assert.equal(pending.status, 'pending');
+        assert.equal(pending.prompt_message_id, prompt.message_id);
+
+        assert.deepEqual(await eventTypes(user), ['join']);
+    });
+
+    it('records no referral for a join through an unknown link', async () => {
+        const user = makeUser();
+        await joinAndSettle(user, { link: 'https://t.me/+notTracked' });
+
+        assert.equal(await bot.storage.referrals.findByUserId(user.id, GROUP.id), null);
+        assert.equal(bot.telegram.messagesTo(GROUP.id).length, 0);
+        assert.equal(bot.telegram.callsTo('restrictChatMember').length, 0);
+
+        const [event] = await bot.storage.referralEvents.listForUser(user.id);
+        assert.equal(event.event_type, 'join');
+        assert.equal(event.kol_name, null);
+        assert.equal(event.link_url, 'https://t.me/+notTracked');
+    });
+
+    it('records no referral for a join without invite link info', async () => {
+        const user = makeUser();
+        await joinAndSettle(user);
+
+        assert.equal(await bot.storage.referrals.findByUserId(user.id, GROUP.id), null);
+        assert.equal(bot.telegram.messagesTo(GROUP.id).length, 0);
+        assert.deepEqual(await eventTypes(user), ['join']);
+    });
+
+    it('ignores joins in chats that are not tracked', async () => {
+        const user = makeUser();
+        await bot.telegram.join({ id: -1009999, type: 'supergroup', title: 'Elsewhere' }, user, { link });
+        await bot.settle();
+
+        assert.equal(await bot.storage.referrals.findByUserId(user.id, -1009999), null);
+        assert.deepEqual(await eventTypes(user), []);
+    });
+
+    it('keeps the attribution when a user leaves and counts a return as a rejoin', async () => {
+        const user = makeUser();
+        await joinAndSettle(user, { link });
+
+        await bot.telegram.leave(GROUP, user);
+        await bot.settle();
+        let referral = await bot.storage.referrals.findByUserId(user.id, GROUP.id);
+        assert.equal(referral.referred_by_kol_name, 'Alice');
+        assert.equal(referral.membership_status, 'left');
+        assert.ok(referral.left_date);
+        assert.equal((await bot.storage.pendingVerifications.find(user.id, GROUP.id)).status, 'left');
+
+        await joinAndSettle(user, { link });
+        referral = await bot.storage.referrals.findByUserId(user.id, GROUP.id);
+        assert.equal(referral.referred_by_kol_name, 'Alice');
+        assert.equal(referral.membership_status, 'member');
+        assert.equal((await bot.storage.pendingVerifications.find(user.id, GROUP.id)).status, 'pending');
+        assert.deepEqual(await eventTypes(user), ['join', 'leave', 'rejoin']);
+    });
+
+    it('records a kick as such and does not count the unban after it as a second leave', async () => {
+        const user = makeUser();
+        await joinAndSettle(user, { link });
+
+        await bot.telegram.leave(GROUP, user, { status: 'kicked' });
+        await bot.settle();
+        // Unban after a kick: kicked -> left
+        await bot.telegram.deliver({
+            chat_member: {
+                chat: GROUP, from: OWNER, date: 0,
+                old_chat_member: { status: 'kicked', user },
+                new_chat_member: { status: 'left', user }
+            }
+        });
+        await bot.settle();
+
+        assert.equal((await bot.storage.referrals.findByUserId(user.id, GROUP.id)).membership_status, 'kicked');
+        assert.deepEqual(await eventTypes(user), ['join', 'kick']);
+    });
+
+    it('handles a join Telegram delivers twice only once', async () => {
+        const user = makeUser();
+        const update = {
+            update_id: 424242,
+            chat_member: {
+                chat: GROUP, from: user, date: 0,
+                old_chat_member: { status: 'left', user },
+                new_chat_member: { status: 'member', user },
+                invite_link: { invite_link: link }
+            }
+        };
+        await bot.telegram.deliver(update);
+        await bot.settle();
+        await bot.telegram.deliver(update);
+        await bot.settle();
+
+        assert.equal(bot.telegram.messagesTo(GROUP.id).length, 1);
+        assert.deepEqual(await eventTypes(user), ['join']);
+    });
+});
@@ -0,0 +1,61 @@
+// Local JSON storage with journal: changes are appended, survive a restart and are
+// folded into the file once the journal outgrows it
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJsonDriver } = require('../lib/storage/jsonDriver');
+require('./helpers/testBot'); // Drops the bot logs
+
+describe('JSON driver journal', () => {
+    let dir;
+    let file;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'krom-json-'));
+        file = path.join(dir, 'queue.json');
+    });
+
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    async function fill(driver) {
+        await driver.insert('updates', [{ update_id: 1, status: 'pending' }, { update_id: 2, status: 'pending' }]);
+        await driver.update('updates', [['update_id', 'eq', 1]], { status: 'done' });
+        await driver.upsert('updates', [{ update_id: 3, status: 'pending' }], { onConflict: 'update_id' });
+        await driver.remove('updates', [['update_id', 'eq', 2]]);
+    }
+
+    it('appends changes instead of rewriting the file and replays them on the next start', async () => {
+        await fill(createJsonDriver({ file, journal: true }));
+        assert.equal(fs.existsSync(file), false);
+        assert.equal(fs.readFileSync(`${file}.journal`, 'utf8').trim().split('\n').length, 4);
+
+        const reopened = createJsonDriver({ file, journal: true });
+        const rows = await reopened.select('updates', { order: { column: 'update_id' } });
+        assert.deepEqual(rows.map(row => [row.update_id, row.status]), [[1, 'done'], [3, 'pending']]);
+        assert.equal(fs.existsSync(`${file}.journal`), false); // Folded into the file on start
+
+        const [inserted] = await reopened.insert('updates', [{ update_id: 4, status: 'pending' }]);
+        assert.ok(rows.every(row => row.id < inserted.id), 'ids keep counting up after a replay');
+    });
+
+    it('ignores a change cut off half-way by a crash', async () => {
+        await fill(createJsonDriver({ file, journal: true }));
+        fs.appendFileSync(`${file}.journal`, '{"op":"remove","table":"upd');
+
+        const rows = await createJsonDriver({ file, journal: true }).select('updates');
+        assert.equal(rows.length, 2);
+    });
+
+    it('rewrites the file once the journal has as many changes as the file has rows', async () => {
+        const driver = createJsonDriver({ file, journal: true });
+        for (let i = 1; i <= 1000; i++) await driver.insert('updates', [{ update_id: i, status: 'pending' }]);
+        assert.equal(fs.existsSync(`${file}.journal`), false);
+        assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).tables.updates.length, 1000);
+
+        await driver.update('updates', [['update_id', 'eq', 7]], { status: 'done' });
+        assert.equal(fs.readFileSync(`${file}.journal`, 'utf8').trim().split('\n').length, 1);
+        assert.equal((await createJsonDriver({ file, journal: true }).select('updates', { filters: [['status', 'eq', 'done']] })).length, 1);
+    });
+});
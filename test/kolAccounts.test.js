@@ -0,0 +1,25 @@
+// KOL self-service: a linked account only ever sees its own KOL's numbers
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestBot, makeUser, OWNER, GROUP } = require('./helpers/testBot');
+
+describe('KOL accounts', () => {
+    const fixture = useTestBot();
+
+    it('counts /mystats by the exact KOL name, even when it contains wildcard characters', async () => {
+        const { bot } = fixture;
+        const kol = makeUser();
+        const ownLink = await bot.createLink('a_b');
+        const otherLink = await bot.createLink('axb');
+        assert.match((await bot.send(OWNER, `/linkkol ${kol.id} a_b`)).text, /linked to KOL "a_b"/);
+
+        await bot.joinAndVerify(makeUser(), ownLink);
+        await bot.joinAndVerify(makeUser(), otherLink);
+        await bot.telegram.join(GROUP, makeUser(), { link: otherLink });
+        await bot.settle();
+
+        const stats = await bot.send(kol, '/mystats');
+        assert.match(stats.text, /Verified referrals: 1 \(1 still in the group\)/);
+        assert.match(stats.text, /Waiting for verification: 0/);
+    });
+});
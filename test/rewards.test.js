@@ -0,0 +1,52 @@
+// Reward tiers: payouts once a KOL's verified referrals reach a threshold
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestBot, makeUser, OWNER } = require('./helpers/testBot');
+
+describe('rewards', () => {
+    const fixture = useTestBot();
+
+    async function payoutKols() {
+        return (await fixture.bot.storage.payouts.list({ limit: 100 })).map(payout => payout.kol_name);
+    }
+
+    it('counts only referrals of the exact KOL name, even when it contains wildcard characters', async () => {
+        const { bot } = fixture;
+        const ownLink = await bot.createLink('a_b');
+        const otherLink = await bot.createLink('axb');
+        assert.match((await bot.send(OWNER, '/tiers add 2 Badge kol=a_b')).text, /Badge/);
+
+        // As a pattern, a_b also matches axb: its referral must not count towards a_b's tier
+        await bot.joinAndVerify(makeUser(), otherLink);
+        await bot.joinAndVerify(makeUser(), ownLink);
+        assert.deepEqual(await payoutKols(), []);
+
+        await bot.joinAndVerify(makeUser(), ownLink);
+        assert.deepEqual(await payoutKols(), ['a_b']);
+    });
+
+    it('applies a KOL\'s own tiers only to the exact KOL name', async () => {
+        const { bot } = fixture;
+        const link = await bot.createLink('Bob');
+        await bot.send(OWNER, '/tiers add 1 Global badge');
+        await bot.send(OWNER, '/tiers add 5 Bob badge kol=bob');
+
+        // The tier for "bob" is not Bob's, so Bob still earns the global one
+        await bot.joinAndVerify(makeUser(), link);
+        assert.deepEqual(await payoutKols(), ['Bob']);
+        assert.equal((await bot.storage.payouts.list({ limit: 100 }))[0].reward, 'Global badge');
+    });
+
+    it('lists the payouts of the exact KOL name only', async () => {
+        const { bot } = fixture;
+        const ownLink = await bot.createLink('a_b');
+        const otherLink = await bot.createLink('axb');
+        await bot.send(OWNER, '/tiers add 1 Badge');
+        await bot.joinAndVerify(makeUser(), ownLink);
+        await bot.joinAndVerify(makeUser(), otherLink);
+
+        const reply = await bot.send(OWNER, '/payouts a_b');
+        assert.match(reply.text, /1 earned payouts for "a_b"/);
+        assert.doesNotMatch(reply.text, /axb/);
+    });
+});
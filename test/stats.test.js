@@ -0,0 +1,25 @@
+// Per-KOL stats: /kolstats only ever counts the exact KOL name
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestBot, makeUser, OWNER } = require('./helpers/testBot');
+
+describe('KOL stats', () => {
+    const fixture = useTestBot();
+
+    it('counts /kolstats by the exact KOL name, even when it contains wildcard characters', async () => {
+        const { bot } = fixture;
+        const ownLink = await bot.createLink('a_b');
+        const otherLink = await bot.createLink('axb');
+        const upperLink = await bot.createLink('A_B');
+
+        await bot.joinAndVerify(makeUser(), ownLink);
+        await bot.joinAndVerify(makeUser(), otherLink);
+        await bot.joinAndVerify(makeUser(), upperLink);
+
+        const stats = await bot.send(OWNER, '/kolstats a_b');
+        assert.match(stats.text, /Joined: 1 · Verified: 1/);
+
+        const unknown = await bot.send(OWNER, '/kolstats a%');
+        assert.match(unknown.text, /No referrals found/);
+    });
+});
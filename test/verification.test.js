@@ -0,0 +1,193 @@
+// Verification: answering the challenge, the spoofed-click security check, lock-out
+// after wrong answers and retries when storage fails mid-verification
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestBot, makeUser, OWNER, GROUP, TEST_CONFIG } = require('./helpers/testBot');
+
+describe('verification', () => {
+    let bot;
+    let user;
+    let prompt;
+
+    beforeEach(async () => {
+        bot = await createTestBot();
+        const reply = await bot.send(OWNER, '/createlink Alice');
+        const link = reply.text.match(/https:\/\/t\.me\/\+\w+/)[0];
+        user = makeUser();
+        await bot.telegram.join(GROUP, user, { link });
+        await bot.settle();
+        prompt = bot.telegram.lastMessageTo(GROUP.id);
+    });
+
+    afterEach(() => bot.stop());
+
+    // callback_data of the right answer, or of a wrong one
+    async function answerData({ correct }) {
+        const pending = await bot.storage.pendingVerifications.find(user.id, GROUP.id);
+        const index = pending.challenge_options.findIndex(option => (option === pending.challenge_answer) === correct);
+        return `verify_${user.id}_${index}`;
+    }
+
+    async function click(from, data) {
+        await bot.telegram.click(from, prompt, data);
+        await bot.settle();
+        return bot.telegram.callsTo('answerCallbackQuery').at(-1);
+    }
+
+    it('verifies a user who picks the right answer and lifts the restriction', async () => {
+        const answer = await click(user, await answerData({ correct: true }));
+
+        assert.match(answer.text, /successful/);
+        const referral = await bot.storage.referrals.findByUserId(user.id, GROUP.id);
+        assert.equal(referral.verified, true);
+        assert.equal(referral.verification_status, 'verified');
+        assert.equal((await bot.storage.pendingVerifications.find(user.id, GROUP.id)).status, 'verified');
+
+        // Restricted on join, then given the group's permissions back
+        assert.equal(bot.telegram.callsTo('restrictChatMember').filter(call => Number(call.user_id) === user.id).length, 2);
+        const edit = bot.telegram.callsTo('editMessageText').at(-1);
+        assert.equal(Number(edit.message_id), prompt.message_id);
+        assert.deepEqual(edit.reply_markup, {});
+    });
+
+    it("refuses a click on someone else's prompt and leaves their verification open", async () => {
+        const intruder = makeUser();
+        const answer = await click(intruder, await answerData({ correct: true }));
+
+        assert.equal(answer.show_alert, true);
+        assert.match(answer.text, /for someone else/);
+        const referral = await bot.storage.referrals.findByUserId(user.id, GROUP.id);
+        assert.equal(referral.verified, false);
+        const pending = await bot.storage.pendingVerifications.find(user.id, GROUP.id);
+        assert.equal(pending.status, 'pending');
+        assert.equal(pending.attempts, 0); // Not counted against the real user either
+        assert.equal(bot.telegram.callsTo('editMessageText').length, 0);
+    });
+
+    it('counts wrong answers and locks the user out after the last attempt', async () => {
+        const wrong = await answerData({ correct: false });
+
+        const first = await click(user, wrong);
+        assert.match(first.text, new RegExp(`Attempts left: ${TEST_CONFIG.verifyMaxAttempts - 1}`));
+
+        for (let attempt = 2; attempt <= TEST_CONFIG.verifyMaxAttempts; attempt++) await click(user, wrong);
+        const pending = await bot.storage.pendingVerifications.find(user.id, GROUP.id);
+        assert.equal(pending.status, 'locked');
+        assert.equal((await bot.storage.referrals.findByUserId(user.id, GROUP.id)).verification_status, 'locked');
+        assert.ok(bot.telegram.callsTo('banChatMember').some(call => Number(call.user_id) === user.id)); // Kicked
+
+        // The right answer doesn't help any more
+        const late = await click(user, await answerData({ correct: true }));
+        assert.match(late.text, /Too many wrong answers/);
+        assert.equal((await bot.storage.referrals.findByUserId(user.id, GROUP.id)).verified, false);
+    });
+
+    it('tells an already verified user so instead of verifying twice', async () => {
+        const data = await answerData({ correct: true });
+        await click(user, data);
+        const again = await click(user, data);
+
+        assert.match(again.text, /already verified/i);
+        const verifyEvents = (await bot.storage.referralEvents.listForUser(user.id)).filter(event => event.event_type === 'verify');
+        assert.equal(verifyEvents.length, 1);
+    });
+
+    it('retries a verification when storage fails half-way and finishes it once', async () => {
+        const record = bot.storage.referralEvents.record;
+        let failures = 1;
+        bot.storage.referralEvents.record = async (event) => {
+            if (event.eventType === 'verify' && failures-- > 0) throw new Error('connection reset');
+            return record(event);
+        };
+
+        const data = await answerData({ correct: true });
+        await bot.telegram.click(user, prompt, data);
+        // First try fails after marking the referral verified; the retry runs after the backoff
+        await bot.settle();
+
+        assert.equal((await bot.app.updateQueue.counts()).done, 2); // The join and the click
+        const referral = await bot.storage.referrals.findByUserId(user.id, GROUP.id);
+        assert.equal(referral.verified, true);
+        const verifyEvents = (await bot.storage.referralEvents.listForUser(user.id)).filter(event => event.event_type === 'verify');
+        assert.equal(verifyEvents.length, 1);
+    });
+});
+
+describe('captcha verification', () => {
+    let bot;
+    let user;
+
+    beforeEach(async () => {
+        bot = await createTestBot({ config: { verifyChallenge: 'captcha' } });
+        const reply = await bot.send(OWNER, '/createlink Alice');
+        user = makeUser();
+        await bot.telegram.join(GROUP, user, { link: reply.text.match(/https:\/\/t\.me\/\+\w+/)[0] });
+        await bot.settle();
+    });
+
+    afterEach(() => bot.stop());
+
+    it('points the group prompt to the DM, sends the code there as a picture and accepts it typed back', async () => {
+        const prompt = bot.telegram.lastMessageTo(GROUP.id);
+        assert.equal(prompt.reply_markup.inline_keyboard[0][0].url, 'https://t.me/krom_test_bot?start=verify');
+
+        await bot.telegram.message(user, '/start verify');
+        await bot.settle();
+        const [picture] = bot.telegram.callsTo('sendPhoto').filter(call => Number(call.chat_id) === user.id);
+        assert.ok(Buffer.isBuffer(picture.photo));
+        assert.equal(picture.photo.subarray(1, 4).toString('ascii'), 'PNG');
+        assert.match(picture.caption, /number shown in the picture/);
+        const { challenge_answer: code } = await bot.storage.pendingVerifications.find(user.id, GROUP.id);
+        assert.doesNotMatch(picture.caption, new RegExp(code)); // Only in the picture
+
+        assert.match((await bot.send(user, '00000' === code ? '11111' : '00000')).text, /Wrong code/);
+        await bot.send(user, code);
+        assert.equal((await bot.storage.referrals.findByUserId(user.id, GROUP.id)).verified, true);
+    });
+});
+
+describe('localized challenges', () => {
+    let bot;
+    let link;
+
+    afterEach(() => bot.stop());
+
+    async function start(config) {
+        bot = await createTestBot({ config });
+        const reply = await bot.send(OWNER, '/createlink Alice');
+        link = reply.text.match(/https:\/\/t\.me\/\+\w+/)[0];
+    }
+
+    it("asks the emoji question in the member's language", async () => {
+        await start({ verifyChallenge: 'emoji' });
+        const user = makeUser({ language_code: 'es' });
+        await bot.telegram.join(GROUP, user, { link });
+        await bot.settle();
+
+        const { challenge_params: params, challenge_answer: answer } = await bot.storage.pendingVerifications.find(user.id, GROUP.id);
+        assert.equal(params.target, answer);
+        const prompt = bot.telegram.lastMessageTo(GROUP.id);
+        assert.match(prompt.text, /toca este emoji: <b>[^<]+<\/b>/);
+        const names = { '🍎': 'manzana', '🚗': 'coche', '🐶': 'perro', '🌙': 'luna', '⚽': 'balón de fútbol', '🎸': 'guitarra', '🍕': 'pizza', '🚀': 'cohete',
+            '🐱': 'gato', '🌵': 'cactus', '🔑': 'llave', '🎈': 'globo', '🐢': 'tortuga', '☂️': 'paraguas', '🍌': 'plátano', '⏰': 'despertador' };
+        assert.ok(prompt.text.includes(`<b>${names[answer]}</b>`), prompt.text);
+    });
+
+    it('asks the math question of a DM prompt in the language of whoever opens it', async () => {
+        await start({ verifyChallenge: 'math' });
+        const user = makeUser({ language_code: 'ru' });
+        await bot.telegram.join(GROUP, user, { link });
+        await bot.settle();
+
+        const { challenge_params: { a, op, b } } = await bot.storage.pendingVerifications.find(user.id, GROUP.id);
+        const reply = await bot.send(user, '/start');
+        assert.ok(reply.text.includes(`ответьте: <b>${a} ${op} ${b} = ?</b>`), reply.text);
+    });
+
+    it("adds the KOL note to /start in the linked account's language", async () => {
+        await start({});
+        const kol = makeUser({ language_code: 'ru' });
+        await bot.send(OWNER, `/linkkol ${kol.id} Alice`);
+        assert.match((await bot.send(kol, '/start')).text, /Ваш аккаунт привязан к KOL «Alice»/);
+    });
+});